@@ -5,20 +5,32 @@
  * ============================================
  * 
  * DESCRIPCIÓN:
- * Maneja la autenticación de usuarios y la gestión de sesiones
- * locales. Utiliza el módulo API para comunicación con Supabase.
+ * Maneja la autenticación de usuarios y la gestión de sesiones.
+ * Utiliza el módulo API para comunicación con Supabase.
  * 
  * FUNCIONALIDADES:
  * - Login de estudiantes y funcionarios
- * - Gestión de sesiones locales
+ * - Segundo paso del login de funcionarios con verificación en dos pasos (TOTP)
+ * - Ingreso con código de recuperación de contraseña
+ * - Gestión de sesiones (locales y en el servidor)
  * - Cambio de contraseñas
  * - Logout
- * - Validación de sesiones
+ * - Validación de sesiones contra el servidor
+ * - Cierre por inactividad con aviso previo
  * 
  * NOTAS:
- * - Las sesiones se almacenan en localStorage
- * - Las contraseñas se hashean con SHA-256 antes de enviarse
- * - El sistema valida automáticamente las sesiones al cargar
+ * - El navegador guarda la sesión en localStorage, pero solo vale si su
+ *   sessionId corresponde a una sesión activa en la tabla sessions
+ *   (API.Sessions): se verifica al cargar cada página y en las llamadas a la API
+ * - El sessionId lo genera el servidor de autenticación al verificar la
+ *   contraseña; el navegador no puede crear sesiones. Con Supabase la
+ *   sesión trae además un token firmado que acompaña cada consulta: las
+ *   políticas RLS solo dan acceso mientras la sesión siga abierta
+ * - La duración de la sesión viene de la configuración (session.durationDays);
+ *   la inactividad permitida, de session.idleMinutes
+ * - Las contraseñas se verifican con PBKDF2 con salt en el módulo API
+ * - Una sesión cerrada desde el servidor (cuenta eliminada, contraseña
+ *   restablecida o "Cerrar sesiones") lleva al login en la siguiente verificación
  * 
  * ============================================
  */
@@ -28,14 +40,18 @@
 
   const SESSION_KEY = 'auth_session';
 
-  /**
-   * Genera un ID de sesión único
-   * @returns {string} ID de sesión
-   */
-  function generateSessionId() {
-    return Array.from(crypto.getRandomValues(new Uint8Array(32)))
-      .map(b => b.toString(16).padStart(2, '0')).join('');
-  }
+  // Última actividad del usuario, compartida entre pestañas
+  const ACTIVITY_KEY = 'auth_last_activity';
+  const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'];
+
+  // Frecuencia con la que la página informa actividad y verifica la sesión en el servidor
+  const SESSION_POLL_MS = 60 * 1000;
+
+  // Observador de inactividad de la página (uno por página)
+  let idleWatch = null;
+
+  // Login de funcionario que espera el código de verificación en dos pasos
+  let pendingStaffLogin = null;
 
   /**
    * Obtiene la sesión actual
@@ -59,10 +75,11 @@
 
   /**
    * Guarda la sesión
-   * @param {Object} sessionData - Datos de la sesión
+   * @param {Object} sessionData - Datos de la sesión (`expiresAt` del servidor si lo hay)
    */
   function setSession(sessionData) {
-    const expiresAt = Date.now() + (7 * 24 * 60 * 60 * 1000); // 7 días
+    const durationDays = window.Config.get('session.durationDays');
+    const expiresAt = sessionData.expiresAt || Date.now() + (durationDays * 24 * 60 * 60 * 1000);
     localStorage.setItem(SESSION_KEY, JSON.stringify({
       ...sessionData,
       expiresAt
@@ -92,11 +109,37 @@
       await new Promise(resolve => setTimeout(resolve, 100));
     }
 
-    const student = await window.API.Auth.loginStudent(code, password);
-    
-    const sessionId = generateSessionId();
+    const { user, session } = await window.API.Auth.loginStudent(code, password);
+    return startStudentSession(session, user);
+  }
+
+  /**
+   * Ingreso de estudiante con un código de recuperación enviado por correo.
+   * La sesión queda en primer acceso para que defina una nueva contraseña.
+   * @param {string} code - Código del estudiante
+   * @param {string} resetCode - Código recibido por correo
+   * @returns {Promise<Object>} Datos del usuario
+   * @throws {ApiError} INVALID_CREDENTIALS, VALIDATION (código vencido o usado) o ACCOUNT_LOCKED
+   */
+  async function loginWithResetCode(code, resetCode) {
+    if (!window.API) {
+      throw new Error('API no está disponible');
+    }
+    const { user, session } = await window.API.Auth.redeemPasswordReset(code, resetCode);
+    return startStudentSession(session, user);
+  }
+
+  /**
+   * Guarda la sesión de un estudiante autenticado
+   * @param {Object} session - Sesión abierta por el servidor ({ sessionId, token, expiresAt })
+   * @param {Object} student - Registro del estudiante
+   * @returns {Object} Datos del usuario
+   */
+  function startStudentSession(session, student) {
     setSession({
-      sessionId,
+      sessionId: session.sessionId,
+      token: session.token || null,
+      expiresAt: session.expiresAt,
       role: 'student',
       code: student.code,
       name: student.name,
@@ -112,6 +155,8 @@
         lastname: student.lastname,
         firstLogin: student.first_login || false,
         active: student.active !== false,
+        // 'grace' o 'expired' (con students.expiryEnforcement 'flag') permiten entrar pero se señalan
+        cardStatus: window.API.Students.cardStatus(student).status,
         role: 'student'
       }
     };
@@ -133,12 +178,75 @@
       await new Promise(resolve => setTimeout(resolve, 100));
     }
 
-    const staff = await window.API.Auth.loginStaff(email, password);
-    
-    const sessionId = generateSessionId();
+    const { user: staff, session } = await window.API.Auth.loginStaff(email, password);
+
+    // Con verificación en dos pasos la sesión se guarda solo tras completeTwoFactor()
+    if (session.twoFactorPending) {
+      pendingStaffLogin = { session, staff };
+      return { role: 'staff', twoFactorRequired: true };
+    }
+
+    return startStaffSession(session, staff);
+  }
+
+  /**
+   * Segundo paso del login de funcionario: verifica el código de la app
+   * autenticadora (o un código de recuperación) y guarda la sesión
+   * @param {string} code - Código de 6 dígitos o código de recuperación
+   * @returns {Promise<Object>} Datos del usuario (`recoveryCodesLeft` si se usó un código de recuperación)
+   * @throws {ApiError} INVALID_CREDENTIALS, ACCOUNT_LOCKED o SESSION_EXPIRED (vuelve a iniciar sesión)
+   */
+  async function completeTwoFactor(code) {
+    if (!pendingStaffLogin) {
+      throw new window.API.ApiError(window.API.ErrorCodes.SESSION_EXPIRED, 'Inicia sesión de nuevo.', { reason: 'expired' });
+    }
+
+    const { session, staff } = pendingStaffLogin;
+    let result;
+    try {
+      result = await window.API.TwoFactor.verify(session.sessionId, code);
+    } catch (err) {
+      // Un bloqueo o un código vencido obligan a empezar de nuevo
+      if (err.code !== window.API.ErrorCodes.INVALID_CREDENTIALS) pendingStaffLogin = null;
+      throw err;
+    }
+
+    pendingStaffLogin = null;
+    const res = startStaffSession(session, { ...staff, totp_enabled: true });
+    if (result.method === 'recovery') res.recoveryCodesLeft = result.recoveryCodesLeft;
+    return res;
+  }
+
+  /**
+   * Abandona un login de funcionario que espera el segundo paso
+   * @returns {Promise<void>}
+   */
+  async function cancelTwoFactor() {
+    const pending = pendingStaffLogin;
+    pendingStaffLogin = null;
+    if (!pending) return;
+    try {
+      await window.API.Sessions.revokePending(pending.session.sessionId);
+    } catch (_) {
+      // La sesión pendiente vence sola a los pocos minutos
+    }
+  }
+
+  /**
+   * Guarda la sesión de un funcionario autenticado
+   * @param {Object} session - Sesión abierta por el servidor ({ sessionId, token, expiresAt })
+   * @param {Object} staff - Registro del funcionario
+   * @returns {Object} Datos del usuario
+   */
+  function startStaffSession(session, staff) {
+    const staffRole = window.API.Permissions.normalize(staff.role);
     setSession({
-      sessionId,
+      sessionId: session.sessionId,
+      token: session.token || null,
+      expiresAt: session.expiresAt,
       role: 'staff',
+      staffRole,
+      twoFactorEnabled: staff.totp_enabled === true,
       id: staff.id,
       email: staff.email,
       name: staff.name,
@@ -151,24 +259,171 @@
         id: staff.id,
         name: staff.name,
         email: staff.email,
-        role: 'staff'
+        role: 'staff',
+        staffRole
       }
     };
   }
 
   /**
-   * Logout
+   * Logout: cierra la sesión en el servidor y en el navegador
+   * @param {string} reason - 'logout' (por defecto) o 'idle'
    * @returns {Promise<void>}
    */
-  async function logout() {
+  async function logout(reason = 'logout') {
+    stopIdleWatch();
+    try {
+      if (window.API && window.API.Sessions) {
+        await window.API.Sessions.end(reason);
+      }
+    } catch (err) {
+      // Sin conexión la sesión del servidor vence sola por inactividad
+      console.warn('No se pudo cerrar la sesión en el servidor:', err);
+    }
     clearSession();
   }
 
+  /**
+   * Verifica la sesión local contra el servidor (al cargar una página).
+   * Sin conexión se acepta la sesión local para permitir el trabajo offline.
+   * @returns {Promise<Object>} Sesión vigente
+   * @throws {ApiError} SESSION_EXPIRED con `details.reason` ('revoked', 'idle' o 'expired')
+   */
+  async function validateSession() {
+    try {
+      return await window.API.Sessions.require({ force: true });
+    } catch (err) {
+      const session = getSession();
+      if (err.code === window.API.ErrorCodes.NETWORK && session) {
+        return session;
+      }
+      throw err;
+    }
+  }
+
+  // ============================================
+  // INACTIVIDAD
+  // ============================================
+
+  /**
+   * Última actividad registrada en cualquier pestaña
+   * @returns {number} Timestamp
+   */
+  function readLastActivity() {
+    return parseInt(localStorage.getItem(ACTIVITY_KEY), 10) || 0;
+  }
+
+  /**
+   * Vigila la inactividad de la página: avisa antes de cerrar la sesión,
+   * la cierra al agotarse session.idleMinutes y lleva al login cuando el
+   * servidor la da por terminada (evento `session:ended` de la API)
+   * @param {Object} options - Opciones
+   * @param {string} options.loginUrl - URL del login (relativa a la página)
+   */
+  function startIdleWatch({ loginUrl }) {
+    if (idleWatch) return;
+
+    const { idleMinutes, idleWarningSeconds } = window.Config.get('session');
+    const idleMs = idleMinutes * 60000;
+    const warningMs = Math.min(idleWarningSeconds * 1000, idleMs);
+    const state = { lastPoll: Date.now(), lastWrite: 0, warning: null, ending: false };
+
+    const markActivity = () => {
+      const now = Date.now();
+      // Con el aviso abierto solo cuenta el botón "Seguir conectado"
+      if (state.warning || now - state.lastWrite < 5000) return;
+      state.lastWrite = now;
+      localStorage.setItem(ACTIVITY_KEY, String(now));
+    };
+
+    const leave = (reason) => {
+      if (state.ending) return;
+      state.ending = true;
+      stopIdleWatch();
+      window.location.href = `${loginUrl}?session=${encodeURIComponent(reason)}`;
+    };
+
+    const keepAlive = () => {
+      state.warning = null;
+      state.lastWrite = Date.now();
+      localStorage.setItem(ACTIVITY_KEY, String(state.lastWrite));
+      window.API.Sessions.touch().catch(() => {});
+    };
+
+    const tick = async () => {
+      const now = Date.now();
+
+      // El aviso se cerró (botón, X o clic fuera): el usuario sigue presente
+      if (state.warning && !state.warning.isConnected) keepAlive();
+
+      const idle = now - Math.max(readLastActivity(), state.lastWrite);
+      if (idle >= idleMs) {
+        await logout('idle');
+        leave('idle');
+        return;
+      }
+
+      if (idle >= idleMs - warningMs) {
+        const seconds = Math.ceil((idleMs - idle) / 1000);
+        if (!state.warning) {
+          state.warning = window.showModal.warning(
+            '¿Sigues ahí?',
+            `Por seguridad, tu sesión se cerrará por inactividad en <strong data-idle-countdown>${seconds}</strong> segundos.`,
+            { buttonText: 'Seguir conectado' }
+          );
+        }
+        const counter = state.warning.querySelector('[data-idle-countdown]');
+        if (counter) counter.textContent = String(seconds);
+      } else if (state.warning) {
+        // Hubo actividad en otra pestaña
+        state.warning.remove();
+        state.warning = null;
+      }
+
+      // Informar actividad o, si no la hubo, solo verificar que la sesión siga abierta
+      if (now - state.lastPoll >= SESSION_POLL_MS) {
+        const active = Math.max(readLastActivity(), state.lastWrite) > state.lastPoll;
+        state.lastPoll = now;
+        try {
+          await (active ? window.API.Sessions.touch() : window.API.Sessions.require({ force: true }));
+        } catch (_) {
+          // SESSION_EXPIRED llega por el evento session:ended; sin conexión se reintenta luego
+        }
+      }
+    };
+
+    const onEnded = (event) => leave((event.detail && event.detail.reason) || 'expired');
+
+    keepAlive();
+    ACTIVITY_EVENTS.forEach(type => document.addEventListener(type, markActivity, { passive: true }));
+    window.addEventListener('session:ended', onEnded);
+    idleWatch = {
+      timer: setInterval(tick, 1000),
+      stop() {
+        clearInterval(this.timer);
+        ACTIVITY_EVENTS.forEach(type => document.removeEventListener(type, markActivity));
+        window.removeEventListener('session:ended', onEnded);
+        if (state.warning) state.warning.remove();
+      }
+    };
+  }
+
+  /**
+   * Detiene el observador de inactividad
+   */
+  function stopIdleWatch() {
+    if (idleWatch) {
+      idleWatch.stop();
+      idleWatch = null;
+    }
+  }
+
   /**
    * Cambia la contraseña de un estudiante
    * @param {string} code - Código del estudiante
    * @param {string} newPassword - Nueva contraseña
    * @returns {Promise<boolean>}
+   * @throws {ApiError} VALIDATION si no cumple la política de contraseñas o repite una anterior
    */
   async function changePassword(code, newPassword) {
     if (!window.API) {
@@ -187,7 +442,13 @@
     clearSession,
     loginStudent,
     loginStaff,
+    completeTwoFactor,
+    cancelTwoFactor,
+    loginWithResetCode,
     logout,
+    validateSession,
+    startIdleWatch,
+    stopIdleWatch,
     changePassword
   };
 })();
@@ -0,0 +1,2172 @@
+/**
+ * ============================================
+ * SERVIDOR DE AUTENTICACIÓN
+ * Sistema de Carnet Digital - Universidad del Pacífico
+ * ============================================
+ *
+ * DESCRIPCIÓN:
+ * Lógica de acceso que no puede quedar en manos del navegador. Verifica
+ * las contraseñas y los códigos de verificación en dos pasos, cuenta los
+ * intentos fallidos, genera, envía y canjea los códigos de recuperación,
+ * cambia y restablece contraseñas (con la política y el historial), crea
+ * funcionarios y abre, valida y cierra las sesiones con la llave de
+ * servicio, de modo que el portal nunca recibe un hash, un código ni un
+ * secreto TOTP (salvo al activarlo, a su dueño), ni cambia hashes de
+ * contraseña ni escribe en login_attempts, password_resets,
+ * password_history, staff_two_factor o sessions.
+ * En producción corre en la Edge Function `auth`
+ * (supabase/functions/auth/index.js); con el backend local la ejecuta
+ * localBackend.js en la misma página.
+ *
+ * ESTRUCTURA:
+ * - window.AuthServer.handle(petición, contexto) - Atiende una acción ({ action, ... })
+ * - window.AuthServer.hashPassword / verifyPassword - Hash de contraseñas (PBKDF2)
+ * - window.AuthServer.evaluatePassword - Política de contraseñas (también mide en los formularios)
+ * - window.AuthServer.cardStatus / assertCardUsable - Vigencia del carnet
+ * - window.AuthServer.STAFF_ROLES / normalizeRole / roleCan - Roles y permisos
+ *
+ * NOTAS:
+ * - El contexto trae `db` (cliente con acceso completo a las tablas),
+ *   `clientAddress` (IP de quien llama, cuenta los intentos por conexión),
+ *   `sendMail({ to, subject, text })` para los correos del sistema y
+ *   `tokenSecret` (secreto JWT del proyecto): con él cada sesión lleva un
+ *   token firmado con el que PostgREST, Storage y Realtime aplican las
+ *   políticas RLS de esa sesión. Sin secreto (backend local) no hay token
+ * - La respuesta es { data } o { error: { code, message, details } }, con
+ *   los mismos códigos de window.API.ErrorCodes
+ * - Solo depende de window.Config, window.Dates y Web Crypto, así funciona
+ *   igual en el navegador y en Deno
+ *
+ * ============================================
+ */
+
+(function() {
+  'use strict';
+
+  // Formato del hash de contraseñas (PBKDF2-SHA256 con salt por usuario)
+  const PASSWORD_HASH = {
+    algorithm: 'pbkdf2-sha256',
+    iterations: 210000,
+    saltBytes: 16,
+    keyBits: 256
+  };
+
+  // Roles de funcionarios y sus permisos ('*' concede todos). La función
+  // SQL role_can (README) repite esta tabla para las políticas RLS
+  const STAFF_ROLES = Object.freeze({
+    admin: { label: 'Administrador', permissions: ['*'] },
+    biblioteca: { label: 'Biblioteca', permissions: ['dashboard', 'students.view', 'validator', 'loans.biblioteca'] },
+    laboratorio: { label: 'Laboratorio', permissions: ['dashboard', 'students.view', 'validator', 'loans.laboratorio'] },
+    validador: { label: 'Validador', permissions: ['validator'] }
+  });
+
+  // Historial de contraseñas: cambios guardados por cuenta y etiquetas del medidor de fortaleza
+  const PASSWORD_HISTORY_MAX = 10;
+  const PASSWORD_STRENGTH_LABELS = ['Muy débil', 'Débil', 'Aceptable', 'Fuerte', 'Muy fuerte'];
+
+  // Rol de los funcionarios creados antes de existir los roles (columna role en NULL)
+  const LEGACY_STAFF_ROLE = 'admin';
+
+  // Verificación en dos pasos (RFC 6238): códigos de 6 dígitos cada 30 segundos
+  const TOTP_PERIOD_SECONDS = 30;
+  const TOTP_DIGITS = 6;
+  const TOTP_DRIFT_STEPS = 1;
+  const TOTP_SECRET_BYTES = 20;
+  const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  const RECOVERY_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+  // Plazo para ingresar el código tras la contraseña
+  const TWO_FACTOR_CHALLENGE_MS = 5 * 60 * 1000;
+
+  // Token de sesión (JWT HS256) para PostgREST, Storage y Realtime: el rol
+  // 'authenticated' y en `sid` la llave de la sesión en la tabla sessions
+  const SESSION_TOKEN_HEADER = { alg: 'HS256', typ: 'JWT' };
+  const SESSION_TOKEN_ROLE = 'authenticated';
+
+  // Permiso para cerrar las sesiones de otra cuenta según el motivo (session.revoke).
+  // 'password_change' solo lo usa el dueño de la cuenta.
+  const REVOCATION_PERMISSIONS = {
+    student: { revoked: 'students.edit', deleted: 'students.delete', password_reset: 'students.reset_password' },
+    staff: { revoked: 'staff.manage', deleted: 'staff.manage', password_reset: 'staff.manage' }
+  };
+
+  // Permiso para administrar el acceso de cada tipo de cuenta (desbloquear, cerrar sesiones)
+  const ACCOUNT_ACCESS_PERMISSIONS = { student: 'students.edit', staff: 'staff.manage' };
+
+  // Cuentas que pueden iniciar sesión: tabla, columna con la que se ingresa
+  // y columnas que se entregan al portal (nunca los hashes)
+  const LOGIN_ACCOUNTS = {
+    student: {
+      table: 'students',
+      column: 'code',
+      columns: 'code, name, lastname, email, program, expiry, sede, first_login, active'
+    },
+    staff: {
+      table: 'staff',
+      column: 'email',
+      columns: 'id, name, email, role, totp_enabled'
+    }
+  };
+
+  const DEFAULT_MESSAGES = {
+    INVALID_CREDENTIALS: 'Credenciales inválidas',
+    PERMISSION_DENIED: 'No tienes permisos para realizar esta acción',
+    SESSION_EXPIRED: 'Tu sesión expiró. Inicia sesión de nuevo.',
+    UNKNOWN: 'Ocurrió un error inesperado en el servidor de autenticación'
+  };
+
+  /**
+   * Error de una acción del servidor. El portal lo convierte en ApiError
+   * con el mismo código.
+   * @property {string} code - Código de window.API.ErrorCodes
+   * @property {Object} details - Información adicional
+   */
+  class AuthError extends Error {
+    constructor(code, message, details = {}) {
+      super(message || DEFAULT_MESSAGES[code] || DEFAULT_MESSAGES.UNKNOWN);
+      this.name = 'AuthError';
+      this.code = code;
+      this.details = details;
+    }
+  }
+
+  /**
+   * Error de una consulta a la base de datos
+   * @param {Object} error - Error de PostgREST
+   * @returns {AuthError}
+   */
+  function dbError(error) {
+    console.error('Error de base de datos en el servidor de autenticación:', error);
+    return new AuthError('UNKNOWN', undefined, { dbCode: (error && error.code) || null });
+  }
+
+  // ============================================
+  // CRIPTOGRAFÍA
+  // ============================================
+
+  /**
+   * Convierte bytes a hexadecimal
+   * @param {ArrayBuffer|Uint8Array} buffer - Bytes
+   * @returns {string} Cadena hexadecimal
+   */
+  function toHex(buffer) {
+    return Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Convierte hexadecimal a bytes
+   * @param {string} hex - Cadena hexadecimal
+   * @returns {Uint8Array} Bytes
+   */
+  function fromHex(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+  }
+
+  /**
+   * Verifica que Web Crypto esté disponible (requiere HTTPS o localhost)
+   * @throws {AuthError} Si crypto.subtle no está disponible
+   */
+  function requireSubtleCrypto() {
+    if (typeof crypto === 'undefined' || !crypto.subtle) {
+      throw new AuthError('UNKNOWN', 'El navegador no permite operaciones criptográficas seguras. Usa HTTPS o localhost.');
+    }
+  }
+
+  /**
+   * Codifica texto o bytes en base64url sin relleno (formato de los JWT)
+   * @param {string|ArrayBuffer|Uint8Array} input - Texto (UTF-8) o bytes
+   * @returns {string}
+   */
+  function base64Url(input) {
+    const bytes = typeof input === 'string' ? new TextEncoder().encode(input) : new Uint8Array(input);
+    let binary = '';
+    bytes.forEach(b => {
+      binary += String.fromCharCode(b);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * Firma un JWT HS256
+   * @param {Object} claims - Contenido del token
+   * @param {string} secret - Secreto JWT del proyecto
+   * @returns {Promise<string>} Token
+   */
+  async function signToken(claims, secret) {
+    requireSubtleCrypto();
+    const unsigned = `${base64Url(JSON.stringify(SESSION_TOKEN_HEADER))}.${base64Url(JSON.stringify(claims))}`;
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(unsigned));
+    return `${unsigned}.${base64Url(signature)}`;
+  }
+
+  /**
+   * Genera hash SHA-256 de un texto
+   * @param {string} text - Texto a hashear
+   * @returns {Promise<string>} Hash hexadecimal
+   */
+  async function sha256(text) {
+    requireSubtleCrypto();
+    const data = new TextEncoder().encode(text);
+    return toHex(await crypto.subtle.digest('SHA-256', data));
+  }
+
+  /**
+   * Hash de 32 bits que usaban versiones antiguas cuando Web Crypto
+   * no estaba disponible. Solo se usa para verificar y migrar.
+   * @param {string} text - Texto a hashear
+   * @returns {string} Hash decimal
+   */
+  function legacyStringHash(text) {
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+      hash = (hash << 5) - hash + text.charCodeAt(i);
+      hash |= 0;
+    }
+    return String(Math.abs(hash));
+  }
+
+  /**
+   * Deriva una llave PBKDF2-SHA256
+   * @param {string} password - Contraseña en texto plano
+   * @param {Uint8Array} salt - Salt del usuario
+   * @param {number} iterations - Número de iteraciones
+   * @returns {Promise<string>} Llave derivada en hexadecimal
+   */
+  async function pbkdf2(password, salt, iterations) {
+    requireSubtleCrypto();
+    const keyMaterial = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(password),
+      'PBKDF2',
+      false,
+      ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+      keyMaterial,
+      PASSWORD_HASH.keyBits
+    );
+    return toHex(bits);
+  }
+
+  /**
+   * Genera el hash almacenable de una contraseña con salt aleatorio
+   * @param {string} password - Contraseña en texto plano
+   * @returns {Promise<string>} Hash en formato "pbkdf2-sha256$iter$salt$hash"
+   */
+  async function hashPassword(password) {
+    const salt = crypto.getRandomValues(new Uint8Array(PASSWORD_HASH.saltBytes));
+    const derived = await pbkdf2(password, salt, PASSWORD_HASH.iterations);
+    return [PASSWORD_HASH.algorithm, PASSWORD_HASH.iterations, toHex(salt), derived].join('$');
+  }
+
+  /**
+   * Compara dos cadenas en tiempo constante
+   * @param {string} a - Primera cadena
+   * @param {string} b - Segunda cadena
+   * @returns {boolean} true si son iguales
+   */
+  function safeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+      return false;
+    }
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+      diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+  }
+
+  /**
+   * Verifica una contraseña contra el hash almacenado.
+   * Acepta el formato vigente y los formatos heredados (SHA-256 sin salt
+   * y hash de 32 bits), indicando si el hash debe actualizarse.
+   * @param {string} password - Contraseña en texto plano
+   * @param {string} storedHash - Valor de password_hash
+   * @returns {Promise<{valid: boolean, needsRehash: boolean}>} Resultado
+   */
+  async function verifyPassword(password, storedHash) {
+    if (!storedHash) {
+      return { valid: false, needsRehash: false };
+    }
+
+    const parts = storedHash.split('$');
+    if (parts.length === 4 && parts[0] === PASSWORD_HASH.algorithm) {
+      const iterations = parseInt(parts[1], 10);
+      const derived = await pbkdf2(password, fromHex(parts[2]), iterations);
+      const valid = safeEqual(derived, parts[3]);
+      return { valid, needsRehash: valid && iterations < PASSWORD_HASH.iterations };
+    }
+
+    // Formatos heredados: SHA-256 hexadecimal o hash numérico de 32 bits
+    const legacy = /^[0-9a-f]{64}$/.test(storedHash)
+      ? await sha256(password)
+      : legacyStringHash(password);
+    const valid = safeEqual(legacy, storedHash);
+    return { valid, needsRehash: valid };
+  }
+
+  // ============================================
+  // CARNET Y PERMISOS
+  // ============================================
+
+  /**
+   * Estado del carnet de un estudiante. Es el mismo para el inicio de sesión,
+   * la descarga del PDF, la validación y los paneles: combina `active`, la
+   * fecha de vencimiento y el periodo de gracia (students.expiryGraceDays).
+   * Con students.expiryEnforcement 'block' un carnet vencido fuera de la
+   * gracia queda bloqueado; con 'flag' solo se señala.
+   * @param {Object} student - Estudiante (active, expiry)
+   * @returns {{status: string, blocked: boolean, daysLeft: number|null, graceUntil: string|null}}
+   *   graceUntil: último día de la gracia (YYYY-MM-DD);
+   *   status: 'inactive', 'expired' (fuera de la gracia), 'grace' (vencido dentro de la gracia),
+   *   'expiring', 'valid' o 'unknown' (sin fecha legible)
+   */
+  function cardStatus(student) {
+    const { expiringWindowDays, expiryGraceDays, expiryEnforcement } = window.Config.get('students');
+    const daysLeft = window.Dates.daysUntil(student && student.expiry);
+    const graceUntil = window.Dates.addDays(student && student.expiry, expiryGraceDays);
+
+    let status;
+    if (!student || student.active === false) {
+      status = 'inactive';
+    } else if (daysLeft === null) {
+      status = 'unknown';
+    } else if (daysLeft < -expiryGraceDays) {
+      status = 'expired';
+    } else if (daysLeft < 0) {
+      status = 'grace';
+    } else {
+      status = daysLeft <= expiringWindowDays ? 'expiring' : 'valid';
+    }
+
+    return {
+      status,
+      blocked: status === 'inactive' || (status === 'expired' && expiryEnforcement === 'block'),
+      daysLeft,
+      graceUntil
+    };
+  }
+
+  /**
+   * Verifica que el carnet de un estudiante se pueda usar (iniciar sesión,
+   * descargar el PDF)
+   * @param {Object} student - Estudiante (active, expiry)
+   * @returns {Object} Estado del carnet (ver cardStatus)
+   * @throws {AuthError} INACTIVE_ACCOUNT o CARD_EXPIRED si está bloqueado
+   */
+  function assertCardUsable(student) {
+    const card = cardStatus(student);
+    if (card.status === 'inactive') {
+      throw new AuthError('INACTIVE_ACCOUNT', 'Tu carnet está inactivo. Por favor, contacta con un funcionario para reactivarlo.');
+    }
+    if (card.blocked) {
+      throw new AuthError('CARD_EXPIRED', `Tu carnet venció el ${window.Dates.formatSpanish(student.expiry)}. Por favor, contacta con un funcionario para renovarlo.`, { expiry: student.expiry });
+    }
+    return card;
+  }
+
+  /**
+   * Normaliza el rol guardado de un funcionario
+   * @param {string|null} role - Valor de la columna role
+   * @returns {string|null} Rol conocido o null si no es válido
+   */
+  function normalizeRole(role) {
+    if (role == null) return LEGACY_STAFF_ROLE;
+    return STAFF_ROLES[role] ? role : null;
+  }
+
+  /**
+   * Indica si un rol tiene un permiso
+   * @param {string|null} role - Rol del funcionario
+   * @param {string} permission - Permiso (ej: 'students.delete', 'loans.laboratorio')
+   * @returns {boolean}
+   */
+  function roleCan(role, permission) {
+    const definition = STAFF_ROLES[role];
+    if (!definition) return false;
+    return definition.permissions.includes('*') || definition.permissions.includes(permission);
+  }
+
+  /**
+   * Registra un evento de auditoría hecho por el servidor. Como en
+   * API.Audit.record, un fallo aquí no revierte la acción.
+   * @param {Object} db - Cliente de la base de datos
+   * @param {Object} event - { action, targetType, targetId, changes, actor }
+   * @returns {Promise<void>}
+   */
+  async function recordAudit(db, { action, targetType, targetId, changes, actor }) {
+    const { error } = await db
+      .from('audit_events')
+      .insert({
+        actor,
+        action,
+        target_type: targetType,
+        target_id: String(targetId),
+        changes,
+        created_at: Date.now()
+      });
+
+    if (error) console.warn('No se pudo registrar el evento de auditoría:', error);
+  }
+
+  /**
+   * Cierra las sesiones abiertas de un usuario
+   * @param {Object} db - Cliente de la base de datos
+   * @param {string} userType - 'student' o 'staff'
+   * @param {string} userId - Código o email
+   * @param {string} reason - Motivo guardado en revoked_reason
+   * @param {string} actor - Quién las cierra (revoked_by)
+   * @param {string} [exceptId] - Llave de una sesión a conservar (ej: la de quien hace el cambio)
+   * @returns {Promise<number>} Sesiones cerradas
+   */
+  async function revokeUserSessions(db, userType, userId, reason, actor, exceptId = null) {
+    let query = db
+      .from('sessions')
+      .update({ revoked_at: Date.now(), revoked_by: actor, revoked_reason: reason })
+      .eq('user_type', userType)
+      .eq('user_id', userId)
+      .is('revoked_at', null);
+
+    if (exceptId) query = query.neq('id', exceptId);
+
+    const { data, error } = await query.select('id');
+
+    if (error) throw dbError(error);
+    return (data || []).length;
+  }
+
+  /**
+   * Llave de una sesión en la tabla sessions: se guarda el hash del
+   * identificador, no el identificador que tiene el navegador
+   * @param {string} sessionId - Identificador de la sesión
+   * @returns {Promise<string>}
+   */
+  function sessionKey(sessionId) {
+    return sha256(`session:${sessionId || ''}`);
+  }
+
+  /**
+   * Busca una sesión por el sessionId que guarda el navegador
+   * @param {Object} db - Cliente de la base de datos
+   * @param {string} sessionId - Identificador de la sesión
+   * @returns {Promise<Object|null>} Fila de sessions
+   */
+  async function findSession(db, sessionId) {
+    const { data, error } = await db
+      .from('sessions')
+      .select('*')
+      .eq('id', await sessionKey(sessionId))
+      .maybeSingle();
+
+    if (error) throw dbError(error);
+    return data;
+  }
+
+  /**
+   * Abre una sesión para un usuario ya autenticado. El identificador lo
+   * genera el servidor; el navegador solo lo guarda. Con `tokenSecret`
+   * entrega además el token de la sesión: las políticas RLS lo aceptan
+   * mientras la fila de sessions siga abierta, completa y activa (función
+   * SQL session_user_id), así que cerrar la sesión aquí también corta el
+   * acceso a las tablas.
+   * @param {Object} db - Cliente de la base de datos
+   * @param {string} userType - 'student' o 'staff'
+   * @param {string} userId - Código o email
+   * @param {Object} options - Opciones
+   * @param {boolean} options.twoFactorPending - Falta el código de verificación en dos pasos
+   * @param {string} options.userAgent - Navegador de quien inicia sesión
+   * @param {string} options.tokenSecret - Secreto JWT del proyecto (ver contexto)
+   * @returns {Promise<{sessionId: string, expiresAt: number, twoFactorPending: boolean, token: string|null}>}
+   */
+  async function createSession(db, userType, userId, { twoFactorPending = false, userAgent = null, tokenSecret = null } = {}) {
+    const sessionId = toHex(crypto.getRandomValues(new Uint8Array(32)));
+    const key = await sessionKey(sessionId);
+    const now = Date.now();
+    const expiresAt = now + window.Config.get('session.durationDays') * 24 * 60 * 60 * 1000;
+
+    const { error } = await db
+      .from('sessions')
+      .insert({
+        id: key,
+        user_type: userType,
+        user_id: userId,
+        created_at: now,
+        last_seen_at: now,
+        expires_at: expiresAt,
+        revoked_at: null,
+        revoked_by: null,
+        revoked_reason: null,
+        two_factor_pending: twoFactorPending,
+        idle_timeout_ms: window.Config.get('session.idleMinutes') * 60000,
+        user_agent: userAgent ? String(userAgent).slice(0, 200) : null
+      });
+
+    if (error) throw dbError(error);
+
+    const token = tokenSecret
+      ? await signToken({
+        aud: SESSION_TOKEN_ROLE,
+        role: SESSION_TOKEN_ROLE,
+        sid: key,
+        user_type: userType,
+        user_id: userId,
+        iat: Math.floor(now / 1000),
+        exp: Math.floor(expiresAt / 1000)
+      }, tokenSecret)
+      : null;
+    return { sessionId, expiresAt, twoFactorPending, token };
+  }
+
+  /**
+   * Error de una sesión que ya no da acceso
+   * @param {string} reason - 'revoked', 'idle' o 'expired'
+   * @returns {AuthError}
+   */
+  function sessionEnded(reason) {
+    return new AuthError('SESSION_EXPIRED', undefined, { reason });
+  }
+
+  /**
+   * Sesión abierta y completa de quien llama: existe, no está cerrada,
+   * vencida ni inactiva y no espera el segundo paso. Una sesión inactiva
+   * se cierra aquí mismo.
+   * @param {Object} db - Cliente de la base de datos
+   * @param {string} sessionId - Identificador de la sesión
+   * @returns {Promise<Object>} Fila de sessions
+   * @throws {AuthError} SESSION_EXPIRED con `details.reason` ('revoked', 'idle' o 'expired')
+   */
+  async function checkSession(db, sessionId) {
+    const row = await findSession(db, sessionId);
+    const now = Date.now();
+
+    if (!row || row.expires_at <= now || row.two_factor_pending) {
+      throw sessionEnded('expired');
+    }
+    if (row.revoked_at) {
+      // Una sesión cerrada por el propio usuario se informa como vencida
+      throw sessionEnded(row.revoked_reason === 'idle' ? 'idle' : row.revoked_reason === 'logout' ? 'expired' : 'revoked');
+    }
+    // Plazo guardado al abrirla (lo usa también session_user_id); las sesiones anteriores usan la configuración
+    if (now - row.last_seen_at > (row.idle_timeout_ms || window.Config.get('session.idleMinutes') * 60000)) {
+      const { error } = await db
+        .from('sessions')
+        .update({ revoked_at: now, revoked_by: row.user_id, revoked_reason: 'idle' })
+        .eq('id', row.id);
+
+      if (error) throw dbError(error);
+      throw sessionEnded('idle');
+    }
+    return row;
+  }
+
+  /**
+   * Funcionario dueño de una sesión abierta y completa, identificado por
+   * su sesión y no por lo que diga el navegador
+   * @param {Object} db - Cliente de la base de datos
+   * @param {string} sessionId - Identificador de la sesión de quien llama
+   * @returns {Promise<Object>} Funcionario (id, email, role, totp_enabled, totp_enabled_at)
+   * @throws {AuthError} SESSION_EXPIRED
+   */
+  async function requireStaffSession(db, sessionId) {
+    const session = await checkSession(db, sessionId);
+    if (session.user_type !== 'staff') {
+      throw new AuthError('PERMISSION_DENIED', 'Solo los funcionarios pueden realizar esta acción');
+    }
+
+    const { data: staff, error } = await db
+      .from('staff')
+      .select('id, email, role, totp_enabled, totp_enabled_at')
+      .eq('email', session.user_id)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (error) throw dbError(error);
+    if (!staff) throw sessionEnded('revoked');
+    return staff;
+  }
+
+  /**
+   * Funcionario que hace una acción administrativa: sesión válida, permiso
+   * de su rol y, si es obligatoria, la verificación en dos pasos activa
+   * @param {Object} db - Cliente de la base de datos
+   * @param {string} sessionId - Identificador de la sesión de quien llama
+   * @param {string} permission - Permiso requerido
+   * @returns {Promise<Object>} Funcionario (ver requireStaffSession)
+   * @throws {AuthError} SESSION_EXPIRED o PERMISSION_DENIED
+   */
+  async function requireStaffCaller(db, sessionId, permission) {
+    const staff = await requireStaffSession(db, sessionId);
+    const role = normalizeRole(staff.role);
+    if (!roleCan(role, permission) || (window.Config.get('twoFactor.required') && !staff.totp_enabled)) {
+      throw new AuthError('PERMISSION_DENIED', undefined, { permission, role });
+    }
+    return staff;
+  }
+
+  // ============================================
+  // POLÍTICA DE CONTRASEÑAS
+  // ============================================
+
+  /**
+   * Obtiene la política de contraseñas configurada (passwords.* en config.json)
+   * @returns {{minLength: number, requireUppercase: boolean, requireLowercase: boolean, requireDigit: boolean, requireSymbol: boolean, historySize: number}}
+   */
+  function getPasswordPolicy() {
+    return window.Config.get('passwords');
+  }
+
+  /**
+   * Evalúa una contraseña contra la política (sin consultar el historial)
+   * @param {string} password - Contraseña propuesta
+   * @param {Object} context - Datos del titular que no pueden usarse como contraseña
+   * @param {string} context.code - Código del estudiante
+   * @param {string} context.cedula - Cédula del estudiante
+   * @param {string} context.email - Email del funcionario
+   * @returns {{valid: boolean, problems: Array<string>, score: number, label: string}}
+   *   score va de 0 (muy débil) a 4 (muy fuerte)
+   */
+  function evaluatePassword(password, context = {}) {
+    const policy = getPasswordPolicy();
+    const value = String(password || '');
+    const problems = [];
+
+    const classes = [
+      [/[A-Z]/, policy.requireUppercase, 'una letra mayúscula'],
+      [/[a-z]/, policy.requireLowercase, 'una letra minúscula'],
+      [/\d/, policy.requireDigit, 'un número'],
+      [/[^A-Za-z0-9]/, policy.requireSymbol, 'un símbolo']
+    ];
+
+    if (value.length < policy.minLength) {
+      problems.push(`Debe tener al menos ${policy.minLength} caracteres`);
+    }
+    classes.forEach(([pattern, required, description]) => {
+      if (required && !pattern.test(value)) {
+        problems.push(`Debe incluir ${description}`);
+      }
+    });
+
+    const lowered = value.toLowerCase();
+    const identifiers = [
+      ['el código', context.code],
+      ['la cédula', context.cedula],
+      ['el usuario del email', context.email ? String(context.email).split('@')[0] : '']
+    ];
+    identifiers.forEach(([description, identifier]) => {
+      const normalized = String(identifier || '').trim().toLowerCase();
+      if (normalized.length >= 4 && lowered.includes(normalized)) {
+        problems.push(`No puede contener ${description}`);
+      }
+    });
+
+    const variety = classes.filter(([pattern]) => pattern.test(value)).length;
+    let score = 0;
+    if (value.length >= policy.minLength) score++;
+    if (value.length >= policy.minLength + 4) score++;
+    if (variety >= 3) score++;
+    if (variety === 4) score++;
+    if (problems.length) score = Math.min(score, 1);
+
+    return {
+      valid: problems.length === 0,
+      problems,
+      score,
+      label: PASSWORD_STRENGTH_LABELS[score]
+    };
+  }
+
+  /**
+   * Hashes de las últimas contraseñas de una cuenta (tabla password_history,
+   * sin acceso desde el portal), del más reciente al más antiguo
+   * @param {Object} db - Cliente de la base de datos
+   * @param {string} userType - 'student' o 'staff'
+   * @param {string} userId - Código o email
+   * @param {number} limit - Cantidad máxima
+   * @returns {Promise<Array<{id: string, hash: string}>>}
+   */
+  async function readPasswordHistory(db, userType, userId, limit) {
+    const { data, error } = await db
+      .from('password_history')
+      .select('id, hash')
+      .eq('user_type', userType)
+      .eq('user_id', userId)
+      .order('changed_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw dbError(error);
+    return data || [];
+  }
+
+  /**
+   * Verifica que una contraseña cumpla la política y no repita la actual
+   * ni las últimas `historySize` del historial
+   * @param {Object} db - Cliente de la base de datos
+   * @param {string} password - Contraseña propuesta
+   * @param {Object} context - Datos del titular (ver evaluatePassword)
+   * @param {Object|null} account - Cuenta existente { userType, userId, passwordHash }
+   * @returns {Promise<void>}
+   * @throws {AuthError} VALIDATION con `details.problems` si no la cumple
+   */
+  async function assertPasswordAllowed(db, password, context, account = null) {
+    const { problems } = evaluatePassword(password, context);
+    const historySize = getPasswordPolicy().historySize;
+
+    if (!problems.length && account && historySize > 0) {
+      const history = await readPasswordHistory(db, account.userType, account.userId, historySize);
+      const previous = [account.passwordHash, ...history.map(entry => entry.hash)];
+
+      for (const hash of previous.filter(Boolean)) {
+        if ((await verifyPassword(password, hash)).valid) {
+          problems.push(`No puede repetir ninguna de las últimas ${historySize} contraseñas`);
+          break;
+        }
+      }
+    }
+
+    if (problems.length) {
+      throw new AuthError('VALIDATION', `La contraseña no cumple la política: ${problems.join('. ')}`, { problems });
+    }
+  }
+
+  /**
+   * Guarda una contraseña nueva: reemplaza el hash de la cuenta y lo
+   * agrega al historial (se conservan los últimos PASSWORD_HISTORY_MAX)
+   * @param {Object} db - Cliente de la base de datos
+   * @param {string} userType - 'student' o 'staff'
+   * @param {string} userId - Código o email
+   * @param {string} password - Contraseña en texto plano
+   * @param {Object} options - Opciones
+   * @param {string} options.changedBy - Quién la cambia
+   * @param {Object} options.changes - Otras columnas a actualizar (ej: first_login)
+   * @returns {Promise<void>}
+   */
+  async function savePassword(db, userType, userId, password, { changedBy, changes = {} }) {
+    const account = LOGIN_ACCOUNTS[userType];
+    const hash = await hashPassword(password);
+    const now = Date.now();
+
+    const { error } = await db
+      .from(account.table)
+      .update({ ...changes, password_hash: hash, updated_at: now })
+      .eq(account.column, userId);
+
+    if (error) throw dbError(error);
+    await rememberPassword(db, userType, userId, hash, changedBy, now);
+  }
+
+  /**
+   * Agrega un hash al historial de contraseñas y descarta los más antiguos
+   * @param {Object} db - Cliente de la base de datos
+   * @param {string} userType - 'student' o 'staff'
+   * @param {string} userId - Código o email
+   * @param {string} hash - Hash de la contraseña
+   * @param {string} changedBy - Quién la cambió
+   * @param {number} changedAt - Timestamp
+   * @returns {Promise<void>}
+   */
+  async function rememberPassword(db, userType, userId, hash, changedBy, changedAt) {
+    const { error } = await db
+      .from('password_history')
+      .insert({ user_type: userType, user_id: userId, hash, changed_by: changedBy, changed_at: changedAt });
+
+    if (error) throw dbError(error);
+
+    const history = await readPasswordHistory(db, userType, userId, PASSWORD_HISTORY_MAX + 1);
+    const stale = history.slice(PASSWORD_HISTORY_MAX).map(entry => entry.id);
+    if (stale.length) {
+      const { error: deleteError } = await db.from('password_history').delete().in('id', stale);
+      if (deleteError) console.warn('No se pudo recortar el historial de contraseñas:', deleteError);
+    }
+  }
+
+  // ============================================
+  // INTENTOS DE INICIO DE SESIÓN
+  // ============================================
+
+  /**
+   * Obtiene los límites de intentos de inicio de sesión (login.* en config.json)
+   * @returns {{maxAttempts: number, clientMaxAttempts: number, attemptWindowMinutes: number, lockoutMinutes: number, delayBaseMs: number, delayMaxMs: number}}
+   */
+  function getLoginSettings() {
+    return window.Config.get('login');
+  }
+
+  /**
+   * Llaves de login_attempts para una cuenta y para la conexión de quien llama
+   * @param {string} type - 'student' o 'staff'
+   * @param {string} identifier - Código o email
+   * @param {string} clientAddress - IP de quien llama
+   * @returns {{account: string, client: string}}
+   */
+  function attemptKeys(type, identifier, clientAddress) {
+    return {
+      account: `${type}:${String(identifier || '').trim().toLowerCase()}`,
+      client: `client:${clientAddress || 'desconocido'}`
+    };
+  }
+
+  /**
+   * Construye el error de acceso bloqueado
+   * @param {number} lockedUntil - Fin del bloqueo
+   * @param {string} scope - 'account' (la cuenta) o 'client' (la conexión)
+   * @returns {AuthError}
+   */
+  function lockedError(lockedUntil, scope) {
+    const message = scope === 'client'
+      ? 'Demasiados intentos fallidos desde esta conexión. Intenta de nuevo más tarde.'
+      : 'La cuenta está bloqueada temporalmente por demasiados intentos fallidos.';
+    return new AuthError('ACCOUNT_LOCKED', message, { lockedUntil, scope });
+  }
+
+  /**
+   * Verifica que ni la cuenta ni la conexión estén bloqueadas, sin contar
+   * un intento (para acciones que no verifican un secreto)
+   * @param {Object} db - Cliente de la base de datos
+   * @param {{account: string, client: string}} keys - Llaves de attemptKeys()
+   * @returns {Promise<void>}
+   * @throws {AuthError} ACCOUNT_LOCKED con `details.lockedUntil` y `details.scope`
+   */
+  async function assertNotLocked(db, keys) {
+    const { data, error } = await db
+      .from('login_attempts')
+      .select('key, locked_until')
+      .in('key', [keys.account, keys.client]);
+
+    if (error) throw dbError(error);
+
+    const now = Date.now();
+    for (const scope of ['account', 'client']) {
+      const row = (data || []).find(r => r.key === keys[scope]);
+      if (row && row.locked_until && row.locked_until > now) {
+        throw lockedError(row.locked_until, scope);
+      }
+    }
+  }
+
+  /**
+   * Cuenta un intento antes de verificar la contraseña (función SQL
+   * claim_login_attempt, atómica): así varios intentos simultáneos no
+   * pasan todos antes de que se registre el primer fallo. Si el intento
+   * alcanza el límite la cuenta queda bloqueada de inmediato; un acierto
+   * lo descuenta con releaseAttempt().
+   * @param {Object} db - Cliente de la base de datos
+   * @param {{account: string, client: string}} keys - Llaves de attemptKeys()
+   * @returns {Promise<{account: Object, client: Object}>} Contadores tras el intento
+   * @throws {AuthError} ACCOUNT_LOCKED si la cuenta o la conexión ya estaban bloqueadas
+   */
+  async function claimAttempt(db, keys) {
+    const settings = getLoginSettings();
+    const { data, error } = await db.rpc('claim_login_attempt', {
+      p_keys: [keys.account, keys.client],
+      p_limits: [settings.maxAttempts, settings.clientMaxAttempts],
+      p_now: Date.now(),
+      p_window_ms: settings.attemptWindowMinutes * 60000,
+      p_lock_ms: settings.lockoutMinutes * 60000
+    });
+
+    if (error) throw dbError(error);
+    if (data.status === 'locked') {
+      throw lockedError(data.locked_until, data.key === keys.client ? 'client' : 'account');
+    }
+
+    const byKey = new Map(data.attempts.map(row => [row.key, row]));
+    return { account: byKey.get(keys.account), client: byKey.get(keys.client) };
+  }
+
+  /**
+   * Descuenta el intento de un acceso correcto: reinicia la cuenta y no
+   * lo cuenta para la conexión
+   * @param {Object} db - Cliente de la base de datos
+   * @param {{account: string, client: string}} keys - Llaves de attemptKeys()
+   * @returns {Promise<void>}
+   */
+  async function releaseAttempt(db, keys) {
+    const { error } = await db.rpc('release_login_attempt', {
+      p_account_key: keys.account,
+      p_client_key: keys.client,
+      p_client_limit: getLoginSettings().clientMaxAttempts
+    });
+
+    if (error) throw dbError(error);
+  }
+
+  /**
+   * Completa un intento fallido: audita el bloqueo, aplica la espera
+   * progresiva y arma el error para quien llama
+   * @param {Object} db - Cliente de la base de datos
+   * @param {string} type - 'student' o 'staff'
+   * @param {string} identifier - Código o email usado
+   * @param {{account: Object, client: Object}} attempt - Contadores de claimAttempt()
+   * @returns {Promise<AuthError>} Error a lanzar (INVALID_CREDENTIALS o ACCOUNT_LOCKED)
+   */
+  async function attemptFailed(db, type, identifier, attempt) {
+    const settings = getLoginSettings();
+    const { account, client } = attempt;
+
+    if (account.locked_until) {
+      await recordAudit(db, {
+        action: `${type}.lockout`,
+        targetType: type,
+        targetId: identifier,
+        changes: { failed_attempts: { from: null, to: account.failed_attempts } },
+        actor: 'system'
+      });
+    }
+
+    // Espera progresiva: se duplica con cada fallo hasta delayMaxMs
+    const delay = Math.min(settings.delayBaseMs * 2 ** (account.failed_attempts - 1), settings.delayMaxMs);
+    await new Promise(resolve => setTimeout(resolve, delay));
+
+    if (account.locked_until) return lockedError(account.locked_until, 'account');
+    if (client.locked_until) return lockedError(client.locked_until, 'client');
+    return new AuthError('INVALID_CREDENTIALS', undefined, {
+      remainingAttempts: settings.maxAttempts - account.failed_attempts
+    });
+  }
+
+  // ============================================
+  // RECUPERACIÓN DE CONTRASEÑA
+  // ============================================
+
+  /**
+   * Obtiene los límites de los códigos de recuperación (passwordReset.* en config.json)
+   * @returns {{codeLength: number, expiryMinutes: number, maxAttempts: number, resendSeconds: number}}
+   */
+  function getPasswordResetSettings() {
+    return window.Config.get('passwordReset');
+  }
+
+  /**
+   * Oculta parte de un correo para mostrarlo sin revelarlo completo
+   * @param {string} email - Correo
+   * @returns {string} Ej: "j***z@unipacifico.edu.co"
+   */
+  function maskEmail(email) {
+    const [user, domain] = String(email).split('@');
+    const visible = user.length > 2 ? `${user[0]}***${user[user.length - 1]}` : `${user[0]}***`;
+    return `${visible}@${domain}`;
+  }
+
+  /**
+   * Genera un código numérico aleatorio sin sesgo
+   * @param {number} length - Número de dígitos
+   * @returns {string}
+   */
+  function generateResetCode(length) {
+    let code = '';
+    while (code.length < length) {
+      const bytes = crypto.getRandomValues(new Uint8Array(length));
+      // Descartar 250-255 para que cada dígito sea igual de probable
+      bytes.forEach(b => {
+        if (b < 250 && code.length < length) code += String(b % 10);
+      });
+    }
+    return code;
+  }
+
+  /**
+   * Hash de un código de recuperación (el código nunca se guarda en claro)
+   * @param {string} resetId - Id de la solicitud (actúa como salt)
+   * @param {string} code - Código enviado al estudiante
+   * @returns {Promise<string>}
+   */
+  function hashResetCode(resetId, code) {
+    return sha256(`${resetId}:${String(code).trim()}`);
+  }
+
+  /**
+   * Lee la solicitud de recuperación pendiente más reciente de un estudiante
+   * @param {Object} db - Cliente de la base de datos
+   * @param {string} studentCode - Código del estudiante
+   * @returns {Promise<Object|null>}
+   */
+  async function getPendingReset(db, studentCode) {
+    const { data, error } = await db
+      .from('password_resets')
+      .select('*')
+      .eq('student_code', studentCode)
+      .is('used_at', null)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw dbError(error);
+    return data;
+  }
+
+  /**
+   * Marca como usadas las solicitudes pendientes de un estudiante
+   * @param {Object} db - Cliente de la base de datos
+   * @param {string} studentCode - Código del estudiante
+   * @param {number} now - Timestamp
+   * @returns {Promise<number>} Solicitudes cerradas
+   */
+  async function closePendingResets(db, studentCode, now) {
+    const { data, error } = await db
+      .from('password_resets')
+      .update({ used_at: now })
+      .eq('student_code', studentCode)
+      .is('used_at', null)
+      .select('id');
+
+    if (error) throw dbError(error);
+    return (data || []).length;
+  }
+
+  // ============================================
+  // VERIFICACIÓN EN DOS PASOS (TOTP)
+  // ============================================
+
+  /**
+   * Obtiene la configuración de la verificación en dos pasos (twoFactor.* en config.json)
+   * @returns {{required: boolean, issuer: string, recoveryCodes: number}}
+   */
+  function getTwoFactorSettings() {
+    return window.Config.get('twoFactor');
+  }
+
+  /**
+   * Codifica bytes en base32 (RFC 4648, sin relleno), el formato de las apps autenticadoras
+   * @param {Uint8Array} bytes - Bytes
+   * @returns {string}
+   */
+  function base32Encode(bytes) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    bytes.forEach(byte => {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    });
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+  }
+
+  /**
+   * Decodifica un texto base32 (ignora espacios, guiones y relleno)
+   * @param {string} text - Texto base32
+   * @returns {Uint8Array}
+   */
+  function base32Decode(text) {
+    const clean = String(text || '').toUpperCase().replace(/[\s=-]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+    for (const char of clean) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) continue;
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+    return new Uint8Array(bytes);
+  }
+
+  /**
+   * Paso de tiempo TOTP de un instante
+   * @param {number} now - Timestamp (ms)
+   * @returns {number}
+   */
+  function totpStep(now) {
+    return Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+  }
+
+  /**
+   * Calcula el código TOTP (HMAC-SHA1) de un paso de tiempo
+   * @param {string} secret - Secreto en base32
+   * @param {number} step - Paso de tiempo
+   * @returns {Promise<string>} Código de TOTP_DIGITS dígitos
+   */
+  async function totpCode(secret, step) {
+    requireSubtleCrypto();
+    const key = await crypto.subtle.importKey('raw', base32Decode(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+
+    const counter = new Uint8Array(8);
+    let remaining = step;
+    for (let i = 7; i >= 0; i--) {
+      counter[i] = remaining % 256;
+      remaining = Math.floor(remaining / 256);
+    }
+
+    const mac = new Uint8Array(await crypto.subtle.sign('HMAC', key, counter));
+    const offset = mac[mac.length - 1] & 15;
+    const binary = ((mac[offset] & 127) << 24) | (mac[offset + 1] << 16) | (mac[offset + 2] << 8) | mac[offset + 3];
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+  }
+
+  /**
+   * Busca el paso de tiempo que corresponde a un código, tolerando un
+   * desfase de TOTP_DRIFT_STEPS pasos. Los pasos ya usados no se aceptan
+   * de nuevo (un código no sirve dos veces).
+   * @param {string} secret - Secreto en base32
+   * @param {string} code - Código ingresado
+   * @param {number|null} lastStep - Último paso aceptado (last_step)
+   * @returns {Promise<number|null>} Paso aceptado o null
+   */
+  async function matchTotp(secret, code, lastStep) {
+    const clean = String(code || '').replace(/\s/g, '');
+    if (!secret || !new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(clean)) return null;
+
+    const current = totpStep(Date.now());
+    for (let drift = -TOTP_DRIFT_STEPS; drift <= TOTP_DRIFT_STEPS; drift++) {
+      const step = current + drift;
+      if (lastStep != null && step <= lastStep) continue;
+      if (safeEqual(await totpCode(secret, step), clean)) return step;
+    }
+    return null;
+  }
+
+  /**
+   * Genera códigos de recuperación de un solo uso (formato xxxxx-xxxxx)
+   * @param {number} count - Cantidad de códigos
+   * @returns {Array<string>}
+   */
+  function generateRecoveryCodes(count) {
+    return Array.from({ length: count }, () => {
+      let code = '';
+      while (code.length < 10) {
+        // Descartar los bytes que harían unos caracteres más probables que otros
+        crypto.getRandomValues(new Uint8Array(16)).forEach(b => {
+          if (b < 248 && code.length < 10) code += RECOVERY_CODE_ALPHABET[b % RECOVERY_CODE_ALPHABET.length];
+        });
+      }
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+
+  /**
+   * Hash de un código de recuperación (los códigos nunca se guardan en claro)
+   * @param {string} email - Email del funcionario
+   * @param {string} code - Código de recuperación (con o sin guion)
+   * @returns {Promise<string>}
+   */
+  function hashRecoveryCode(email, code) {
+    const clean = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    return sha256(`recovery:${String(email).toLowerCase()}:${clean}`);
+  }
+
+  /**
+   * Genera un juego nuevo de códigos de recuperación
+   * @param {string} email - Email del funcionario
+   * @returns {Promise<{codes: Array<string>, hashes: Array<string>}>} Códigos en claro y sus hashes
+   */
+  async function newRecoveryCodes(email) {
+    const codes = generateRecoveryCodes(getTwoFactorSettings().recoveryCodes);
+    const hashes = await Promise.all(codes.map(code => hashRecoveryCode(email, code)));
+    return { codes, hashes };
+  }
+
+  /**
+   * Lee la lista de hashes de códigos de recuperación
+   * @param {string|Array|null} raw - Valor de recovery_codes
+   * @returns {Array<string>}
+   */
+  function parseRecoveryCodes(raw) {
+    let list = raw;
+    if (typeof raw === 'string') {
+      try {
+        list = JSON.parse(raw);
+      } catch (_) {
+        list = [];
+      }
+    }
+    return Array.isArray(list) ? list.filter(hash => typeof hash === 'string') : [];
+  }
+
+  /**
+   * Lee el secreto y los códigos de recuperación de un funcionario
+   * (tabla staff_two_factor, sin acceso desde el portal)
+   * @param {Object} db - Cliente de la base de datos
+   * @param {string} staffId - Id del funcionario
+   * @returns {Promise<Object|null>} { staff_id, secret, last_step, recovery_codes, updated_at }
+   */
+  async function getTwoFactor(db, staffId) {
+    const { data, error } = await db
+      .from('staff_two_factor')
+      .select('*')
+      .eq('staff_id', staffId)
+      .maybeSingle();
+
+    if (error) throw dbError(error);
+    return data;
+  }
+
+  /**
+   * Guarda cambios en staff_two_factor solo si nadie más los cambió desde
+   * que se leyeron (mismo updated_at): un código no se puede usar dos
+   * veces con peticiones simultáneas
+   * @param {Object} db - Cliente de la base de datos
+   * @param {Object} current - Fila leída con getTwoFactor()
+   * @param {Object} changes - Columnas a cambiar
+   * @returns {Promise<boolean>} false si la fila cambió entretanto
+   */
+  async function updateTwoFactor(db, current, changes) {
+    const { data, error } = await db
+      .from('staff_two_factor')
+      .update({ ...changes, updated_at: Math.max(Date.now(), Number(current.updated_at) + 1) })
+      .eq('staff_id', current.staff_id)
+      .eq('updated_at', current.updated_at)
+      .select('staff_id');
+
+    if (error) throw dbError(error);
+    return (data || []).length > 0;
+  }
+
+  /**
+   * Quita la verificación en dos pasos de un funcionario
+   * @param {Object} db - Cliente de la base de datos
+   * @param {Object} staff - Funcionario (id)
+   * @returns {Promise<void>}
+   */
+  async function clearTwoFactor(db, staff) {
+    const { error } = await db
+      .from('staff_two_factor')
+      .delete()
+      .eq('staff_id', staff.id);
+
+    if (error) throw dbError(error);
+
+    const { error: staffError } = await db
+      .from('staff')
+      .update({ totp_enabled: false, totp_enabled_at: null, updated_at: Date.now() })
+      .eq('id', staff.id);
+
+    if (staffError) throw dbError(staffError);
+  }
+
+  /**
+   * Verifica un segundo factor: código de la app o, si se permite, un
+   * código de recuperación. Marca el código como usado.
+   * @param {Object} db - Cliente de la base de datos
+   * @param {Object} staff - Funcionario (id, email)
+   * @param {string} code - Código ingresado
+   * @param {boolean} allowRecovery - Aceptar códigos de recuperación
+   * @returns {Promise<{method: string, recoveryCodesLeft: number}|null>} null si el código no es válido
+   */
+  async function consumeSecondFactor(db, staff, code, allowRecovery) {
+    const current = await getTwoFactor(db, staff.id);
+    if (!current) return null;
+
+    const recovery = parseRecoveryCodes(current.recovery_codes);
+    const step = await matchTotp(current.secret, code, current.last_step);
+    let changes = null;
+    let method = 'totp';
+
+    if (step !== null) {
+      changes = { last_step: step };
+    } else if (allowRecovery) {
+      const hash = await hashRecoveryCode(staff.email, code);
+      const index = recovery.findIndex(stored => safeEqual(stored, hash));
+      if (index !== -1) {
+        recovery.splice(index, 1);
+        changes = { recovery_codes: recovery };
+        method = 'recovery';
+      }
+    }
+
+    if (!changes || !await updateTwoFactor(db, current, changes)) return null;
+    return { method, recoveryCodesLeft: recovery.length };
+  }
+
+  // ============================================
+  // ACCIONES
+  // ============================================
+
+  const ACTIONS = {
+    /**
+     * Inicio de sesión con contraseña: abre la sesión en el servidor. Un
+     * hash heredado se reemplaza por el formato vigente.
+     * @param {Object} request - { userType: 'student'|'staff', identifier, password, userAgent }
+     * @returns {Promise<{user: Object, session: Object}>} Estudiante o funcionario, sin hashes,
+     *   y la sesión (ver createSession)
+     * @throws {AuthError} INVALID_CREDENTIALS (con `details.remainingAttempts`), ACCOUNT_LOCKED,
+     *   INACTIVE_ACCOUNT o CARD_EXPIRED (vencido fuera del periodo de gracia)
+     */
+    async login({ userType, identifier, password, userAgent }, { db, clientAddress, tokenSecret }) {
+      const account = LOGIN_ACCOUNTS[userType];
+      if (!account) {
+        throw new AuthError('VALIDATION', 'Tipo de cuenta desconocido');
+      }
+      const id = String(identifier || '').trim();
+      const keys = attemptKeys(userType, id, clientAddress);
+      const attempt = await claimAttempt(db, keys);
+
+      const { data: record, error } = await db
+        .from(account.table)
+        .select(`${account.columns}, password_hash`)
+        .eq(account.column, id)
+        .is('deleted_at', null)
+        .maybeSingle();
+
+      if (error) throw dbError(error);
+
+      const { valid, needsRehash } = await verifyPassword(String(password || ''), record && record.password_hash);
+      if (!valid) {
+        throw await attemptFailed(db, userType, id, attempt);
+      }
+
+      await releaseAttempt(db, keys);
+
+      // Inactivo o vencido fuera del periodo de gracia: la contraseña era correcta pero no hay acceso
+      if (userType === 'student') assertCardUsable(record);
+
+      if (needsRehash) {
+        const { error: rehashError } = await db
+          .from(account.table)
+          .update({ password_hash: await hashPassword(String(password)) })
+          .eq(account.column, id);
+
+        // Se reintentará en el próximo inicio de sesión
+        if (rehashError) console.warn('No se pudo actualizar el hash de contraseña:', rehashError);
+      }
+
+      const { password_hash, ...user } = record;
+      // Con verificación en dos pasos la sesión no da acceso hasta twoFactor.verify
+      const session = await createSession(db, userType, userType === 'staff' ? user.email : user.code, {
+        twoFactorPending: userType === 'staff' && user.totp_enabled === true,
+        userAgent,
+        tokenSecret
+      });
+      return { user, session };
+    },
+
+    /**
+     * Envía un código de recuperación al correo institucional del
+     * estudiante. El código solo viaja en el correo: ni se guarda en claro
+     * ni se entrega a quien lo pide. Reemplaza cualquier código pendiente.
+     * @param {Object} request - { identifier } (código del estudiante)
+     * @returns {Promise<{email: string, expiresAt: number}>} Correo enmascarado y vencimiento
+     * @throws {AuthError} VALIDATION sin correo registrado o antes de `details.retryAfterSeconds`,
+     *   INACTIVE_ACCOUNT, CARD_EXPIRED o ACCOUNT_LOCKED
+     */
+    async 'reset.request'({ identifier }, { db, clientAddress, sendMail }) {
+      const code = String(identifier || '').trim();
+      const settings = getPasswordResetSettings();
+      const now = Date.now();
+
+      await assertNotLocked(db, attemptKeys('student', code, clientAddress));
+
+      const { data: student, error } = await db
+        .from('students')
+        .select('code, name, email, active, expiry')
+        .eq('code', code)
+        .is('deleted_at', null)
+        .maybeSingle();
+
+      if (error) throw dbError(error);
+
+      // Mismo mensaje si el código no existe, para no revelar qué códigos están registrados
+      if (!student || !student.email) {
+        throw new AuthError('VALIDATION', 'No hay un correo institucional registrado para este código. Contacta a un funcionario.');
+      }
+
+      assertCardUsable(student);
+
+      const pending = await getPendingReset(db, student.code);
+      const waitMs = pending ? pending.created_at + settings.resendSeconds * 1000 - now : 0;
+      if (waitMs > 0) {
+        const retryAfterSeconds = Math.ceil(waitMs / 1000);
+        throw new AuthError('VALIDATION', `Ya enviamos un código. Espera ${retryAfterSeconds} segundos para pedir otro.`, { retryAfterSeconds });
+      }
+
+      await closePendingResets(db, student.code, now);
+
+      const resetCode = generateResetCode(settings.codeLength);
+      const id = crypto.randomUUID();
+      const expiresAt = now + settings.expiryMinutes * 60000;
+
+      const { error: insertError } = await db
+        .from('password_resets')
+        .insert({
+          id,
+          student_code: student.code,
+          code_hash: await hashResetCode(id, resetCode),
+          expires_at: expiresAt,
+          attempts: 0,
+          used_at: null,
+          created_at: now
+        });
+
+      if (insertError) throw dbError(insertError);
+
+      try {
+        await sendMail({
+          to: student.email,
+          subject: 'Código para restablecer tu contraseña - Carnet Digital',
+          text: [
+            `Hola ${student.name},`,
+            '',
+            `Tu código para restablecer la contraseña del Carnet Digital es: ${resetCode}`,
+            '',
+            `Vence en ${settings.expiryMinutes} minutos y solo se puede usar una vez.`,
+            'Si no lo solicitaste, ignora este correo: tu contraseña actual sigue funcionando.'
+          ].join('\n')
+        });
+      } catch (err) {
+        // Sin correo entregado el código no sirve; se borra para poder pedir otro de inmediato
+        console.error('No se pudo enviar el código de recuperación:', err);
+        await db.from('password_resets').delete().eq('id', id);
+        throw new AuthError(err && err.code === 'NETWORK' ? 'NETWORK' : 'UNKNOWN', (err && err.message) || 'No se pudo enviar el correo');
+      }
+
+      await recordAudit(db, {
+        action: 'student.reset_request',
+        targetType: 'student',
+        targetId: student.code,
+        changes: { email: { from: null, to: maskEmail(student.email) } },
+        actor: student.code
+      });
+
+      return { email: maskEmail(student.email), expiresAt };
+    },
+
+    /**
+     * Canjea un código de recuperación. El estudiante queda en primer
+     * acceso (debe definir una nueva contraseña) y se cierran sus demás
+     * sesiones. Cada código errado cuenta como un intento fallido de
+     * inicio de sesión.
+     * @param {Object} request - { identifier, resetCode, userAgent }
+     * @returns {Promise<{user: Object, session: Object}>} Estudiante, sin hashes, y la sesión nueva
+     * @throws {AuthError} INVALID_CREDENTIALS (con `details.remainingAttempts`), VALIDATION si el
+     *   código venció, ya se usó o agotó sus intentos, INACTIVE_ACCOUNT, CARD_EXPIRED o ACCOUNT_LOCKED
+     */
+    async 'reset.redeem'({ identifier, resetCode, userAgent }, { db, clientAddress, tokenSecret }) {
+      const code = String(identifier || '').trim();
+      const settings = getPasswordResetSettings();
+      const keys = attemptKeys('student', code, clientAddress);
+      const now = Date.now();
+
+      const pending = await getPendingReset(db, code);
+      if (!pending || pending.expires_at <= now) {
+        if (pending) await closePendingResets(db, code, now);
+        await assertNotLocked(db, keys);
+        throw new AuthError('VALIDATION', 'El código venció o ya se usó. Solicita uno nuevo.');
+      }
+
+      const attempt = await claimAttempt(db, keys);
+
+      const valid = safeEqual(await hashResetCode(pending.id, String(resetCode || '')), pending.code_hash);
+      if (!valid) {
+        const attempts = pending.attempts + 1;
+        const exhausted = attempts >= settings.maxAttempts;
+        const { error } = await db
+          .from('password_resets')
+          .update({ attempts, used_at: exhausted ? now : null })
+          .eq('id', pending.id);
+
+        if (error) throw dbError(error);
+
+        const failure = await attemptFailed(db, 'student', code, attempt);
+        if (failure.code !== 'INVALID_CREDENTIALS') throw failure;
+        if (exhausted) {
+          throw new AuthError('VALIDATION', 'Superaste los intentos permitidos para este código. Solicita uno nuevo.');
+        }
+        throw new AuthError('INVALID_CREDENTIALS', 'El código no es correcto', {
+          remainingAttempts: Math.min(settings.maxAttempts - attempts, failure.details.remainingAttempts)
+        });
+      }
+
+      await releaseAttempt(db, keys);
+
+      const account = LOGIN_ACCOUNTS.student;
+      const { data: student, error } = await db
+        .from(account.table)
+        .select(account.columns)
+        .eq(account.column, code)
+        .is('deleted_at', null)
+        .maybeSingle();
+
+      if (error) throw dbError(error);
+      if (!student) {
+        throw new AuthError('NOT_FOUND', 'Estudiante no encontrado');
+      }
+      assertCardUsable(student);
+
+      // Marcar el código como usado antes de dar acceso: dos canjes simultáneos no pasan ambos
+      if (!await closePendingResets(db, code, now)) {
+        throw new AuthError('VALIDATION', 'El código venció o ya se usó. Solicita uno nuevo.');
+      }
+
+      const { error: updateError } = await db
+        .from(account.table)
+        .update({ first_login: true, updated_at: now })
+        .eq(account.column, code);
+
+      if (updateError) throw dbError(updateError);
+
+      await revokeUserSessions(db, 'student', code, 'password_reset', code);
+
+      await recordAudit(db, {
+        action: 'student.reset_redeem',
+        targetType: 'student',
+        targetId: code,
+        changes: { first_login: { from: student.first_login, to: true } },
+        actor: code
+      });
+
+      const session = await createSession(db, 'student', code, { userAgent, tokenSecret });
+      return { user: { ...student, first_login: true }, session };
+    },
+
+    /**
+     * Cambia la contraseña del estudiante en sesión: debe cumplir la
+     * política y no repetir las anteriores. Cierra sus demás sesiones.
+     * @param {Object} request - { sessionId, newPassword }
+     * @returns {Promise<boolean>} true si se actualizó
+     * @throws {AuthError} SESSION_EXPIRED, PERMISSION_DENIED, NOT_FOUND o VALIDATION (con `details.problems`)
+     */
+    async 'password.change'({ sessionId, newPassword }, { db }) {
+      const session = await checkSession(db, sessionId);
+      if (session.user_type !== 'student') {
+        throw new AuthError('PERMISSION_DENIED', 'Solo puedes cambiar tu propia contraseña');
+      }
+
+      const { data: student, error } = await db
+        .from('students')
+        .select('code, cedula, password_hash')
+        .eq('code', session.user_id)
+        .is('deleted_at', null)
+        .maybeSingle();
+
+      if (error) throw dbError(error);
+      if (!student) {
+        throw new AuthError('NOT_FOUND', 'Estudiante no encontrado');
+      }
+
+      const password = String(newPassword || '');
+      await assertPasswordAllowed(db, password, { code: student.code, cedula: student.cedula }, {
+        userType: 'student', userId: student.code, passwordHash: student.password_hash
+      });
+      await savePassword(db, 'student', student.code, password, { changedBy: 'self', changes: { first_login: false } });
+
+      // Las demás sesiones del estudiante (ej: otro equipo) se cierran
+      await revokeUserSessions(db, 'student', student.code, 'password_change', student.code, session.id);
+      return true;
+    },
+
+    /**
+     * Restablece la contraseña de un estudiante y cierra sus sesiones. Sin
+     * `newPassword` vuelve a la predeterminada (su cédula, o el código si
+     * no tiene), como al crearlo, sin validarla contra la política:
+     * first_login obliga a cambiarla en el siguiente ingreso.
+     * @param {Object} request - { sessionId, code, newPassword }
+     * @returns {Promise<boolean>} true si se actualizó
+     * @throws {AuthError} SESSION_EXPIRED, PERMISSION_DENIED, NOT_FOUND o VALIDATION (con `details.problems`)
+     */
+    async 'students.resetPassword'({ sessionId, code, newPassword }, { db }) {
+      const caller = await requireStaffCaller(db, sessionId, 'students.reset_password');
+
+      const { data: student, error } = await db
+        .from('students')
+        .select('code, cedula, password_hash')
+        .eq('code', String(code || '').trim())
+        .is('deleted_at', null)
+        .maybeSingle();
+
+      if (error) throw dbError(error);
+      if (!student) {
+        throw new AuthError('NOT_FOUND', 'Estudiante no encontrado');
+      }
+
+      const toDefault = newPassword == null;
+      const password = toDefault ? student.cedula || student.code : String(newPassword);
+      if (!toDefault) {
+        await assertPasswordAllowed(db, password, { code: student.code, cedula: student.cedula }, {
+          userType: 'student', userId: student.code, passwordHash: student.password_hash
+        });
+      }
+      await savePassword(db, 'student', student.code, password, { changedBy: caller.email, changes: { first_login: true } });
+      await revokeUserSessions(db, 'student', student.code, 'password_reset', caller.email);
+
+      await recordAudit(db, {
+        action: 'student.reset_password',
+        targetType: 'student',
+        targetId: student.code,
+        changes: {
+          password_hash: { from: '[oculto]', to: toDefault ? '[predeterminada]' : '[oculto]' },
+          first_login: { from: null, to: true }
+        },
+        actor: caller.email
+      });
+
+      return true;
+    },
+
+    /**
+     * Crea un funcionario con email institucional (staff.emailDomains) y
+     * una contraseña que cumpla la política
+     * @param {Object} request - { sessionId, name, email, role, password }
+     * @returns {Promise<{id: string, name: string, email: string, role: string}>} Funcionario creado
+     * @throws {AuthError} SESSION_EXPIRED, PERMISSION_DENIED, DUPLICATE (`details.deleted` si está
+     *   en la papelera) o VALIDATION (con `details.problems` si la contraseña no cumple la política)
+     */
+    async 'staff.create'({ sessionId, name, email, role, password }, { db }) {
+      const caller = await requireStaffCaller(db, sessionId, 'staff.manage');
+
+      if (!Object.prototype.hasOwnProperty.call(STAFF_ROLES, role)) {
+        throw new AuthError('VALIDATION', 'Selecciona un rol válido para el funcionario');
+      }
+
+      const address = String(email || '').trim();
+      const domains = window.Config.get('staff.emailDomains');
+      if (!domains.some(domain => address.toLowerCase().endsWith(`@${domain.toLowerCase()}`))) {
+        throw new AuthError('VALIDATION', `Email debe ser institucional (${domains.map(d => '@' + d).join(' o ')})`);
+      }
+
+      const { data: existing, error: existingError } = await db
+        .from('staff')
+        .select('id, deleted_at')
+        .eq('email', address)
+        .maybeSingle();
+
+      if (existingError) throw dbError(existingError);
+      if (existing && existing.deleted_at) {
+        throw new AuthError('DUPLICATE', 'El funcionario está en la papelera. Restáuralo desde la sección Papelera.', { deleted: true });
+      }
+      if (existing) {
+        throw new AuthError('DUPLICATE', 'El funcionario ya existe');
+      }
+
+      const secret = String(password || '');
+      await assertPasswordAllowed(db, secret, { email: address });
+      const hash = await hashPassword(secret);
+      const now = Date.now();
+
+      const { data: staff, error } = await db
+        .from('staff')
+        .insert({
+          id: address,
+          name: String(name || '').trim(),
+          email: address,
+          role,
+          password_hash: hash,
+          created_at: now,
+          updated_at: now
+        })
+        .select('id, name, email, role')
+        .single();
+
+      if (error && error.code === '23505') {
+        throw new AuthError('DUPLICATE', 'El funcionario ya existe');
+      }
+      if (error) throw dbError(error);
+
+      await rememberPassword(db, 'staff', staff.email, hash, caller.email, now);
+
+      await recordAudit(db, {
+        action: 'staff.create',
+        targetType: 'staff',
+        targetId: staff.id,
+        changes: {
+          id: { from: null, to: staff.id },
+          name: { from: null, to: staff.name || null },
+          email: { from: null, to: staff.email },
+          role: { from: null, to: staff.role }
+        },
+        actor: caller.email
+      });
+
+      return staff;
+    },
+
+    /**
+     * Restablece la contraseña de un funcionario (debe cumplir la política
+     * y no repetir las anteriores) y cierra sus sesiones, salvo la de
+     * quien hace el cambio
+     * @param {Object} request - { sessionId, email, newPassword }
+     * @returns {Promise<boolean>} true si se actualizó
+     * @throws {AuthError} SESSION_EXPIRED, PERMISSION_DENIED, NOT_FOUND o VALIDATION (con `details.problems`)
+     */
+    async 'staff.resetPassword'({ sessionId, email, newPassword }, { db }) {
+      const caller = await requireStaffCaller(db, sessionId, 'staff.manage');
+
+      const { data: staff, error } = await db
+        .from('staff')
+        .select('id, email, password_hash')
+        .eq('email', String(email || '').trim())
+        .is('deleted_at', null)
+        .maybeSingle();
+
+      if (error) throw dbError(error);
+      if (!staff) {
+        throw new AuthError('NOT_FOUND', 'Funcionario no encontrado');
+      }
+
+      const password = String(newPassword || '');
+      await assertPasswordAllowed(db, password, { email: staff.email }, {
+        userType: 'staff', userId: staff.email, passwordHash: staff.password_hash
+      });
+      await savePassword(db, 'staff', staff.email, password, { changedBy: caller.email });
+      await revokeUserSessions(db, 'staff', staff.email, 'password_reset', caller.email, await sessionKey(sessionId));
+
+      await recordAudit(db, {
+        action: 'staff.reset_password',
+        targetType: 'staff',
+        targetId: staff.id,
+        changes: { password_hash: { from: '[oculto]', to: '[oculto]' } },
+        actor: caller.email
+      });
+
+      return true;
+    },
+
+    /**
+     * Estado de la verificación en dos pasos del funcionario en sesión
+     * @param {Object} request - { sessionId }
+     * @returns {Promise<{enabled: boolean, required: boolean, enabledAt: number|null, recoveryCodesLeft: number}>}
+     */
+    async 'twoFactor.status'({ sessionId }, { db }) {
+      const staff = await requireStaffSession(db, sessionId);
+      const current = staff.totp_enabled ? await getTwoFactor(db, staff.id) : null;
+      return {
+        enabled: staff.totp_enabled === true,
+        required: getTwoFactorSettings().required,
+        enabledAt: staff.totp_enabled_at || null,
+        recoveryCodesLeft: current ? parseRecoveryCodes(current.recovery_codes).length : 0
+      };
+    },
+
+    /**
+     * Inicia la activación: genera un secreto nuevo (aún inactivo) para
+     * escanear como código QR en la app autenticadora. Es la única vez que
+     * el secreto sale del servidor, y solo hacia su dueño.
+     * @param {Object} request - { sessionId }
+     * @returns {Promise<{secret: string, otpauthUrl: string}>}
+     * @throws {AuthError} VALIDATION si ya está activa
+     */
+    async 'twoFactor.begin'({ sessionId }, { db }) {
+      const staff = await requireStaffSession(db, sessionId);
+      if (staff.totp_enabled) {
+        throw new AuthError('VALIDATION', 'La verificación en dos pasos ya está activa');
+      }
+
+      const secret = base32Encode(crypto.getRandomValues(new Uint8Array(TOTP_SECRET_BYTES)));
+      const { error } = await db
+        .from('staff_two_factor')
+        .upsert({ staff_id: staff.id, secret, last_step: null, recovery_codes: [], updated_at: Date.now() });
+
+      if (error) throw dbError(error);
+
+      const issuer = getTwoFactorSettings().issuer;
+      const label = encodeURIComponent(`${issuer}:${staff.email}`);
+      const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD_SECONDS)
+      });
+      return { secret, otpauthUrl: `otpauth://totp/${label}?${params.toString()}` };
+    },
+
+    /**
+     * Confirma la activación con un código de la app y entrega los códigos
+     * de recuperación (solo se muestran esta vez)
+     * @param {Object} request - { sessionId, code }
+     * @returns {Promise<{recoveryCodes: Array<string>}>}
+     * @throws {AuthError} VALIDATION si no hay una activación en curso o el código no es correcto
+     */
+    async 'twoFactor.confirm'({ sessionId, code }, { db }) {
+      const staff = await requireStaffSession(db, sessionId);
+      const current = await getTwoFactor(db, staff.id);
+      if (staff.totp_enabled || !current) {
+        throw new AuthError('VALIDATION', 'No hay una activación en curso. Vuelve a empezar.');
+      }
+
+      const step = await matchTotp(current.secret, code, null);
+      if (step === null) {
+        throw new AuthError('VALIDATION', 'El código no es correcto. Revisa que la hora del teléfono esté sincronizada.');
+      }
+
+      const { codes, hashes } = await newRecoveryCodes(staff.email);
+      if (!await updateTwoFactor(db, current, { last_step: step, recovery_codes: hashes })) {
+        throw new AuthError('VALIDATION', 'No hay una activación en curso. Vuelve a empezar.');
+      }
+
+      const now = Date.now();
+      const { error } = await db
+        .from('staff')
+        .update({ totp_enabled: true, totp_enabled_at: now, updated_at: now })
+        .eq('id', staff.id);
+
+      if (error) throw dbError(error);
+
+      await recordAudit(db, {
+        action: 'staff.2fa_enable',
+        targetType: 'staff',
+        targetId: staff.id,
+        changes: { totp_enabled: { from: false, to: true } },
+        actor: staff.email
+      });
+
+      return { recoveryCodes: codes };
+    },
+
+    /**
+     * Reemplaza los códigos de recuperación (los anteriores dejan de servir)
+     * @param {Object} request - { sessionId, code } (código actual de la app)
+     * @returns {Promise<{recoveryCodes: Array<string>}>}
+     * @throws {AuthError} VALIDATION si no está activa o el código no es correcto
+     */
+    async 'twoFactor.regenerate'({ sessionId, code }, { db }) {
+      const staff = await requireStaffSession(db, sessionId);
+      if (!staff.totp_enabled) {
+        throw new AuthError('VALIDATION', 'La verificación en dos pasos no está activa');
+      }
+      if (!await consumeSecondFactor(db, staff, code, false)) {
+        throw new AuthError('VALIDATION', 'El código no es correcto');
+      }
+
+      const current = await getTwoFactor(db, staff.id);
+      const { codes, hashes } = await newRecoveryCodes(staff.email);
+      if (!await updateTwoFactor(db, current, { recovery_codes: hashes })) {
+        throw new AuthError('VALIDATION', 'Los códigos cambiaron mientras tanto. Intenta de nuevo.');
+      }
+
+      await recordAudit(db, {
+        action: 'staff.2fa_recovery_regenerated',
+        targetType: 'staff',
+        targetId: staff.id,
+        changes: { recovery_codes: { from: parseRecoveryCodes(current.recovery_codes).length, to: codes.length } },
+        actor: staff.email
+      });
+
+      return { recoveryCodes: codes };
+    },
+
+    /**
+     * Desactiva la verificación en dos pasos propia
+     * @param {Object} request - { sessionId, code } (código de la app o de recuperación)
+     * @returns {Promise<boolean>} true si se desactivó
+     * @throws {AuthError} VALIDATION si es obligatoria, no está activa o el código no es correcto
+     */
+    async 'twoFactor.disable'({ sessionId, code }, { db }) {
+      const staff = await requireStaffSession(db, sessionId);
+      if (getTwoFactorSettings().required) {
+        throw new AuthError('VALIDATION', 'La verificación en dos pasos es obligatoria en este despliegue y no se puede desactivar');
+      }
+      if (!staff.totp_enabled) {
+        throw new AuthError('VALIDATION', 'La verificación en dos pasos no está activa');
+      }
+      if (!await consumeSecondFactor(db, staff, code, true)) {
+        throw new AuthError('VALIDATION', 'El código no es correcto');
+      }
+
+      await clearTwoFactor(db, staff);
+
+      await recordAudit(db, {
+        action: 'staff.2fa_disable',
+        targetType: 'staff',
+        targetId: staff.id,
+        changes: { totp_enabled: { from: true, to: false } },
+        actor: staff.email
+      });
+
+      return true;
+    },
+
+    /**
+     * Restablece la verificación en dos pasos de otro funcionario (ej: perdió
+     * el teléfono y sus códigos de recuperación) y cierra sus sesiones
+     * @param {Object} request - { sessionId, email }
+     * @returns {Promise<boolean>} true si se restableció
+     * @throws {AuthError} PERMISSION_DENIED, NOT_FOUND o VALIDATION (propia cuenta o sin 2FA activa)
+     */
+    async 'twoFactor.reset'({ sessionId, email }, { db }) {
+      const caller = await requireStaffCaller(db, sessionId, 'staff.manage');
+      const target = String(email || '').trim();
+
+      if (caller.email.toLowerCase() === target.toLowerCase()) {
+        throw new AuthError('VALIDATION', 'Para desactivar tu propia verificación en dos pasos usa la sección Seguridad');
+      }
+
+      const { data: staff, error } = await db
+        .from('staff')
+        .select('id, email, totp_enabled')
+        .eq('email', target)
+        .is('deleted_at', null)
+        .maybeSingle();
+
+      if (error) throw dbError(error);
+      if (!staff) {
+        throw new AuthError('NOT_FOUND', 'Funcionario no encontrado');
+      }
+      if (!staff.totp_enabled && !await getTwoFactor(db, staff.id)) {
+        throw new AuthError('VALIDATION', `${staff.email} no tiene activa la verificación en dos pasos`);
+      }
+
+      await clearTwoFactor(db, staff);
+      await revokeUserSessions(db, 'staff', staff.email, '2fa_reset', caller.email);
+
+      await recordAudit(db, {
+        action: 'staff.2fa_reset',
+        targetType: 'staff',
+        targetId: staff.id,
+        changes: { totp_enabled: { from: staff.totp_enabled === true, to: false } },
+        actor: caller.email
+      });
+
+      return true;
+    },
+
+    /**
+     * Segundo paso del inicio de sesión: acepta el código de la app o un
+     * código de recuperación y habilita la sesión pendiente. Los códigos
+     * errados cuentan como intentos fallidos de inicio de sesión; al
+     * bloquearse la cuenta se cierra la sesión pendiente.
+     * @param {Object} request - { sessionId, code }
+     * @returns {Promise<{method: string, recoveryCodesLeft: number}>} method: 'totp' o 'recovery'
+     * @throws {AuthError} INVALID_CREDENTIALS (con `details.remainingAttempts`), ACCOUNT_LOCKED
+     *   o SESSION_EXPIRED si pasó el tiempo para ingresar el código
+     */
+    async 'twoFactor.verify'({ sessionId, code }, { db, clientAddress }) {
+      const now = Date.now();
+      const pending = await findSession(db, sessionId);
+
+      const expired = new AuthError('SESSION_EXPIRED', 'Pasó el tiempo para ingresar el código. Inicia sesión de nuevo.', { reason: 'expired' });
+      if (!pending || pending.user_type !== 'staff' || !pending.two_factor_pending || pending.revoked_at ||
+          now - pending.created_at > TWO_FACTOR_CHALLENGE_MS) {
+        throw expired;
+      }
+
+      const { data: staff, error } = await db
+        .from('staff')
+        .select('id, email, totp_enabled')
+        .eq('email', pending.user_id)
+        .is('deleted_at', null)
+        .maybeSingle();
+
+      if (error) throw dbError(error);
+      if (!staff || !staff.totp_enabled) throw expired;
+
+      const keys = attemptKeys('staff', pending.user_id, clientAddress);
+      const attempt = await claimAttempt(db, keys);
+
+      const result = await consumeSecondFactor(db, staff, code, true);
+      if (!result) {
+        const failure = await attemptFailed(db, 'staff', pending.user_id, attempt);
+        if (failure.code !== 'INVALID_CREDENTIALS') {
+          await db
+            .from('sessions')
+            .update({ revoked_at: now, revoked_by: pending.user_id, revoked_reason: 'revoked' })
+            .eq('id', pending.id);
+          throw failure;
+        }
+        throw new AuthError('INVALID_CREDENTIALS', 'El código no es correcto', failure.details);
+      }
+
+      await releaseAttempt(db, keys);
+
+      const { error: updateError } = await db
+        .from('sessions')
+        .update({ two_factor_pending: false, last_seen_at: now })
+        .eq('id', pending.id);
+
+      if (updateError) throw dbError(updateError);
+
+      if (result.method === 'recovery') {
+        await recordAudit(db, {
+          action: 'staff.2fa_recovery_used',
+          targetType: 'staff',
+          targetId: staff.id,
+          changes: { recovery_codes: { from: result.recoveryCodesLeft + 1, to: result.recoveryCodesLeft } },
+          actor: staff.email
+        });
+      }
+
+      return result;
+    },
+
+    /**
+     * Verifica la sesión de quien llama
+     * @param {Object} request - { sessionId }
+     * @returns {Promise<{userType: string, userId: string, expiresAt: number}>} Dueño de la sesión
+     * @throws {AuthError} SESSION_EXPIRED con `details.reason`
+     */
+    async 'session.check'({ sessionId }, { db }) {
+      const row = await checkSession(db, sessionId);
+      return { userType: row.user_type, userId: row.user_id, expiresAt: row.expires_at };
+    },
+
+    /**
+     * Marca actividad en la sesión de quien llama (reinicia la inactividad)
+     * @param {Object} request - { sessionId }
+     * @returns {Promise<{userType: string, userId: string, expiresAt: number}>} Dueño de la sesión
+     * @throws {AuthError} SESSION_EXPIRED con `details.reason`
+     */
+    async 'session.touch'({ sessionId }, { db }) {
+      const row = await checkSession(db, sessionId);
+      const { error } = await db
+        .from('sessions')
+        .update({ last_seen_at: Date.now() })
+        .eq('id', row.id);
+
+      if (error) throw dbError(error);
+      return { userType: row.user_type, userId: row.user_id, expiresAt: row.expires_at };
+    },
+
+    /**
+     * Cierra la sesión de quien llama
+     * @param {Object} request - { sessionId, reason: 'logout'|'idle' }
+     * @returns {Promise<boolean>} true si estaba abierta
+     */
+    async 'session.end'({ sessionId, reason }, { db }) {
+      const row = await findSession(db, sessionId);
+      if (!row || row.revoked_at) return false;
+
+      const { data, error } = await db
+        .from('sessions')
+        .update({ revoked_at: Date.now(), revoked_by: row.user_id, revoked_reason: reason === 'idle' ? 'idle' : 'logout' })
+        .eq('id', row.id)
+        .is('revoked_at', null)
+        .select('id');
+
+      if (error) throw dbError(error);
+      return (data || []).length > 0;
+    },
+
+    /**
+     * Descarta una sesión que espera la verificación en dos pasos (login cancelado)
+     * @param {Object} request - { sessionId }
+     * @returns {Promise<boolean>} true si estaba pendiente
+     */
+    async 'session.cancel'({ sessionId }, { db }) {
+      const { data, error } = await db
+        .from('sessions')
+        .update({ revoked_at: Date.now(), revoked_by: 'system', revoked_reason: 'logout' })
+        .eq('id', await sessionKey(sessionId))
+        .eq('two_factor_pending', true)
+        .is('revoked_at', null)
+        .select('id');
+
+      if (error) throw dbError(error);
+      return (data || []).length > 0;
+    },
+
+    /**
+     * Cierra las sesiones de una cuenta. Se permite sobre la propia cuenta
+     * (ej: al cambiar la contraseña) o a un funcionario con el permiso de
+     * REVOCATION_PERMISSIONS para ese tipo de cuenta y motivo.
+     * @param {Object} request - { sessionId, userType, userId, reason, exceptCurrent }
+     *   exceptCurrent: conservar la sesión de quien llama
+     * @returns {Promise<number>} Sesiones cerradas
+     * @throws {AuthError} VALIDATION, SESSION_EXPIRED o PERMISSION_DENIED
+     */
+    async 'session.revoke'({ sessionId, userType, userId, reason, exceptCurrent }, { db }) {
+      const permissions = Object.prototype.hasOwnProperty.call(REVOCATION_PERMISSIONS, userType) ? REVOCATION_PERMISSIONS[userType] : null;
+      if (!permissions || !(Object.prototype.hasOwnProperty.call(permissions, reason) || reason === 'password_change')) {
+        throw new AuthError('VALIDATION', 'Tipo de cuenta o motivo desconocido');
+      }
+      const target = String(userId || '').trim();
+      const caller = await checkSession(db, sessionId);
+      if (caller.user_type !== userType || caller.user_id !== target) {
+        if (!permissions[reason]) throw new AuthError('PERMISSION_DENIED');
+        await requireStaffCaller(db, sessionId, permissions[reason]);
+      }
+
+      return revokeUserSessions(db, userType, target, reason, caller.user_id, exceptCurrent ? caller.id : null);
+    },
+
+    /**
+     * Cuentas bloqueadas de un tipo
+     * @param {Object} request - { sessionId, userType }
+     * @returns {Promise<Object>} { identificador: lockedUntil }
+     */
+    async 'lockouts.list'({ sessionId, userType }, { db }) {
+      await requireStaffCaller(db, sessionId, userType === 'staff' ? 'staff.manage' : 'students.view');
+      const { data, error } = await db
+        .from('login_attempts')
+        .select('key, locked_until')
+        .like('key', `${userType}:%`)
+        .gt('locked_until', Date.now());
+
+      if (error) throw dbError(error);
+
+      const locked = {};
+      (data || []).forEach(row => {
+        locked[row.key.slice(userType.length + 1)] = row.locked_until;
+      });
+      return locked;
+    },
+
+    /**
+     * Desbloquea una cuenta y reinicia su contador
+     * @param {Object} request - { sessionId, userType, identifier }
+     * @returns {Promise<boolean>} true si se desbloqueó
+     */
+    async 'lockouts.unlock'({ sessionId, userType, identifier }, { db }) {
+      if (!ACCOUNT_ACCESS_PERMISSIONS[userType]) {
+        throw new AuthError('VALIDATION', 'Tipo de cuenta desconocido');
+      }
+      const caller = await requireStaffCaller(db, sessionId, ACCOUNT_ACCESS_PERMISSIONS[userType]);
+      const { error } = await db
+        .from('login_attempts')
+        .delete()
+        .eq('key', attemptKeys(userType, identifier).account);
+
+      if (error) throw dbError(error);
+
+      await recordAudit(db, {
+        action: `${userType}.unlock`,
+        targetType: userType,
+        targetId: identifier,
+        changes: { locked_until: { from: '[bloqueada]', to: null } },
+        actor: caller.email
+      });
+      return true;
+    }
+  };
+
+  /**
+   * Atiende una petición al servidor de autenticación
+   * @param {Object} request - { action, ...parámetros }
+   * @param {Object} context - { db, clientAddress, sendMail, tokenSecret }
+   * @returns {Promise<{data: *}|{error: {code: string, message: string, details: Object}}>}
+   */
+  async function handle(request, context) {
+    const name = request && request.action;
+    try {
+      if (!Object.prototype.hasOwnProperty.call(ACTIONS, name)) {
+        throw new AuthError('VALIDATION', `Acción desconocida: ${name}`);
+      }
+      return { data: await ACTIONS[name](request, context) };
+    } catch (error) {
+      const known = error instanceof AuthError ? error : new AuthError('UNKNOWN');
+      if (known !== error) console.error('Error en el servidor de autenticación:', error);
+      return { error: { code: known.code, message: known.message, details: known.details } };
+    }
+  }
+
+  /**
+   * API pública del servidor de autenticación
+   * @namespace window.AuthServer
+   */
+  window.AuthServer = {
+    handle,
+    hashPassword,
+    verifyPassword,
+    evaluatePassword,
+    sha256,
+    safeEqual,
+    toHex,
+    cardStatus,
+    assertCardUsable,
+    STAFF_ROLES,
+    ACCOUNT_ACCESS_PERMISSIONS,
+    normalizeRole,
+    roleCan,
+    AuthError
+  };
+})();
@@ -27,6 +27,9 @@
 (function() {
   'use strict';
 
+  // Imagen de relleno cuando el estudiante no tiene foto
+  const PHOTO_PLACEHOLDER = "data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' width='300' height='400'%3E%3Crect fill='%23f0f0f0' width='300' height='400'/%3E%3Ctext x='50%25' y='50%25' font-family='Arial' font-size='14' fill='%23999' text-anchor='middle' dy='.3em'%3ESube tu foto%3C/text%3E%3C/svg%3E";
+
   /**
    * Verificar que las librerías necesarias estén disponibles
    * @returns {boolean} true si JsBarcode está disponible
@@ -39,43 +42,15 @@
     return true;
   }
 
-  /**
-   * Formatear fecha a formato español legible
-   * @param {string} dateString - Fecha en formato YYYY-MM-DD o formato español
-   * @returns {string} Fecha formateada en español (ej: "15 ENERO 2025")
-   */
-  function formatDateToSpanish(dateString) {
-    if (!dateString) return '';
-    
-    // Si ya viene en formato legible, retornarlo
-    if (dateString.includes(' ')) return dateString;
-    
-    try {
-      const date = new Date(dateString + 'T00:00:00');
-      const months = [
-        'ENERO', 'FEBRERO', 'MARZO', 'ABRIL', 'MAYO', 'JUNIO',
-        'JULIO', 'AGOSTO', 'SEPTIEMBRE', 'OCTUBRE', 'NOVIEMBRE', 'DICIEMBRE'
-      ];
-      
-      const day = date.getDate();
-      const month = months[date.getMonth()];
-      const year = date.getFullYear();
-      
-      return `${day} ${month} ${year}`;
-    } catch (e) {
-      return dateString;
-    }
-  }
-
   /**
    * Generar código codificado para el código de barras
    * @param {Object} data - Datos del estudiante
    * @param {string} data.code - Código del estudiante
-   * @returns {string} Código en formato "UPAC-{codigo}"
+   * @returns {string} Código en formato "{prefijo}{codigo}" (por defecto "UPAC-{codigo}")
    */
   function encodeStudentData(data) {
-    // Formato: UPAC-{codigo} para identificar carnets de Universidad del Pacífico
-    return `UPAC-${data.code}`;
+    // El prefijo (card.barcodePrefix) identifica carnets de Universidad del Pacífico
+    return `${window.Config.get('card.barcodePrefix')}${data.code}`;
   }
 
   /**
@@ -85,9 +60,11 @@
    */
   async function decodeStudentData(encodedString) {
     try {
+      await window.Config.load();
+      const prefix = window.Config.get('card.barcodePrefix');
       let code = '';
-      if (encodedString.startsWith('UPAC-')) {
-        code = encodedString.substring(5);
+      if (encodedString.startsWith(prefix)) {
+        code = encodedString.substring(prefix.length);
       } else {
         code = encodedString;
       }
@@ -96,13 +73,15 @@
         return { code: '' };
       }
       
-      // Consultar datos del estudiante en Supabase
+      // Consultar datos del estudiante a través del módulo API
       try {
-        if (window.Supabase) {
-          const { data: studentData, error: studentError } = await window.Supabase
+        if (window.API) {
+          const client = await window.API.getClient();
+          const { data: studentData, error: studentError } = await client
             .from('students')
-            .select('code, cedula, name, lastname, program, expiry, sede, rh, photo, active')
+            .select('code, cedula, name, lastname, program, expiry, sede, rh, photo_url, photo, active')
             .eq('code', code)
+            .is('deleted_at', null)
             .single();
 
           if (!studentError && studentData) {
@@ -110,7 +89,7 @@
           }
         }
       } catch (e) {
-        console.warn('Error al consultar Supabase:', e);
+        console.warn('Error al consultar estudiante:', e);
       }
       
       // Fallback: retornar código básico
@@ -265,7 +244,7 @@
 
   /**
    * Actualizar todos los elementos visuales del carnet con los datos del estudiante
-   * @param {Object} data - Datos del estudiante (name, lastname, code, cedula, program, expiry, sede, rh, photo)
+   * @param {Object} data - Datos del estudiante (name, lastname, code, cedula, program, expiry, sede, rh, photo_url, photo)
    */
   function updateCardData(data) {
     // Elementos del frente del carnet
@@ -289,18 +268,37 @@
     const barcodeText = document.getElementById('barcodeText');
 
     if (expiryDate) {
-      const formattedDate = formatDateToSpanish(data.expiry);
+      const formattedDate = window.Dates.formatSpanish(data.expiry);
       expiryDate.textContent = formattedDate;
     }
     if (barcodeText) barcodeText.textContent = data.code || '';
 
-    // Foto
+    // Foto (URL de Storage o Base64 heredada)
     if (profileImage) {
-      if (data.photo) {
-        profileImage.src = data.photo;
-      } else {
-        profileImage.src = "data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' width='300' height='400'%3E%3Crect fill='%23f0f0f0' width='300' height='400'/%3E%3Ctext x='50%25' y='50%25' font-family='Arial' font-size='14' fill='%23999' text-anchor='middle' dy='.3em'%3ESube tu foto%3C/text%3E%3C/svg%3E";
+      const photoUrl = window.API ? window.API.Photos.getUrl(data) : data.photo;
+      profileImage.src = PHOTO_PLACEHOLDER;
+      if (photoUrl) {
+        showProfilePhoto(profileImage, photoUrl);
+      }
+    }
+  }
+
+  /**
+   * Carga la foto del carnet. Las URLs remotas se piden con CORS para que
+   * html2canvas pueda incluirlas en el PDF.
+   * @param {HTMLImageElement} profileImage - Imagen del carnet
+   * @param {string} photoUrl - URL de la foto
+   */
+  async function showProfilePhoto(profileImage, photoUrl) {
+    try {
+      const src = window.API ? await window.API.Photos.resolveUrl(photoUrl) : photoUrl;
+      if (!src) return;
+      if (/^https?:/.test(src)) {
+        profileImage.crossOrigin = 'anonymous';
       }
+      profileImage.src = src;
+    } catch (err) {
+      console.warn('No se pudo cargar la foto del carnet:', err);
     }
   }
 
@@ -461,7 +459,8 @@
    * @param {string} data.expiry - Fecha de expiración
    * @param {string} data.sede - Sede de la universidad
    * @param {string} data.rh - Factor RH (opcional)
-   * @param {string} data.photo - Foto en Base64 (opcional)
+   * @param {string} data.photo_url - URL de la foto en Storage (opcional)
+   * @param {string} data.photo - Foto en Base64 heredada, si aún no se migró (opcional)
    */
   window.generateCard = function(data) {
     // Actualizar datos en el carnet
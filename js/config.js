@@ -0,0 +1,315 @@
+/**
+ * ============================================
+ * CONFIGURACIÓN EN TIEMPO DE EJECUCIÓN
+ * Sistema de Carnet Digital - Universidad del Pacífico
+ * ============================================
+ *
+ * DESCRIPCIÓN:
+ * Carga la configuración del despliegue desde config/config.json al
+ * iniciar, de modo que un mismo build sirva a varios despliegues
+ * (dev/staging/prod) sin editar código.
+ *
+ * ESTRUCTURA:
+ * - window.Config.load() - Carga, combina y valida la configuración (una sola vez)
+ * - window.Config.use(archivo, perfil) - Usa una configuración ya leída (fuera del navegador)
+ * - window.Config.get(ruta) - Lee un valor (ej: 'supabase.url')
+ * - window.Config.getProfile() - Perfil activo
+ * - window.Config.isLoaded() - Indica si ya se cargó
+ * - window.Config.setProfile() - Fija el perfil (requiere recargar la página)
+ *
+ * FORMATO DEL ARCHIVO:
+ * - defaultProfile: perfil por defecto
+ * - hosts: { hostname: perfil } para elegir el perfil según el dominio
+ * - shared: valores comunes a todos los perfiles
+ * - profiles: { dev, staging, prod } con los valores que cambian
+ *   (se combinan sobre `shared`; los arreglos se reemplazan completos)
+ * - supabase: va en cada perfil, no en `shared`, para que un perfil sin
+ *   proyecto propio no herede el de otro (ej: staging escribiendo en prod)
+ *
+ * NOTAS:
+ * - El perfil se puede forzar con ?env=staging; la elección se recuerda
+ *   en localStorage igual que ?backend=
+ * - Una configuración inválida impide iniciar la API con un error que
+ *   lista todos los problemas encontrados
+ *
+ * ============================================
+ */
+
+(function() {
+  'use strict';
+
+  const PROFILE_KEY = 'config_profile';
+  const PROFILES = ['dev', 'staging', 'prod'];
+
+  // Ruta del archivo relativa a este script (sirve desde index.html y desde html/)
+  const CONFIG_URL = (() => {
+    try {
+      return new URL('../config/config.json', document.currentScript.src).href;
+    } catch (_) {
+      return 'config/config.json';
+    }
+  })();
+
+  /**
+   * Reglas de validación: ruta -> [validador, descripción del valor esperado]
+   */
+  const RULES = {
+    'backend': [v => v === 'supabase' || v === 'local', "'supabase' o 'local'"],
+    'supabase.url': [v => typeof v === 'string' && /^https?:\/\/[^\s/]+/.test(v), 'una URL http(s)'],
+    'supabase.anonKey': [v => typeof v === 'string' && v.trim().length > 0, 'un texto no vacío'],
+    'staff.emailDomains': [
+      v => Array.isArray(v) && v.length > 0 && v.every(d => typeof d === 'string' && /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(d)),
+      'una lista no vacía de dominios (sin @)'
+    ],
+    'session.durationDays': [v => typeof v === 'number' && v > 0, 'un número mayor que 0'],
+    'session.idleMinutes': [v => typeof v === 'number' && v >= 1, 'un número mayor o igual a 1'],
+    'session.idleWarningSeconds': [v => Number.isInteger(v) && v >= 10, 'un entero mayor o igual a 10'],
+    'passwords.minLength': [v => Number.isInteger(v) && v >= 6, 'un entero mayor o igual a 6'],
+    'passwords.requireUppercase': [v => typeof v === 'boolean', 'true o false'],
+    'passwords.requireLowercase': [v => typeof v === 'boolean', 'true o false'],
+    'passwords.requireDigit': [v => typeof v === 'boolean', 'true o false'],
+    'passwords.requireSymbol': [v => typeof v === 'boolean', 'true o false'],
+    'passwords.historySize': [v => Number.isInteger(v) && v >= 0 && v <= 10, 'un entero entre 0 y 10'],
+    'login.maxAttempts': [v => Number.isInteger(v) && v > 0, 'un entero mayor que 0'],
+    'login.clientMaxAttempts': [v => Number.isInteger(v) && v > 0, 'un entero mayor que 0'],
+    'login.attemptWindowMinutes': [v => typeof v === 'number' && v > 0, 'un número mayor que 0'],
+    'login.lockoutMinutes': [v => typeof v === 'number' && v > 0, 'un número mayor que 0'],
+    'login.delayBaseMs': [v => Number.isInteger(v) && v >= 0, 'un entero mayor o igual a 0'],
+    'login.delayMaxMs': [v => Number.isInteger(v) && v >= 0, 'un entero mayor o igual a 0'],
+    'passwordReset.codeLength': [v => Number.isInteger(v) && v >= 6 && v <= 10, 'un entero entre 6 y 10'],
+    'passwordReset.expiryMinutes': [v => typeof v === 'number' && v > 0 && v <= 60, 'un número mayor que 0 y hasta 60'],
+    'passwordReset.maxAttempts': [v => Number.isInteger(v) && v > 0, 'un entero mayor que 0'],
+    'passwordReset.resendSeconds': [v => Number.isInteger(v) && v >= 0, 'un entero mayor o igual a 0'],
+    'twoFactor.required': [v => typeof v === 'boolean', 'true o false'],
+    'twoFactor.issuer': [v => typeof v === 'string' && v.trim().length > 0 && !v.includes(':'), 'un texto no vacío sin ":"'],
+    'twoFactor.recoveryCodes': [v => Number.isInteger(v) && v >= 4 && v <= 20, 'un entero entre 4 y 20'],
+    'mail.transport': [v => typeof v === 'string' && /^[a-z0-9-]+$/.test(v), 'el nombre de un transporte (ej: supabase, mailpit, outbox)'],
+    'mail.from': [v => typeof v === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v), 'una dirección de correo'],
+    'students.expiringWindowDays': [v => Number.isInteger(v) && v >= 0, 'un entero mayor o igual a 0'],
+    'students.expiryGraceDays': [v => Number.isInteger(v) && v >= 0 && v <= 365, 'un entero entre 0 y 365'],
+    'students.expiryEnforcement': [v => v === 'block' || v === 'flag', "'block' o 'flag'"],
+    'students.duplicateNameSimilarity': [v => typeof v === 'number' && v >= 0.5 && v <= 1, 'un número entre 0.5 y 1'],
+    'students.emailDomains': [
+      v => Array.isArray(v) && v.length > 0 && v.every(d => typeof d === 'string' && /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(d)),
+      'una lista no vacía de dominios (sin @)'
+    ],
+    'card.barcodePrefix': [v => typeof v === 'string' && /^\S+$/.test(v), 'un texto sin espacios'],
+    'loans.libraryItems': [
+      v => Array.isArray(v) && v.length > 0 && v.every(i => typeof i === 'string' && i.trim()) && new Set(v).size === v.length,
+      'una lista no vacía de ítems sin repetir'
+    ]
+  };
+
+  // Reglas que solo aplican con el backend de Supabase (el local no usa un proyecto)
+  const SUPABASE_RULES = ['supabase.url', 'supabase.anonKey'];
+
+  /**
+   * Error de configuración
+   * @property {Array<string>} problems - Problemas encontrados
+   */
+  class ConfigError extends Error {
+    constructor(message, problems = []) {
+      super(problems.length ? `${message}: ${problems.join('; ')}` : message);
+      this.name = 'ConfigError';
+      this.problems = problems;
+    }
+  }
+
+  let current = null;
+  let activeProfile = null;
+  let loadPromise = null;
+
+  /**
+   * Indica si un valor es un objeto plano
+   * @param {*} value - Valor
+   * @returns {boolean}
+   */
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Combina `override` sobre `base` de forma recursiva (los arreglos se reemplazan)
+   * @param {Object} base - Valores base
+   * @param {Object} override - Valores del perfil
+   * @returns {Object} Nuevo objeto combinado
+   */
+  function merge(base, override) {
+    const result = { ...base };
+    Object.keys(override || {}).forEach(key => {
+      result[key] = isPlainObject(result[key]) && isPlainObject(override[key])
+        ? merge(result[key], override[key])
+        : override[key];
+    });
+    return result;
+  }
+
+  /**
+   * Congela un objeto y todos sus hijos
+   * @param {Object} value - Objeto
+   * @returns {Object} El mismo objeto congelado
+   */
+  function deepFreeze(value) {
+    if (value && typeof value === 'object') {
+      Object.values(value).forEach(deepFreeze);
+      Object.freeze(value);
+    }
+    return value;
+  }
+
+  /**
+   * Lee un valor por ruta con puntos
+   * @param {Object} source - Objeto de configuración
+   * @param {string} path - Ruta (ej: 'supabase.url')
+   * @returns {*} Valor o undefined
+   */
+  function readPath(source, path) {
+    return path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), source);
+  }
+
+  /**
+   * Determina el perfil activo: ?env= (recordado), hosts o defaultProfile
+   * @param {Object} file - Contenido de config.json
+   * @returns {string} Perfil
+   */
+  function resolveProfile(file) {
+    try {
+      const fromUrl = new URLSearchParams(window.location.search).get('env');
+      if (fromUrl && PROFILES.includes(fromUrl)) {
+        localStorage.setItem(PROFILE_KEY, fromUrl);
+      }
+      const stored = localStorage.getItem(PROFILE_KEY);
+      if (PROFILES.includes(stored)) return stored;
+    } catch (_) {
+      // Sin localStorage: se decide por dominio
+    }
+
+    const byHost = file.hosts && file.hosts[window.location.hostname];
+    return byHost || file.defaultProfile;
+  }
+
+  /**
+   * Valida la configuración combinada
+   * @param {Object} config - Configuración del perfil
+   * @param {string} profile - Perfil (para el mensaje)
+   * @throws {ConfigError} Si algún valor no es válido
+   */
+  function validate(config, profile) {
+    const problems = Object.keys(RULES)
+      .filter(path => config.backend === 'supabase' || !SUPABASE_RULES.includes(path))
+      .filter(path => !RULES[path][0](readPath(config, path)))
+      .map(path => `${path} debe ser ${RULES[path][1]}`);
+
+    if (problems.length) {
+      throw new ConfigError(`Configuración inválida (perfil ${profile})`, problems);
+    }
+  }
+
+  /**
+   * Construye la configuración de un perfil a partir del archivo
+   * @param {Object} file - Contenido de config.json
+   * @param {string} [forcedProfile] - Perfil a usar (por defecto se resuelve con resolveProfile)
+   * @returns {{profile: string, config: Object}}
+   * @throws {ConfigError} Si el archivo o el perfil no son válidos
+   */
+  function build(file, forcedProfile) {
+    if (!isPlainObject(file) || !isPlainObject(file.profiles)) {
+      throw new ConfigError('config.json debe tener un objeto "profiles"');
+    }
+
+    const profile = forcedProfile || resolveProfile(file);
+    if (!PROFILES.includes(profile) || !isPlainObject(file.profiles[profile])) {
+      throw new ConfigError(`Perfil de configuración desconocido: ${profile}`);
+    }
+
+    const config = merge(file.shared || {}, file.profiles[profile]);
+    validate(config, profile);
+    return { profile, config: deepFreeze(config) };
+  }
+
+  /**
+   * Carga la configuración (solo la primera vez; las siguientes reutilizan la promesa)
+   * @returns {Promise<Object>} Configuración del perfil activo (congelada)
+   * @throws {ConfigError} Si no se puede leer o no es válida
+   */
+  function load() {
+    if (loadPromise) return loadPromise;
+
+    loadPromise = fetch(CONFIG_URL, { cache: 'no-cache' })
+      .then(response => {
+        if (!response.ok) {
+          throw new ConfigError(`No se pudo leer la configuración (${response.status})`);
+        }
+        return response.json();
+      })
+      .then(file => {
+        const { profile, config } = build(file);
+        activeProfile = profile;
+        current = config;
+        return current;
+      })
+      .catch(error => {
+        // Permitir reintentar (ej: sin conexión al cargar)
+        loadPromise = null;
+        throw error instanceof ConfigError
+          ? error
+          : new ConfigError(`No se pudo cargar la configuración: ${error.message}`);
+      });
+
+    return loadPromise;
+  }
+
+  /**
+   * Usa una configuración ya leída, fuera del navegador (ej: la Edge
+   * Function auth, que no tiene URL ni localStorage para elegir el perfil)
+   * @param {Object} file - Contenido de config.json
+   * @param {string} [profile] - Perfil; por defecto el defaultProfile del archivo
+   * @returns {Object} Configuración del perfil (congelada)
+   * @throws {ConfigError} Si no es válida
+   */
+  function use(file, profile) {
+    const built = build(file, profile || (isPlainObject(file) && file.defaultProfile));
+    activeProfile = built.profile;
+    current = built.config;
+    loadPromise = Promise.resolve(current);
+    return current;
+  }
+
+  /**
+   * Lee un valor de la configuración cargada
+   * @param {string} path - Ruta con puntos (ej: 'loans.libraryItems')
+   * @returns {*} Valor
+   * @throws {ConfigError} Si la configuración no se ha cargado
+   */
+  function get(path) {
+    if (!current) {
+      throw new ConfigError(`Configuración no cargada al leer "${path}". Espera a Config.load().`);
+    }
+    return readPath(current, path);
+  }
+
+  /**
+   * Fija el perfil activo (requiere recargar la página)
+   * @param {string} profile - 'dev', 'staging' o 'prod'
+   */
+  function setProfile(profile) {
+    if (!PROFILES.includes(profile)) {
+      throw new ConfigError(`Perfil de configuración desconocido: ${profile}`);
+    }
+    localStorage.setItem(PROFILE_KEY, profile);
+  }
+
+  /**
+   * API pública de configuración
+   * @namespace window.Config
+   */
+  window.Config = {
+    load,
+    use,
+    get,
+    getProfile: () => activeProfile,
+    isLoaded: () => current !== null,
+    setProfile,
+    ConfigError
+  };
+})();
@@ -0,0 +1,160 @@
+/**
+ * ============================================
+ * FECHAS
+ * Sistema de Carnet Digital - Universidad del Pacífico
+ * ============================================
+ *
+ * DESCRIPCIÓN:
+ * Lectura, formato y comparación de fechas de calendario (sin hora),
+ * como la fecha de vencimiento del carnet. Es el único lugar donde
+ * se interpretan los nombres de los meses en español.
+ *
+ * ESTRUCTURA:
+ * - window.Dates.toYmd(valor) - Normaliza a YYYY-MM-DD (o null)
+ * - window.Dates.fromParts(año, mes, día) - Arma YYYY-MM-DD validando el día
+ * - window.Dates.parse(valor) - Date local a medianoche (o null)
+ * - window.Dates.today() / addDays(fecha, días) - Aritmética en YYYY-MM-DD
+ * - window.Dates.daysUntil(valor) / isPast(valor) - Comparaciones con hoy
+ * - window.Dates.formatSpanish(valor) - "15 ENERO 2025" para mostrar
+ *
+ * NOTAS:
+ * - El formato guardado es YYYY-MM-DD (columna date en la base de datos);
+ *   al ser de ancho fijo, se puede comparar y ordenar como texto
+ * - toYmd también acepta el formato español antiguo ("15 ENERO 2025",
+ *   "15 de enero de 2025"), de modo que los registros sin migrar se
+ *   siguen leyendo bien
+ *
+ * ============================================
+ */
+
+(function() {
+  'use strict';
+
+  const SPANISH_MONTHS = ['ENERO', 'FEBRERO', 'MARZO', 'ABRIL', 'MAYO', 'JUNIO', 'JULIO', 'AGOSTO', 'SEPTIEMBRE', 'OCTUBRE', 'NOVIEMBRE', 'DICIEMBRE'];
+
+  /**
+   * Arma una fecha YYYY-MM-DD verificando que el día exista
+   * @param {number} year - Año
+   * @param {number} month - Mes (1 a 12)
+   * @param {number} day - Día del mes
+   * @returns {string|null} Fecha YYYY-MM-DD o null si no existe (ej: 31 de febrero)
+   */
+  function fromParts(year, month, day) {
+    const date = new Date(year, month - 1, day);
+    if (!month || date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+      return null;
+    }
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
+  /**
+   * Convierte una fecha local a YYYY-MM-DD
+   * @param {Date} date - Fecha
+   * @returns {string} Fecha YYYY-MM-DD
+   */
+  function fromDate(date) {
+    return fromParts(date.getFullYear(), date.getMonth() + 1, date.getDate());
+  }
+
+  /**
+   * Normaliza una fecha a YYYY-MM-DD
+   * @param {string|Date} value - YYYY-MM-DD (con o sin hora), "15 ENERO 2025" o Date
+   * @returns {string|null} Fecha YYYY-MM-DD o null si no se puede leer
+   */
+  function toYmd(value) {
+    if (value instanceof Date) {
+      return isNaN(value.getTime()) ? null : fromDate(value);
+    }
+
+    const text = String(value || '').trim().toUpperCase();
+    let match;
+    if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:$|[T\s])/))) {
+      return fromParts(Number(match[1]), Number(match[2]), Number(match[3]));
+    }
+    if ((match = text.match(/^(\d{1,2})\s+(?:DE\s+)?([A-Z]+)\s+(?:DE\s+)?(\d{4})$/))) {
+      return fromParts(Number(match[3]), SPANISH_MONTHS.indexOf(match[2]) + 1, Number(match[1]));
+    }
+    return null;
+  }
+
+  /**
+   * Convierte una fecha a Date local a medianoche
+   * @param {string|Date} value - Fecha en cualquier formato aceptado por toYmd
+   * @returns {Date|null} Fecha o null si no se puede leer
+   */
+  function parse(value) {
+    const ymd = toYmd(value);
+    if (!ymd) return null;
+    const [year, month, day] = ymd.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+
+  /**
+   * Fecha de hoy (hora local)
+   * @returns {string} Fecha YYYY-MM-DD
+   */
+  function today() {
+    return fromDate(new Date());
+  }
+
+  /**
+   * Suma (o resta) días a una fecha
+   * @param {string|Date} value - Fecha
+   * @param {number} days - Días a sumar (negativo para restar)
+   * @returns {string|null} Fecha YYYY-MM-DD o null si no se puede leer
+   */
+  function addDays(value, days) {
+    const date = parse(value);
+    if (!date) return null;
+    return fromDate(new Date(date.getFullYear(), date.getMonth(), date.getDate() + days));
+  }
+
+  /**
+   * Días desde hoy hasta una fecha (negativo si ya pasó)
+   * @param {string|Date} value - Fecha
+   * @returns {number|null} Días o null si no se puede leer
+   */
+  function daysUntil(value) {
+    const date = parse(value);
+    if (!date) return null;
+    // Redondeo: un cambio de horario no debe mover el día
+    return Math.round((date - parse(today())) / (1000 * 60 * 60 * 24));
+  }
+
+  /**
+   * Indica si una fecha es anterior a hoy
+   * @param {string|Date} value - Fecha
+   * @returns {boolean} true si ya pasó (false si no se puede leer)
+   */
+  function isPast(value) {
+    const ymd = toYmd(value);
+    return ymd !== null && ymd < today();
+  }
+
+  /**
+   * Formatea una fecha en español legible
+   * @param {string|Date} value - Fecha
+   * @returns {string} Fecha formateada (ej: "15 ENERO 2025"); el texto original si no se puede leer
+   */
+  function formatSpanish(value) {
+    const date = parse(value);
+    if (!date) return value ? String(value) : '';
+    return `${date.getDate()} ${SPANISH_MONTHS[date.getMonth()]} ${date.getFullYear()}`;
+  }
+
+  /**
+   * API pública de fechas
+   * @namespace window.Dates
+   */
+  window.Dates = {
+    SPANISH_MONTHS,
+    toYmd,
+    fromParts,
+    parse,
+    today,
+    addDays,
+    daysUntil,
+    isPast,
+    formatSpanish
+  };
+})();
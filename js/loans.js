@@ -6,130 +6,575 @@
  * 
  * Funciones para gestionar préstamos de ítems de biblioteca
  * y laboratorio a estudiantes.
+ *
+ * Igual que window.API, las funciones resuelven con los datos y
+ * lanzan ApiError (ver API.ErrorCodes) cuando algo falla.
+ *
+ * Sin conexión, registerLoan() y returnLoan() guardan la operación en
+ * una cola IndexedDB que se reproduce en orden al volver la conexión
+ * (evento `loans:sync`).
  */
 
 (function() {
   'use strict';
 
-  // Catálogo de ítems de biblioteca
-  const LIBRARY_ITEMS = [
-    'Computador de escritorio',
-    'Computador portátil',
-    'Audífonos',
-    'Libros',
-    'Juegos de mesa'
-  ];
-
   /**
-   * Obtener cliente de Supabase
+   * Obtener cliente de Supabase (tras verificar la sesión en el servidor)
    */
   async function getSupabase() {
     if (!window.API) {
       throw new Error('API no está disponible');
     }
+    await window.API.Sessions.require();
     return await window.API.getClient();
   }
 
   /**
-   * Registrar un nuevo préstamo
-   * @param {Object} loanData - Datos del préstamo
-   * @returns {Promise<Object>} Resultado de la operación
+   * Registra el fallo en consola y lo convierte en ApiError
+   * @param {string} context - Descripción de la operación
+   * @param {Object|Error} error - Error original
+   * @returns {Error} Error tipado para lanzar
    */
-  async function registerLoan(loanData) {
+  function fail(context, error) {
+    console.error(`${context}:`, error);
+    return window.API ? window.API.toApiError(error) : error;
+  }
+
+  /**
+   * Lee préstamos a través de la caché compartida de la API
+   * @param {string} key - Identificador de la consulta
+   * @param {Function} loader - Función async que consulta el backend
+   * @returns {Promise<Array>} Préstamos
+   */
+  function readLoans(key, loader) {
+    return window.API.Cache.read('loans', key, loader);
+  }
+
+  /**
+   * Invalida las lecturas de préstamos en caché tras una mutación
+   */
+  function invalidateLoans() {
+    window.API.Cache.invalidate('loans');
+  }
+
+  /**
+   * Registra un evento de auditoría si el módulo está disponible
+   * @param {Object} event - Evento para API.Audit.record()
+   */
+  async function audit(event) {
+    if (window.API && window.API.Audit) {
+      await window.API.Audit.record(event);
+    }
+  }
+
+  // ============================================
+  // COLA OFFLINE
+  // ============================================
+
+  // Base IndexedDB propia: la cola existe también con el backend de Supabase
+  const QUEUE_DB_NAME = 'udp_loans_offline';
+  const QUEUE_DB_VERSION = 1;
+  const QUEUE_STORE = 'queue';
+  const PENDING_ID_PREFIX = 'pendiente-';
+
+  let queueDbPromise = null;
+  let syncPromise = null;
+
+  // Últimos préstamos activos obtenidos del servidor (se muestran sin conexión)
+  let lastActiveLoans = null;
+
+  /**
+   * Abre la base de datos de la cola offline
+   * @returns {Promise<IDBDatabase>}
+   */
+  function openQueueDb() {
+    if (queueDbPromise) return queueDbPromise;
+
+    queueDbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB no está disponible en este navegador'));
+        return;
+      }
+      const request = indexedDB.open(QUEUE_DB_NAME, QUEUE_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+          // seq autoincremental: garantiza el orden de reproducción
+          db.createObjectStore(QUEUE_STORE, { keyPath: 'seq', autoIncrement: true });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    queueDbPromise.catch(() => { queueDbPromise = null; });
+    return queueDbPromise;
+  }
+
+  /**
+   * Ejecuta una operación sobre el almacén de la cola
+   * @param {string} mode - 'readonly' o 'readwrite'
+   * @param {Function} operation - Recibe el objectStore y retorna un IDBRequest
+   * @returns {Promise<*>} Resultado de la petición
+   */
+  async function withQueue(mode, operation) {
+    const db = await openQueueDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(QUEUE_STORE, mode);
+      const request = operation(tx.objectStore(QUEUE_STORE));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Lista las operaciones pendientes en orden de registro
+   * @returns {Promise<Array>} Operaciones { seq, type, ... }
+   */
+  async function getPendingOperations() {
     try {
-        const supabase = await getSupabase();
-        
-        // Preparar datos con fecha/hora personalizada o actual
-        const borrowedAt = loanData.borrowedAt || new Date().toISOString();
-        
-        const { data, error } = await supabase
-            .from('loans')
-            .insert([{
-                student_code: loanData.studentCode,
-                student_name: loanData.studentName,
-                category: loanData.category,
-                item_type: loanData.itemType,
-                item_description: loanData.itemDescription || null,
-                staff_email: loanData.staffEmail,
-                staff_name: loanData.staffName,
-                borrowed_at: borrowedAt,
-                status: 'active'
-            }])
-            .select()
-            .single();
+      return await withQueue('readonly', store => store.getAll());
+    } catch (error) {
+      console.warn('No se pudo leer la cola offline:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Indica si un error significa que no hay conexión con el servidor
+   * @param {Error} error - Error capturado
+   * @returns {boolean}
+   */
+  function isOfflineError(error) {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+    return !!(error && window.API && error.code === window.API.ErrorCodes.NETWORK);
+  }
+
+  /**
+   * Genera un identificador local para un préstamo aún no sincronizado
+   * @returns {string}
+   */
+  function pendingId() {
+    const random = Math.random().toString(36).slice(2, 10);
+    return `${PENDING_ID_PREFIX}${Date.now()}-${random}`;
+  }
+
+  /**
+   * Genera el ID (UUID v4) de un préstamo nuevo. Se asigna al registrarlo,
+   * no en el servidor, para que reproducir la cola no cree el préstamo dos
+   * veces: un segundo insert con el mismo ID choca con la llave primaria.
+   * @returns {string} UUID
+   */
+  function newLoanId() {
+    if (crypto.randomUUID) {
+      return crypto.randomUUID();
+    }
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
 
-        if (error) throw error;
+  /**
+   * Verifica que el funcionario en sesión pueda gestionar préstamos de una categoría
+   * @param {string} category - 'biblioteca' o 'laboratorio'
+   * @returns {Promise<void>}
+   * @throws {ApiError} PERMISSION_DENIED si su rol no lo permite
+   */
+  function requireCategory(category) {
+    return window.API.Permissions.require(`loans.${category}`);
+  }
 
-        return { success: true, data };
+  /**
+   * Construye la fila de la tabla loans a partir de los datos del formulario
+   * @param {Object} loanData - Datos del préstamo
+   * @returns {Object} Fila para insertar
+   */
+  function toLoanRow(loanData) {
+    return {
+      id: newLoanId(),
+      student_code: loanData.studentCode,
+      student_name: loanData.studentName,
+      category: loanData.category,
+      item_type: loanData.itemType,
+      item_description: loanData.itemDescription || null,
+      staff_email: loanData.staffEmail,
+      staff_name: loanData.staffName,
+      borrowed_at: loanData.borrowedAt || new Date().toISOString(),
+      status: 'active'
+    };
+  }
+
+  /**
+   * Inserta un préstamo en el servidor y lo audita
+   * @param {Object} row - Fila de la tabla loans
+   * @returns {Promise<Object>} Préstamo creado
+   */
+  async function insertLoan(row) {
+    const supabase = await getSupabase();
+
+    const { data, error } = await supabase
+        .from('loans')
+        .insert([row])
+        .select()
+        .single();
+
+    if (error) {
+        // Violación de llave foránea: el código no corresponde a ningún estudiante
+        if (error.code === '23503') {
+            throw new window.API.ApiError(window.API.ErrorCodes.NOT_FOUND, 'Estudiante no encontrado');
+        }
+        throw error;
+    }
+
+    invalidateLoans();
+
+    await audit({
+        action: 'loan.register',
+        targetType: 'loan',
+        targetId: data.id,
+        before: null,
+        after: data
+    });
+
+    return data;
+  }
+
+  /**
+   * Reproduce el registro de un préstamo en cola. Si el servidor ya tiene
+   * su ID, el insert anterior llegó aunque no se recibió la respuesta (o la
+   * pestaña se cerró antes de quitarlo de la cola): se toma como sincronizado.
+   * @param {Object} row - Fila de la tabla loans (con id)
+   * @returns {Promise<Object>} Préstamo en el servidor
+   */
+  async function replayInsertLoan(row) {
+    try {
+      return await insertLoan(row);
     } catch (error) {
-        console.error('Error al registrar préstamo:', error);
-        return { success: false, error: error.message };
+      if (error.code !== '23505') throw error;
     }
+
+    const supabase = await getSupabase();
+    const { data, error } = await supabase
+        .from('loans')
+        .select('*')
+        .eq('id', row.id)
+        .single();
+
+    if (error) throw error;
+    if (data.student_code !== row.student_code) {
+      throw new window.API.ApiError(window.API.ErrorCodes.CONFLICT, 'El ID del préstamo ya pertenece a otro préstamo');
+    }
+    invalidateLoans();
+    return data;
   }
 
   /**
-   * Marcar un préstamo como devuelto
+   * Marca un préstamo activo como devuelto en el servidor y lo audita
    * @param {string} loanId - ID del préstamo
-   * @returns {Promise<Object>} Resultado de la operación
+   * @param {string} returnedAt - Fecha ISO de devolución
+   * @returns {Promise<Object>} Préstamo actualizado
    */
-  async function returnLoan(loanId) {
+  async function markReturned(loanId, returnedAt) {
+    const supabase = await getSupabase();
+    const { ApiError, ErrorCodes } = window.API;
+
+    const { data: before, error: readError } = await supabase
+        .from('loans')
+        .select('*')
+        .eq('id', loanId)
+        .single();
+
+    if (readError && readError.code !== 'PGRST116') throw readError;
+    if (!before) {
+        throw new ApiError(ErrorCodes.NOT_FOUND, 'Préstamo no encontrado');
+    }
+    if (before.status !== 'active') {
+        throw new ApiError(ErrorCodes.CONFLICT, 'El préstamo ya fue marcado como devuelto en otro equipo', { current: before });
+    }
+    await requireCategory(before.category);
+
+    // La condición sobre status evita devolver dos veces el mismo préstamo
+    const { data, error } = await supabase
+        .from('loans')
+        .update({
+            status: 'returned',
+            returned_at: returnedAt
+        })
+        .eq('id', loanId)
+        .eq('status', 'active')
+        .select()
+        .single();
+
+    if (error && error.code === 'PGRST116') {
+        throw new ApiError(ErrorCodes.CONFLICT, 'El préstamo ya fue marcado como devuelto en otro equipo');
+    }
+    if (error) throw error;
+
+    invalidateLoans();
+
+    await audit({
+        action: 'loan.return',
+        targetType: 'loan',
+        targetId: loanId,
+        before,
+        after: data
+    });
+
+    return data;
+  }
+
+  /**
+   * Guarda una operación en la cola offline
+   * @param {Object} operation - { type: 'register' | 'return', ... }
+   * @returns {Promise<void>}
+   */
+  async function enqueue(operation) {
+    await withQueue('readwrite', store => store.add({ ...operation, queuedAt: Date.now() }));
+  }
+
+  /**
+   * Quita de la cola una operación ya reproducida. Si era un registro, las
+   * devoluciones en cola de ese préstamo pasan a usar el ID del servidor
+   * en la misma transacción: si la sincronización se corta después (sin
+   * conexión, pestaña cerrada), la devolución ya no depende del ID local.
+   * @param {Object} op - Operación de la cola
+   * @param {string|null} serverId - ID del préstamo creado en el servidor
+   * @returns {Promise<void>}
+   */
+  async function completeOperation(op, serverId = null) {
+    await withQueue('readwrite', store => {
+      if (serverId) {
+        const cursorRequest = store.openCursor();
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result;
+          if (!cursor) return;
+          if (cursor.value.type === 'return' && cursor.value.loanId === op.localId) {
+            cursor.update({ ...cursor.value, loanId: serverId });
+          }
+          cursor.continue();
+        };
+      }
+      return store.delete(op.seq);
+    });
+  }
+
+  /**
+   * Reproduce en orden las operaciones pendientes.
+   * Se detiene ante un fallo de red (se reintenta al volver la conexión);
+   * cualquier otro fallo se descarta de la cola y se reporta como conflicto.
+   * Emite el evento `loans:sync` con el resultado.
+   * @returns {Promise<{synced: number, pending: number, conflicts: Array}>}
+   */
+  function syncPendingLoans() {
+    if (syncPromise) return syncPromise;
+
+    syncPromise = (async () => {
+      const operations = await getPendingOperations();
+      const idMap = {};
+      const conflicts = [];
+      let synced = 0;
+
+      for (const op of operations) {
+        let serverId = null;
+        try {
+          if (op.type === 'register') {
+            // Registros encolados antes de asignar el ID en el navegador: se
+            // fija y guarda antes del insert para que un reintento lo reutilice
+            if (!op.row.id) {
+              op.row = { ...op.row, id: newLoanId() };
+              await withQueue('readwrite', store => store.put(op));
+            }
+            const row = { ...op.row };
+            // El rol pudo cambiar mientras el préstamo esperaba en la cola
+            await requireCategory(row.category);
+            // Sin conexión no se pudo validar al estudiante: se completa ahora
+            if (op.needsStudentLookup) {
+              const student = await validateStudent(row.student_code);
+              row.student_name = `${student.name} ${student.lastname || ''}`.trim();
+            }
+            const created = await replayInsertLoan(row);
+            serverId = created.id;
+            idMap[op.localId] = created.id;
+          } else if (op.type === 'return') {
+            // Igual que en los registros: el rol pudo cambiar en la espera
+            if (op.category) await requireCategory(op.category);
+            const loanId = op.loanId.startsWith(PENDING_ID_PREFIX) ? idMap[op.loanId] : op.loanId;
+            if (!loanId) {
+              throw new window.API.ApiError(window.API.ErrorCodes.CONFLICT, 'El préstamo original no se pudo sincronizar');
+            }
+            await markReturned(loanId, op.returnedAt);
+          }
+          synced++;
+        } catch (error) {
+          if (isOfflineError(error)) break;
+          conflicts.push({
+            type: op.type,
+            studentCode: op.studentCode,
+            itemType: op.itemType,
+            queuedAt: op.queuedAt,
+            code: error.code || 'UNKNOWN',
+            message: error.message
+          });
+        }
+        await completeOperation(op, serverId);
+      }
+
+      const pending = (await getPendingOperations()).length;
+      const result = { synced, pending, conflicts };
+      if (synced || conflicts.length) {
+        window.dispatchEvent(new CustomEvent('loans:sync', { detail: result }));
+      }
+      return result;
+    })().finally(() => {
+      syncPromise = null;
+    });
+
+    return syncPromise;
+  }
+
+  /**
+   * Registrar un nuevo préstamo.
+   * Sin conexión se guarda en la cola offline y se retorna el préstamo
+   * con `pending_sync: true` y un ID local.
+   * @param {Object} loanData - Datos del préstamo
+   * @param {boolean} loanData.studentUnverified - El estudiante no se pudo validar (sin conexión)
+   * @returns {Promise<Object>} Préstamo creado o pendiente
+   * @throws {ApiError} PERMISSION_DENIED si el rol no gestiona la categoría; otro código si no se pudo registrar
+   */
+  async function registerLoan(loanData) {
+    const row = toLoanRow(loanData);
+    await requireCategory(row.category);
     try {
-        const supabase = await getSupabase();
-        
-        const { data, error } = await supabase
-            .from('loans')
-            .update({
-                status: 'returned',
-                returned_at: new Date().toISOString()
-            })
-            .eq('id', loanId)
-            .select()
-            .single();
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            throw new window.API.ApiError(window.API.ErrorCodes.NETWORK);
+        }
+        return await insertLoan(row);
+    } catch (error) {
+        if (!isOfflineError(error)) {
+            throw fail('Error al registrar préstamo', error);
+        }
+
+        const localId = pendingId();
+        try {
+            await enqueue({
+                type: 'register',
+                localId,
+                row,
+                needsStudentLookup: !!loanData.studentUnverified,
+                studentCode: row.student_code,
+                itemType: row.item_type
+            });
+        } catch (queueError) {
+            console.error('No se pudo guardar en la cola offline:', queueError);
+            throw fail('Error al registrar préstamo', error);
+        }
+        return { ...row, id: localId, created_at: new Date().toISOString(), pending_sync: true };
+    }
+  }
 
-        if (error) throw error;
+  /**
+   * Marcar un préstamo como devuelto.
+   * Sin conexión la devolución queda en la cola offline.
+   * @param {string} loanId - ID del préstamo (puede ser un ID local pendiente)
+   * @returns {Promise<Object>} Préstamo actualizado o `{ id, pending_sync: true }`
+   * @throws {ApiError} NOT_FOUND si el préstamo no existe, CONFLICT si ya fue devuelto
+   */
+  async function returnLoan(loanId) {
+    const returnedAt = new Date().toISOString();
 
-        return { success: true, data };
+    try {
+        // Un préstamo que aún no existe en el servidor solo puede devolverse en cola
+        if (String(loanId).startsWith(PENDING_ID_PREFIX) ||
+            (typeof navigator !== 'undefined' && navigator.onLine === false)) {
+            throw new window.API.ApiError(window.API.ErrorCodes.NETWORK);
+        }
+        return await markReturned(loanId, returnedAt);
     } catch (error) {
-        console.error('Error al marcar devolución:', error);
-        return { success: false, error: error.message };
+        if (!isOfflineError(error)) {
+            throw fail('Error al marcar devolución', error);
+        }
+
+        const loan = (lastActiveLoans || []).find(l => l.id === loanId);
+        const queued = (await getPendingOperations()).find(op => op.localId === loanId);
+        const category = loan ? loan.category : (queued ? queued.row.category : null);
+        if (category) {
+            await requireCategory(category);
+        }
+        try {
+            await enqueue({
+                type: 'return',
+                loanId,
+                returnedAt,
+                category,
+                studentCode: loan ? loan.student_code : (queued ? queued.studentCode : null),
+                itemType: loan ? loan.item_type : (queued ? queued.itemType : null)
+            });
+        } catch (queueError) {
+            console.error('No se pudo guardar en la cola offline:', queueError);
+            throw fail('Error al marcar devolución', error);
+        }
+        return { id: loanId, status: 'returned', returned_at: returnedAt, pending_sync: true };
     }
   }
 
   /**
-   * Obtener todos los préstamos activos
-   * @returns {Promise<Array>} Lista de préstamos activos
+   * Obtener todos los préstamos activos.
+   * Incluye las operaciones pendientes de sincronizar (`pending_sync: true`,
+   * `pending_action: 'register' | 'return'`). Sin conexión usa la última
+   * lista obtenida del servidor.
+   * @returns {Promise<Array>} Lista de préstamos activos (con days_borrowed)
    */
   async function getActiveLoans() {
+    let serverLoans;
     try {
         const supabase = await getSupabase();
         
-        const { data, error } = await supabase
-            .from('loans')
-            .select('*')
-            .eq('status', 'active')
-            .order('borrowed_at', { ascending: false });
-
-        if (error) throw error;
+        serverLoans = await readLoans('active', async () => {
+            const { data, error } = await supabase
+                .from('loans')
+                .select('*')
+                .eq('status', 'active')
+                .order('borrowed_at', { ascending: false });
 
-        // Calcular días transcurridos
-        const loansWithDays = (data || []).map(loan => {
-            const borrowed = new Date(loan.borrowed_at);
-            const now = new Date();
-            const daysDiff = Math.floor((now - borrowed) / (1000 * 60 * 60 * 24));
-            return { ...loan, days_borrowed: daysDiff };
+            if (error) throw error;
+            return data || [];
         });
-
-        return { success: true, data: loansWithDays };
+        lastActiveLoans = serverLoans;
     } catch (error) {
-        console.error('Error al obtener préstamos activos:', error);
-        return { success: false, error: error.message, data: [] };
+        if (!lastActiveLoans || !isOfflineError(window.API.toApiError(error))) {
+            throw fail('Error al obtener préstamos activos', error);
+        }
+        serverLoans = lastActiveLoans;
     }
+
+    const pending = await getPendingOperations();
+    const pendingReturns = new Set(pending.filter(op => op.type === 'return').map(op => op.loanId));
+    const pendingRegisters = pending
+        .filter(op => op.type === 'register')
+        .map(op => ({ ...op.row, id: op.localId, pending_sync: true, pending_action: 'register' }));
+
+    const merged = pendingRegisters.concat(serverLoans).map(loan => (
+        pendingReturns.has(loan.id)
+            ? { ...loan, pending_sync: true, pending_action: 'return' }
+            : loan
+    ));
+
+    // Calcular días transcurridos
+    return merged.map(loan => {
+        const borrowed = new Date(loan.borrowed_at);
+        const now = new Date();
+        const daysDiff = Math.floor((now - borrowed) / (1000 * 60 * 60 * 24));
+        return { ...loan, days_borrowed: daysDiff };
+    });
   }
 
   /**
    * Obtener historial completo de préstamos
    * @param {Object} filters - Filtros opcionales
-   * @returns {Promise<Array>} Lista de préstamos
+   * @returns {Promise<Array>} Lista de préstamos (con days_duration)
    */
   async function getLoansHistory(filters = {}) {
     try {
@@ -152,9 +597,11 @@
 
         query = query.order('borrowed_at', { ascending: false });
 
-        const { data, error } = await query;
-
-        if (error) throw error;
+        const data = await readLoans(`history:${JSON.stringify(filters)}`, async () => {
+            const { data, error } = await query;
+            if (error) throw error;
+            return data || [];
+        });
 
         // Calcular duración de préstamos
         const loansWithDuration = (data || []).map(loan => {
@@ -164,17 +611,17 @@
             return { ...loan, days_duration: daysDiff };
         });
 
-        return { success: true, data: loansWithDuration };
+        return loansWithDuration;
     } catch (error) {
-        console.error('Error al obtener historial:', error);
-        return { success: false, error: error.message, data: [] };
+        throw fail('Error al obtener historial', error);
     }
   }
 
   /**
    * Verificar si un estudiante existe
    * @param {string} studentCode - Código del estudiante
-   * @returns {Promise<Object>} Datos del estudiante si existe
+   * @returns {Promise<Object>} Datos del estudiante
+   * @throws {ApiError} NOT_FOUND si el estudiante no existe
    */
   async function validateStudent(studentCode) {
     try {
@@ -184,19 +631,19 @@
             .from('students')
             .select('code, name, lastname, program, sede')
             .eq('code', studentCode)
+            .is('deleted_at', null)
             .single();
 
         if (error) {
             if (error.code === 'PGRST116') {
-                return { success: false, error: 'Estudiante no encontrado' };
+                throw new window.API.ApiError(window.API.ErrorCodes.NOT_FOUND, 'Estudiante no encontrado');
             }
             throw error;
         }
 
-        return { success: true, data };
+        return data;
     } catch (error) {
-        console.error('Error al validar estudiante:', error);
-        return { success: false, error: error.message };
+        throw fail('Error al validar estudiante', error);
     }
   }
 
@@ -209,39 +656,52 @@
     try {
         const supabase = await getSupabase();
         
-        const { data, error } = await supabase
-            .from('loans')
-            .select('*')
-            .eq('student_code', studentCode)
-            .eq('status', 'active')
-            .order('borrowed_at', { ascending: false });
+        return await readLoans(`student:${studentCode}`, async () => {
+            const { data, error } = await supabase
+                .from('loans')
+                .select('*')
+                .eq('student_code', studentCode)
+                .eq('status', 'active')
+                .order('borrowed_at', { ascending: false });
 
-        if (error) throw error;
-
-        return { success: true, data: data || [] };
+            if (error) throw error;
+            return data || [];
+        });
     } catch (error) {
-        console.error('Error al obtener préstamos del estudiante:', error);
-        return { success: false, error: error.message, data: [] };
+        throw fail('Error al obtener préstamos del estudiante', error);
     }
   }
 
   /**
    * Obtener todos los préstamos (activos y devueltos)
-   * @returns {Promise<Object>} Todos los préstamos
+   * @returns {Promise<Array>} Todos los préstamos
    */
   async function getAllLoans() {
     return await getLoansHistory();
   }
 
+  // Reintentar la cola al recuperar la conexión y al cargar la página
+  window.addEventListener('online', () => {
+    syncPendingLoans();
+  });
+  if (typeof navigator === 'undefined' || navigator.onLine !== false) {
+    setTimeout(syncPendingLoans, 0);
+  }
+
   // API pública
   window.LoansAPI = {
-    LIBRARY_ITEMS,
+    // Catálogo de ítems de biblioteca (loans.libraryItems de la configuración)
+    get LIBRARY_ITEMS() {
+      return window.Config.get('loans.libraryItems');
+    },
     registerLoan,
     returnLoan,
     getActiveLoans,
     getLoansHistory,
     getAllLoans,
     validateStudent,
-    getStudentActiveLoans
+    getStudentActiveLoans,
+    getPendingOperations,
+    syncPendingLoans
   };
 })();
@@ -0,0 +1,1354 @@
+/**
+ * ============================================
+ * BACKEND LOCAL (INDEXEDDB)
+ * Sistema de Carnet Digital - Universidad del Pacífico
+ * ============================================
+ *
+ * DESCRIPCIÓN:
+ * Adaptador de almacenamiento que imita el cliente de Supabase
+ * sobre IndexedDB. Permite desarrollar, hacer demostraciones y
+ * probar el portal completo sin conexión y sin tocar la base de
+ * datos de producción.
+ *
+ * ESTRUCTURA:
+ * - window.LocalBackend.createClient() - Crea un cliente compatible
+ * - window.LocalBackend.reset() - Borra la base de datos local
+ * - window.LocalBackend.SCHEMA - Tablas, llaves y relaciones
+ * - window.LocalBackend.emitChange() - Simula un cambio en tiempo real
+ * - window.LocalBackend.STORAGE_URL_PREFIX - Prefijo de las URLs de archivos locales
+ *
+ * CONSULTAS SOPORTADAS:
+ * - from(tabla).select(columnas, { count, head })
+ * - insert / update / upsert / delete
+ * - eq, neq, gt, gte, lt, lte, like, ilike, is, in, not, or, match
+ * - order, range, limit, single, maybeSingle
+ * - rpc(nombre, parámetros) con los equivalentes locales de las funciones
+ *   SQL del README (RPC_FUNCTIONS)
+ * - functions.invoke(nombre, { body }) con los equivalentes locales de las
+ *   Edge Functions (LOCAL_FUNCTIONS)
+ * - channel(nombre).on('postgres_changes', { event, table }, cb).subscribe()
+ *   y removeChannel(canal), con el mismo payload que Supabase Realtime
+ * - storage.from(bucket).upload / download / remove / list / getPublicUrl
+ *   (sustituto local de Supabase Storage)
+ *
+ * NOTAS:
+ * - Los errores usan los mismos códigos que PostgREST/PostgreSQL
+ *   (PGRST116 sin filas, 23505 duplicado, 23503 llave foránea)
+ * - Las relaciones ON DELETE CASCADE se replican en SCHEMA
+ * - El filtrado se hace en memoria: pensado para desarrollo
+ * - Los cambios se difunden a las demás pestañas con BroadcastChannel,
+ *   lo que simula varios puestos de atención en un mismo equipo
+ * - Los archivos se guardan como bytes en el almacén 'storage_objects';
+ *   sus URLs públicas usan el prefijo local-storage:// y se leen con download()
+ *
+ * ============================================
+ */
+
+(function() {
+  'use strict';
+
+  const DB_NAME = 'udp_carnet_local';
+  const DB_VERSION = 8;
+  const CHANGES_CHANNEL = 'udp_carnet_local_changes';
+  const STORAGE_STORE = 'storage_objects';
+  const STORAGE_URL_PREFIX = 'local-storage://';
+
+  /**
+   * Esquema de tablas locales
+   * - key: llave primaria
+   * - unique: columnas con restricción UNIQUE
+   * - defaults: valores por defecto al insertar
+   * - references: llaves foráneas { columna: { table, column, onDelete } }
+   */
+  const SCHEMA = {
+    students: {
+      key: 'code',
+      defaults: () => ({
+        first_login: true,
+        active: true
+      })
+    },
+    staff: {
+      key: 'id',
+      unique: ['email'],
+      defaults: () => ({
+        role: 'admin',
+        totp_enabled: false
+      })
+    },
+    staff_two_factor: {
+      key: 'staff_id',
+      defaults: () => ({
+        last_step: null,
+        recovery_codes: []
+      }),
+      references: {
+        staff_id: { table: 'staff', column: 'id', onDelete: 'cascade' }
+      }
+    },
+    password_history: {
+      key: 'id',
+      defaults: () => ({
+        id: generateUuid(),
+        changed_by: null
+      })
+    },
+    loans: {
+      key: 'id',
+      defaults: () => ({
+        id: generateUuid(),
+        borrowed_at: new Date().toISOString(),
+        returned_at: null,
+        status: 'active',
+        created_at: new Date().toISOString()
+      }),
+      references: {
+        student_code: { table: 'students', column: 'code', onDelete: 'cascade' }
+      }
+    },
+    login_attempts: {
+      key: 'key',
+      defaults: () => ({
+        failed_attempts: 0,
+        locked_until: null
+      })
+    },
+    sessions: {
+      key: 'id',
+      defaults: () => ({
+        revoked_at: null,
+        revoked_by: null,
+        revoked_reason: null,
+        two_factor_pending: false
+      })
+    },
+    password_resets: {
+      key: 'id',
+      defaults: () => ({
+        id: generateUuid(),
+        attempts: 0,
+        used_at: null,
+        created_at: Date.now()
+      }),
+      references: {
+        student_code: { table: 'students', column: 'code', onDelete: 'cascade' }
+      }
+    },
+    audit_events: {
+      key: 'id',
+      defaults: () => ({
+        id: generateUuid(),
+        changes: {},
+        created_at: Date.now()
+      })
+    }
+  };
+
+  let dbPromise = null;
+
+  /**
+   * Genera un UUID v4
+   * @returns {string} UUID
+   */
+  function generateUuid() {
+    if (crypto.randomUUID) {
+      return crypto.randomUUID();
+    }
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+
+  /**
+   * Construye un objeto de error con la forma de PostgREST
+   * @param {string} code - Código de error
+   * @param {string} message - Mensaje descriptivo
+   * @param {string} details - Detalles opcionales
+   * @returns {Object} Error
+   */
+  function makeError(code, message, details = null) {
+    return { code, message, details, hint: null };
+  }
+
+  /**
+   * Migración a la versión 7: los secretos de la verificación en dos pasos
+   * pasan de staff a staff_two_factor (igual que el script SQL)
+   * @param {IDBTransaction} tx - Transacción de actualización
+   */
+  function moveTwoFactorSecrets(tx) {
+    const staffStore = tx.objectStore('staff');
+    const secrets = tx.objectStore('staff_two_factor');
+    staffStore.openCursor().onsuccess = event => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+
+      const { totp_secret, totp_last_step, totp_recovery_codes, ...staff } = cursor.value;
+      if (totp_secret) {
+        let recovery = totp_recovery_codes;
+        try {
+          recovery = typeof recovery === 'string' ? JSON.parse(recovery) : recovery;
+        } catch (_) {
+          recovery = [];
+        }
+        secrets.put({
+          staff_id: staff.id,
+          secret: totp_secret,
+          last_step: totp_last_step == null ? null : totp_last_step,
+          recovery_codes: Array.isArray(recovery) ? recovery : [],
+          updated_at: staff.updated_at || Date.now()
+        });
+      }
+      cursor.update(staff);
+      cursor.continue();
+    };
+  }
+
+  /**
+   * Migración a la versión 8: el historial de contraseñas pasa de la
+   * columna password_history de students y staff a su propia tabla
+   * (igual que el script SQL). Las entradas sin hash no se comparan y
+   * se descartan.
+   * @param {IDBTransaction} tx - Transacción de actualización
+   */
+  function movePasswordHistory(tx) {
+    const history = tx.objectStore('password_history');
+    [['students', 'student', 'code'], ['staff', 'staff', 'email']].forEach(([table, userType, column]) => {
+      tx.objectStore(table).openCursor().onsuccess = event => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+
+        const { password_history, ...row } = cursor.value;
+        let entries = password_history;
+        try {
+          entries = typeof entries === 'string' ? JSON.parse(entries) : entries;
+        } catch (_) {
+          entries = [];
+        }
+        (Array.isArray(entries) ? entries : []).filter(entry => entry && entry.hash).forEach(entry => {
+          history.put({
+            id: generateUuid(),
+            user_type: userType,
+            user_id: row[column],
+            hash: entry.hash,
+            changed_at: entry.changedAt || row.updated_at || Date.now(),
+            changed_by: entry.changedBy || null
+          });
+        });
+        cursor.update(row);
+        cursor.continue();
+      };
+    });
+  }
+
+  /**
+   * Abre (o crea) la base de datos local
+   * @returns {Promise<IDBDatabase>} Base de datos
+   */
+  function openDb() {
+    if (dbPromise) {
+      return dbPromise;
+    }
+
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB no está disponible en este navegador'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = event => {
+        const db = request.result;
+        Object.keys(SCHEMA).forEach(table => {
+          if (!db.objectStoreNames.contains(table)) {
+            db.createObjectStore(table, { keyPath: SCHEMA[table].key });
+          }
+        });
+        if (!db.objectStoreNames.contains(STORAGE_STORE)) {
+          db.createObjectStore(STORAGE_STORE, { keyPath: 'id' });
+        }
+        if (event.oldVersion > 0 && event.oldVersion < 7) {
+          moveTwoFactorSecrets(request.transaction);
+        }
+        if (event.oldVersion > 0 && event.oldVersion < 8) {
+          movePasswordHistory(request.transaction);
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    return dbPromise;
+  }
+
+  /**
+   * Lee todas las filas de una tabla
+   * @param {string} table - Nombre de la tabla
+   * @returns {Promise<Array>} Filas
+   */
+  async function readAll(table) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const request = db.transaction(table, 'readonly').objectStore(table).getAll();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Aplica escrituras y eliminaciones en una sola transacción
+   * @param {Object} changes - { tabla: { put: [filas], remove: [llaves] } }
+   * @returns {Promise<void>}
+   */
+  async function commit(changes) {
+    const tables = Object.keys(changes);
+    if (!tables.length) return;
+
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(tables, 'readwrite');
+      tables.forEach(table => {
+        const store = tx.objectStore(table);
+        (changes[table].put || []).forEach(row => store.put(row));
+        (changes[table].remove || []).forEach(key => store.delete(key));
+      });
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Lee y reescribe filas de varias tablas en una sola transacción, para
+   * las funciones que en PostgreSQL bloquean las filas (SELECT ... FOR UPDATE)
+   * @param {Object} reads - { tabla: [llaves] } o { tabla: null } para leer todas sus filas
+   * @param {Function} update - Recibe { tabla: [filas] } (undefined si no existen) y
+   *   retorna { put: { tabla: [filas] }, remove: { tabla: [llaves] }, result }
+   * @returns {Promise<*>} El `result` de update
+   */
+  async function updateTables(reads, update) {
+    const db = await openDb();
+    const tables = Object.keys(reads);
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(tables, 'readwrite');
+      const rows = {};
+      // Una lectura extra que se completa al final: update corre una sola
+      // vez, cuando ya se pidieron y leyeron todas las filas
+      let pending = 1;
+      let result;
+
+      const apply = () => {
+        try {
+          const changes = update(rows) || {};
+          Object.keys(changes.put || {}).forEach(table => {
+            changes.put[table].forEach(row => tx.objectStore(table).put(row));
+          });
+          Object.keys(changes.remove || {}).forEach(table => {
+            changes.remove[table].forEach(key => tx.objectStore(table).delete(key));
+          });
+          result = changes.result;
+        } catch (error) {
+          tx.abort();
+          reject(error);
+        }
+      };
+      const done = () => {
+        if (--pending === 0) apply();
+      };
+
+      tables.forEach(table => {
+        const store = tx.objectStore(table);
+        const keys = reads[table];
+        pending++;
+        if (keys === null) {
+          const request = store.getAll();
+          request.onsuccess = () => {
+            rows[table] = request.result;
+            done();
+          };
+          return;
+        }
+
+        rows[table] = new Array(keys.length);
+        keys.forEach((key, i) => {
+          pending++;
+          const request = store.get(key);
+          request.onsuccess = () => {
+            rows[table][i] = request.result;
+            done();
+          };
+        });
+        done();
+      });
+      done();
+
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Lee y reescribe filas de una tabla en una sola transacción (ver updateTables)
+   * @param {string} table - Nombre de la tabla
+   * @param {Array} keys - Llaves de las filas a leer
+   * @param {Function} update - Recibe las filas (undefined si no existen) y
+   *   retorna { put: [filas], remove: [llaves], result }
+   * @returns {Promise<*>} El `result` de update
+   */
+  function updateRows(table, keys, update) {
+    return updateTables({ [table]: keys }, rows => {
+      const changes = update(rows[table]) || {};
+      return {
+        put: { [table]: changes.put || [] },
+        remove: { [table]: changes.remove || [] },
+        result: changes.result
+      };
+    });
+  }
+
+  // ============================================
+  // CAMBIOS EN TIEMPO REAL
+  // ============================================
+
+  // Emisor de eventos local: cada canal suscrito registra aquí su listener
+  const changeListeners = new Set();
+  let broadcast = null;
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    broadcast = new BroadcastChannel(CHANGES_CHANNEL);
+    broadcast.onmessage = (event) => deliverChange(event.data);
+  }
+
+  /**
+   * Entrega un cambio a los canales suscritos en esta pestaña
+   * @param {Object} payload - Payload con la forma de Supabase Realtime
+   */
+  function deliverChange(payload) {
+    changeListeners.forEach(listener => {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error('Error en suscriptor de cambios:', error);
+      }
+    });
+  }
+
+  /**
+   * Publica un cambio en esta pestaña y en las demás
+   * @param {string} table - Tabla modificada
+   * @param {string} eventType - 'INSERT', 'UPDATE' o 'DELETE'
+   * @param {Object|null} newRow - Fila después del cambio
+   * @param {Object|null} oldRow - Fila antes del cambio
+   */
+  function emitChange(table, eventType, newRow = null, oldRow = null) {
+    const payload = {
+      schema: 'public',
+      table,
+      commit_timestamp: new Date().toISOString(),
+      eventType,
+      new: newRow || {},
+      old: oldRow || {},
+      errors: null
+    };
+    deliverChange(payload);
+    if (broadcast) {
+      broadcast.postMessage(payload);
+    }
+  }
+
+  /**
+   * Canal compatible con RealtimeChannel de supabase-js
+   * (solo eventos postgres_changes)
+   */
+  class LocalChannel {
+    constructor(name) {
+      this.name = name;
+      this.bindings = [];
+      this.listener = null;
+    }
+
+    on(type, filter, callback) {
+      if (type === 'postgres_changes') {
+        this.bindings.push({ filter: filter || {}, callback });
+      }
+      return this;
+    }
+
+    subscribe(statusCallback) {
+      if (!this.listener) {
+        this.listener = (payload) => {
+          this.bindings.forEach(({ filter, callback }) => {
+            const tableMatches = !filter.table || filter.table === payload.table;
+            const eventMatches = !filter.event || filter.event === '*' || filter.event === payload.eventType;
+            if (tableMatches && eventMatches) callback(payload);
+          });
+        };
+        changeListeners.add(this.listener);
+      }
+      if (statusCallback) statusCallback('SUBSCRIBED');
+      return this;
+    }
+
+    unsubscribe() {
+      changeListeners.delete(this.listener);
+      this.listener = null;
+      return Promise.resolve('ok');
+    }
+  }
+
+  // ============================================
+  // ALMACENAMIENTO DE ARCHIVOS
+  // ============================================
+
+  /**
+   * Ejecuta una operación sobre el almacén de archivos
+   * @param {string} mode - 'readonly' o 'readwrite'
+   * @param {Function} operation - Recibe el object store y retorna un IDBRequest (opcional)
+   * @returns {Promise<*>} Resultado de la petición
+   */
+  async function withStorage(mode, operation) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORAGE_STORE, mode);
+      const request = operation(tx.objectStore(STORAGE_STORE));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Bucket compatible con StorageFileApi de supabase-js.
+   * Los archivos se guardan como ArrayBuffer para que IndexedDB los
+   * clone en cualquier navegador.
+   */
+  class LocalBucket {
+    constructor(bucket) {
+      this.bucket = bucket;
+    }
+
+    objectId(path) {
+      return `${this.bucket}/${path}`;
+    }
+
+    async upload(path, body, { contentType = null, upsert = false } = {}) {
+      try {
+        const id = this.objectId(path);
+        if (!upsert) {
+          const existing = await withStorage('readonly', store => store.get(id));
+          if (existing) {
+            return { data: null, error: { statusCode: '409', error: 'Duplicate', message: 'The resource already exists' } };
+          }
+        }
+
+        const blob = body instanceof Blob ? body : new Blob([body]);
+        const data = await blob.arrayBuffer();
+        await withStorage('readwrite', store => store.put({
+          id,
+          bucket: this.bucket,
+          path,
+          content_type: contentType || blob.type || 'application/octet-stream',
+          size: data.byteLength,
+          data,
+          updated_at: new Date().toISOString()
+        }));
+        return { data: { path, id, fullPath: id }, error: null };
+      } catch (error) {
+        return { data: null, error: makeError('STORAGE', error.message) };
+      }
+    }
+
+    async download(path) {
+      try {
+        const object = await withStorage('readonly', store => store.get(this.objectId(path)));
+        if (!object) {
+          return { data: null, error: { statusCode: '404', error: 'not_found', message: 'Object not found' } };
+        }
+        return { data: new Blob([object.data], { type: object.content_type }), error: null };
+      } catch (error) {
+        return { data: null, error: makeError('STORAGE', error.message) };
+      }
+    }
+
+    async remove(paths) {
+      try {
+        const ids = (paths || []).map(path => this.objectId(path));
+        await withStorage('readwrite', store => {
+          ids.forEach(id => store.delete(id));
+        });
+        return { data: (paths || []).map(name => ({ name })), error: null };
+      } catch (error) {
+        return { data: null, error: makeError('STORAGE', error.message) };
+      }
+    }
+
+    async list(prefix = '') {
+      try {
+        const folder = prefix ? `${prefix.replace(/\/$/, '')}/` : '';
+        const objects = await withStorage('readonly', store => store.getAll());
+        const data = (objects || [])
+          .filter(object => object.bucket === this.bucket && object.path.startsWith(folder))
+          .map(object => ({
+            name: object.path.slice(folder.length),
+            updated_at: object.updated_at,
+            metadata: { size: object.size, mimetype: object.content_type }
+          }))
+          .filter(object => !object.name.includes('/'))
+          .sort((a, b) => a.name.localeCompare(b.name));
+        return { data, error: null };
+      } catch (error) {
+        return { data: null, error: makeError('STORAGE', error.message) };
+      }
+    }
+
+    getPublicUrl(path) {
+      return { data: { publicUrl: STORAGE_URL_PREFIX + this.objectId(path) } };
+    }
+  }
+
+  /**
+   * Convierte un patrón LIKE de SQL en expresión regular
+   * @param {string} pattern - Patrón con % y _
+   * @param {boolean} insensitive - Ignorar mayúsculas
+   * @returns {RegExp} Expresión regular
+   */
+  function likeToRegExp(pattern, insensitive) {
+    const escaped = String(pattern)
+      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/%/g, '.*')
+      .replace(/_/g, '.');
+    return new RegExp(`^${escaped}$`, insensitive ? 'i' : '');
+  }
+
+  /**
+   * Compara dos valores con el orden de PostgreSQL (null al final)
+   * @returns {number} Resultado de la comparación
+   */
+  function compareValues(a, b) {
+    if (a === b) return 0;
+    if (a == null) return 1;
+    if (b == null) return -1;
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b), 'es', { numeric: true });
+  }
+
+  /**
+   * Normaliza un valor de filtro textual ("true", "null", "5")
+   * @param {*} value - Valor recibido en un filtro
+   * @returns {*} Valor normalizado
+   */
+  function parseFilterValue(value) {
+    if (value === 'null') return null;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    return value;
+  }
+
+  /**
+   * Evalúa un operador de filtro sobre un valor de columna con la lógica
+   * de tres valores de SQL: comparar con null no es verdadero ni falso
+   * sino desconocido (null), y una fila solo cumple si el filtro da true.
+   * Así not() descarta las filas con null igual que PostgreSQL.
+   * @param {*} actual - Valor de la fila
+   * @param {string} op - Operador (eq, neq, gt, ilike, ...)
+   * @param {*} expected - Valor esperado
+   * @returns {boolean|null} true si la fila cumple, null si es desconocido
+   */
+  function evaluate(actual, op, expected) {
+    if (op === 'is') {
+      return expected === null ? actual == null : actual === expected;
+    }
+    if (op === 'in') {
+      const values = expected || [];
+      if (actual == null) return values.length ? null : false;
+      if (values.some(v => v != null && String(v) === String(actual))) return true;
+      return values.some(v => v == null) ? null : false;
+    }
+    if (actual == null || expected == null) {
+      if (!['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'like', 'ilike'].includes(op)) {
+        throw new Error(`Operador no soportado: ${op}`);
+      }
+      return null;
+    }
+
+    switch (op) {
+      case 'eq':
+        return String(actual) === String(expected);
+      case 'neq':
+        return String(actual) !== String(expected);
+      case 'gt':
+        return compareValues(actual, expected) > 0;
+      case 'gte':
+        return compareValues(actual, expected) >= 0;
+      case 'lt':
+        return compareValues(actual, expected) < 0;
+      case 'lte':
+        return compareValues(actual, expected) <= 0;
+      case 'like':
+        return likeToRegExp(expected, false).test(String(actual));
+      case 'ilike':
+        return likeToRegExp(expected, true).test(String(actual));
+      default:
+        throw new Error(`Operador no soportado: ${op}`);
+    }
+  }
+
+  /**
+   * Niega un resultado de evaluate(): lo desconocido sigue desconocido
+   * @param {boolean|null} result - Resultado de evaluate()
+   * @returns {boolean|null}
+   */
+  function negateResult(result) {
+    return result === null ? null : !result;
+  }
+
+  /**
+   * Divide una cadena por comas respetando paréntesis
+   * @param {string} text - Cadena de filtros
+   * @returns {Array<string>} Partes
+   */
+  function splitTopLevel(text) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const ch of text) {
+      if (ch === '(') depth++;
+      if (ch === ')') depth--;
+      if (ch === ',' && depth === 0) {
+        parts.push(current);
+        current = '';
+      } else {
+        current += ch;
+      }
+    }
+    if (current) parts.push(current);
+    return parts;
+  }
+
+  /**
+   * Convierte un filtro de texto de PostgREST ("email.eq.x") en predicado
+   * @param {string} expression - Filtro en formato columna.operador.valor
+   * @returns {Function} Predicado sobre filas
+   */
+  function parseFilterExpression(expression) {
+    const nested = expression.match(/^(and|or)\((.*)\)$/);
+    if (nested) {
+      const predicates = splitTopLevel(nested[2]).map(parseFilterExpression);
+      return nested[1] === 'and'
+        ? row => predicates.every(p => p(row) === true)
+        : row => predicates.some(p => p(row) === true);
+    }
+
+    const [column, ...rest] = expression.split('.');
+    let op = rest.shift();
+    let negate = false;
+    if (op === 'not') {
+      negate = true;
+      op = rest.shift();
+    }
+    let value = rest.join('.');
+
+    if (op === 'in') {
+      value = value.replace(/^\(|\)$/g, '').split(',').map(v => parseFilterValue(v.replace(/^"|"$/g, '')));
+    } else if (op === 'like' || op === 'ilike') {
+      value = value.replace(/\*/g, '%');
+    } else {
+      value = parseFilterValue(value);
+    }
+
+    return row => {
+      const result = evaluate(row[column], op, value);
+      return negate ? negateResult(result) : result;
+    };
+  }
+
+  /**
+   * Proyecta las columnas pedidas en select()
+   * @param {Object} row - Fila completa
+   * @param {string} columns - Lista de columnas o '*'
+   * @returns {Object} Fila proyectada
+   */
+  function project(row, columns) {
+    if (!columns || columns.trim() === '*') {
+      return { ...row };
+    }
+    const result = {};
+    columns.split(',').map(c => c.trim()).filter(Boolean).forEach(col => {
+      result[col] = row[col] !== undefined ? row[col] : null;
+    });
+    return result;
+  }
+
+  /**
+   * Constructor de consultas compatible con el de Supabase.
+   * Es "thenable": se ejecuta al usar await.
+   */
+  class LocalQuery {
+    constructor(table) {
+      if (!SCHEMA[table]) {
+        throw new Error(`Tabla desconocida en backend local: ${table}`);
+      }
+      this.table = table;
+      this.action = 'select';
+      this.columns = '*';
+      this.returning = false;
+      this.payload = null;
+      this.options = {};
+      this.filters = [];
+      this.orders = [];
+      this.rangeFrom = null;
+      this.rangeTo = null;
+      this.resultMode = 'many';
+    }
+
+    select(columns = '*', options = {}) {
+      if (this.action === 'select') {
+        this.columns = columns;
+        this.options = options;
+      } else {
+        this.returning = true;
+        this.columns = columns;
+      }
+      return this;
+    }
+
+    insert(rows, options = {}) {
+      this.action = 'insert';
+      this.payload = Array.isArray(rows) ? rows : [rows];
+      this.options = options;
+      return this;
+    }
+
+    upsert(rows, options = {}) {
+      this.action = 'upsert';
+      this.payload = Array.isArray(rows) ? rows : [rows];
+      this.options = options;
+      return this;
+    }
+
+    update(patch) {
+      this.action = 'update';
+      this.payload = patch;
+      return this;
+    }
+
+    delete() {
+      this.action = 'delete';
+      return this;
+    }
+
+    filter(column, op, value) {
+      this.filters.push(row => evaluate(row[column], op, value));
+      return this;
+    }
+
+    eq(column, value) { return this.filter(column, 'eq', value); }
+    neq(column, value) { return this.filter(column, 'neq', value); }
+    gt(column, value) { return this.filter(column, 'gt', value); }
+    gte(column, value) { return this.filter(column, 'gte', value); }
+    lt(column, value) { return this.filter(column, 'lt', value); }
+    lte(column, value) { return this.filter(column, 'lte', value); }
+    like(column, value) { return this.filter(column, 'like', value); }
+    ilike(column, value) { return this.filter(column, 'ilike', value); }
+    is(column, value) { return this.filter(column, 'is', value); }
+    in(column, values) { return this.filter(column, 'in', values); }
+
+    not(column, op, value) {
+      const parsed = op === 'in' && typeof value === 'string'
+        ? value.replace(/^\(|\)$/g, '').split(',').map(parseFilterValue)
+        : value;
+      this.filters.push(row => negateResult(evaluate(row[column], op, parsed)));
+      return this;
+    }
+
+    match(query) {
+      Object.keys(query).forEach(column => this.eq(column, query[column]));
+      return this;
+    }
+
+    or(expression) {
+      const predicates = splitTopLevel(expression).map(parseFilterExpression);
+      this.filters.push(row => predicates.some(p => p(row) === true));
+      return this;
+    }
+
+    order(column, { ascending = true } = {}) {
+      this.orders.push({ column, ascending });
+      return this;
+    }
+
+    range(from, to) {
+      this.rangeFrom = from;
+      this.rangeTo = to;
+      return this;
+    }
+
+    limit(count) {
+      this.rangeFrom = this.rangeFrom || 0;
+      this.rangeTo = this.rangeFrom + count - 1;
+      return this;
+    }
+
+    single() {
+      this.resultMode = 'single';
+      return this;
+    }
+
+    maybeSingle() {
+      this.resultMode = 'maybeSingle';
+      return this;
+    }
+
+    then(onFulfilled, onRejected) {
+      return this.execute().then(onFulfilled, onRejected);
+    }
+
+    /**
+     * Filtra las filas según los filtros acumulados
+     * @param {Array} rows - Filas de la tabla
+     * @returns {Array} Filas que cumplen
+     */
+    applyFilters(rows) {
+      return rows.filter(row => this.filters.every(predicate => predicate(row) === true));
+    }
+
+    /**
+     * Ejecuta la consulta y devuelve { data, error, count }
+     * @returns {Promise<Object>} Resultado con la forma de Supabase
+     */
+    async execute() {
+      try {
+        let rows;
+        let count = null;
+
+        switch (this.action) {
+          case 'insert':
+          case 'upsert':
+            rows = await this.executeInsert();
+            break;
+          case 'update':
+            rows = await this.executeUpdate();
+            break;
+          case 'delete':
+            rows = await this.executeDelete();
+            break;
+          default: {
+            rows = this.applyFilters(await readAll(this.table));
+            count = this.options.count ? rows.length : null;
+            rows = this.sortAndSlice(rows);
+            if (this.options.head) {
+              return { data: null, error: null, count, status: 200 };
+            }
+          }
+        }
+
+        if (this.action !== 'select' && !this.returning) {
+          return { data: null, error: null, count, status: 204 };
+        }
+
+        const data = rows.map(row => project(row, this.columns));
+        return this.shapeResult(data, count);
+      } catch (error) {
+        if (error && error.code) {
+          return { data: null, error, count: null, status: 400 };
+        }
+        return {
+          data: null,
+          error: makeError('LOCAL', error.message || String(error)),
+          count: null,
+          status: 500
+        };
+      }
+    }
+
+    /**
+     * Aplica single()/maybeSingle() al resultado
+     */
+    shapeResult(data, count) {
+      if (this.resultMode === 'many') {
+        return { data, error: null, count, status: 200 };
+      }
+      if (data.length === 1) {
+        return { data: data[0], error: null, count, status: 200 };
+      }
+      if (data.length === 0 && this.resultMode === 'maybeSingle') {
+        return { data: null, error: null, count, status: 200 };
+      }
+      return {
+        data: null,
+        error: makeError(
+          'PGRST116',
+          'JSON object requested, multiple (or no) rows returned',
+          `The result contains ${data.length} rows`
+        ),
+        count,
+        status: 406
+      };
+    }
+
+    /**
+     * Ordena y recorta según order() y range()
+     */
+    sortAndSlice(rows) {
+      let result = rows;
+      if (this.orders.length) {
+        result = [...rows].sort((a, b) => {
+          for (const { column, ascending } of this.orders) {
+            const cmp = compareValues(a[column], b[column]);
+            if (cmp !== 0) return ascending ? cmp : -cmp;
+          }
+          return 0;
+        });
+      }
+      if (this.rangeFrom !== null) {
+        result = result.slice(this.rangeFrom, this.rangeTo + 1);
+      }
+      return result;
+    }
+
+    /**
+     * Verifica llaves primarias, UNIQUE y llaves foráneas
+     * @param {Array} candidates - Filas que quedarían escritas
+     * @param {Array} existing - Filas actuales de la tabla
+     */
+    async checkConstraints(candidates, existing) {
+      const schema = SCHEMA[this.table];
+      const columns = [schema.key].concat(schema.unique || []);
+
+      for (const column of columns) {
+        const seen = new Map(existing.map(r => [String(r[column]), r]));
+        for (const row of candidates) {
+          if (row[column] == null) continue;
+          const other = seen.get(String(row[column]));
+          if (other && other[schema.key] !== row[schema.key]) {
+            throw makeError('23505', `duplicate key value violates unique constraint "${this.table}_${column}_key"`);
+          }
+          seen.set(String(row[column]), row);
+        }
+      }
+
+      const references = schema.references || {};
+      for (const column of Object.keys(references)) {
+        const ref = references[column];
+        const parents = new Set((await readAll(ref.table)).map(r => String(r[ref.column])));
+        for (const row of candidates) {
+          if (row[column] != null && !parents.has(String(row[column]))) {
+            throw makeError('23503', `insert or update on table "${this.table}" violates foreign key constraint on "${column}"`);
+          }
+        }
+      }
+    }
+
+    async executeInsert() {
+      const schema = SCHEMA[this.table];
+      const existing = await readAll(this.table);
+      const byKey = new Map(existing.map(r => [String(r[schema.key]), r]));
+      const rows = this.payload.map(input => {
+        const base = this.action === 'upsert' ? byKey.get(String(input[schema.key])) : null;
+        return base
+          ? { ...base, ...input }
+          : { ...(schema.defaults ? schema.defaults() : {}), ...input };
+      });
+
+      if (this.action === 'insert') {
+        for (const row of rows) {
+          if (byKey.has(String(row[schema.key]))) {
+            throw makeError('23505', `duplicate key value violates unique constraint "${this.table}_pkey"`);
+          }
+        }
+      }
+
+      await this.checkConstraints(rows, existing);
+      await commit({ [this.table]: { put: rows } });
+      rows.forEach(row => {
+        const previous = byKey.get(String(row[schema.key]));
+        emitChange(this.table, previous ? 'UPDATE' : 'INSERT', row, previous || null);
+      });
+      return rows;
+    }
+
+    async executeUpdate() {
+      const existing = await readAll(this.table);
+      const matched = this.applyFilters(existing);
+      const rows = matched.map(row => ({ ...row, ...this.payload }));
+      await this.checkConstraints(rows, existing);
+      if (rows.length) {
+        await commit({ [this.table]: { put: rows } });
+        rows.forEach((row, i) => emitChange(this.table, 'UPDATE', row, matched[i]));
+      }
+      return rows;
+    }
+
+    async executeDelete() {
+      const schema = SCHEMA[this.table];
+      const rows = this.applyFilters(await readAll(this.table));
+      if (!rows.length) return rows;
+
+      const changes = { [this.table]: { remove: rows.map(r => r[schema.key]) } };
+      const removed = [{ table: this.table, rows }];
+
+      // Replicar ON DELETE CASCADE de las tablas que referencian a esta
+      for (const childTable of Object.keys(SCHEMA)) {
+        const references = SCHEMA[childTable].references || {};
+        for (const column of Object.keys(references)) {
+          const ref = references[column];
+          if (ref.table !== this.table) continue;
+          const parentKeys = new Set(rows.map(r => String(r[ref.column])));
+          const children = (await readAll(childTable)).filter(c => parentKeys.has(String(c[column])));
+          if (!children.length) continue;
+          if (ref.onDelete !== 'cascade') {
+            throw makeError('23503', `update or delete on table "${this.table}" violates foreign key constraint on "${childTable}"`);
+          }
+          changes[childTable] = changes[childTable] || {};
+          changes[childTable].remove = (changes[childTable].remove || [])
+            .concat(children.map(c => c[SCHEMA[childTable].key]));
+          removed.push({ table: childTable, rows: children });
+        }
+      }
+
+      await commit(changes);
+      removed.forEach(({ table, rows: deleted }) => {
+        deleted.forEach(row => emitChange(table, 'DELETE', null, row));
+      });
+      return rows;
+    }
+  }
+
+  // ============================================
+  // FUNCIONES DE LA BASE (RPC)
+  // ============================================
+
+  /**
+   * Equivalentes locales de las funciones SQL del README, que el cliente
+   * llama con rpc(nombre, parámetros). Reciben los parámetros y retornan
+   * el resultado; un error con `code` se entrega como error de PostgREST.
+   */
+  const RPC_FUNCTIONS = {
+    /**
+     * Valores distintos de programa y sede de los estudiantes (sin la papelera)
+     * @returns {Promise<{programs: Array<string>, sedes: Array<string>}>}
+     */
+    async student_filter_options() {
+      const students = (await readAll('students')).filter(s => s.deleted_at == null);
+      const distinct = column => [...new Set(students.map(s => s[column]).filter(Boolean))].sort();
+      return { programs: distinct('program'), sedes: distinct('sede') };
+    },
+
+    /**
+     * Fusiona dos estudiantes en una sola transacción (ver merge_students
+     * en el README)
+     * @returns {Promise<{status: string, code?: string, moved_loans?: number}>}
+     */
+    async merge_students({ p_survivor, p_duplicate, p_survivor_updated_at, p_duplicate_updated_at, p_now }) {
+      // Lectura, verificación de updated_at y traslado de préstamos en una
+      // misma transacción: otro puesto no puede cambiarlos entre medio
+      const merged = await updateTables({ students: [p_survivor, p_duplicate], loans: null }, ({ students, loans }) => {
+        const [survivor, duplicate] = students.map(s => (s && s.deleted_at == null ? s : null));
+        if (!survivor || !duplicate) return { result: { status: 'not_found' } };
+        if (p_survivor_updated_at != null && Number(survivor.updated_at) !== Number(p_survivor_updated_at)) {
+          return { result: { status: 'conflict', code: survivor.code } };
+        }
+        if (p_duplicate_updated_at != null && Number(duplicate.updated_at) !== Number(p_duplicate_updated_at)) {
+          return { result: { status: 'conflict', code: duplicate.code } };
+        }
+
+        const kept = {
+          ...survivor,
+          email: survivor.email || duplicate.email,
+          rh: survivor.rh || duplicate.rh,
+          updated_at: p_now
+        };
+        const dropped = { ...duplicate, deleted_at: p_now, updated_at: p_now };
+        const studentName = `${survivor.name} ${survivor.lastname}`.trim();
+        const previousLoans = loans.filter(l => l.student_code === p_duplicate);
+        const movedLoans = previousLoans.map(l => ({ ...l, student_code: p_survivor, student_name: studentName }));
+
+        return {
+          put: { students: [kept, dropped], loans: movedLoans },
+          result: { status: 'merged', survivor, duplicate, kept, dropped, previousLoans, movedLoans }
+        };
+      });
+
+      if (merged.status !== 'merged') return merged;
+      emitChange('students', 'UPDATE', merged.kept, merged.survivor);
+      emitChange('students', 'UPDATE', merged.dropped, merged.duplicate);
+      merged.movedLoans.forEach((row, i) => emitChange('loans', 'UPDATE', row, merged.previousLoans[i]));
+
+      return { status: 'merged', moved_loans: merged.movedLoans.length };
+    },
+
+    /**
+     * Cuenta un intento de inicio de sesión para varias llaves a la vez
+     * (ver claim_login_attempt en el README)
+     * @returns {Promise<Object>} { status: 'locked', key, locked_until } o
+     *   { status: 'counted', attempts: [{ key, failed_attempts, locked_until }] }
+     */
+    async claim_login_attempt({ p_keys, p_limits, p_now, p_window_ms, p_lock_ms }) {
+      return updateRows('login_attempts', p_keys, rows => {
+        const locked = rows.findIndex(row => row && row.locked_until > p_now);
+        if (locked !== -1) {
+          return { result: { status: 'locked', key: p_keys[locked], locked_until: rows[locked].locked_until } };
+        }
+
+        // El contador se reinicia al vencer un bloqueo o si el último fallo es antiguo
+        const put = p_keys.map((key, i) => {
+          const row = rows[i];
+          const recent = row && row.locked_until == null && row.last_failed_at > p_now - p_window_ms;
+          const failed = (recent ? row.failed_attempts : 0) + 1;
+          return {
+            key,
+            failed_attempts: failed,
+            last_failed_at: p_now,
+            locked_until: failed >= p_limits[i] ? p_now + p_lock_ms : null
+          };
+        });
+        const attempts = put.map(({ key, failed_attempts, locked_until }) => ({ key, failed_attempts, locked_until }));
+        return { put, result: { status: 'counted', attempts } };
+      });
+    },
+
+    /**
+     * Descuenta el intento de un inicio de sesión correcto (ver
+     * release_login_attempt en el README)
+     * @returns {Promise<null>}
+     */
+    async release_login_attempt({ p_account_key, p_client_key, p_client_limit }) {
+      return updateRows('login_attempts', [p_client_key], ([client]) => {
+        const changes = { remove: [p_account_key], result: null };
+        if (client) {
+          const failed = Math.max(client.failed_attempts - 1, 0);
+          changes.put = [{
+            ...client,
+            failed_attempts: failed,
+            locked_until: failed < p_client_limit ? null : client.locked_until
+          }];
+        }
+        return changes;
+      });
+    }
+  };
+
+  /**
+   * Ejecuta una función de la base con la forma de supabase.rpc()
+   * @param {string} name - Nombre de la función
+   * @param {Object} params - Parámetros con nombre
+   * @returns {Promise<{data: *, error: Object|null}>}
+   */
+  async function callRpc(name, params = {}) {
+    const fn = RPC_FUNCTIONS[name];
+    if (!fn) {
+      return { data: null, error: makeError('PGRST202', `Could not find the function public.${name}`), status: 404 };
+    }
+    try {
+      return { data: await fn(params || {}), error: null, status: 200 };
+    } catch (error) {
+      if (error && error.code) {
+        return { data: null, error, status: 400 };
+      }
+      return { data: null, error: makeError('LOCAL', error.message || String(error)), status: 500 };
+    }
+  }
+
+  /**
+   * Equivalentes locales de las Edge Functions, que el cliente llama con
+   * functions.invoke(nombre, { body }). Reciben el cuerpo y retornan la
+   * respuesta JSON de la función.
+   */
+  const LOCAL_FUNCTIONS = {
+    /**
+     * Servidor de autenticación (supabase/functions/auth): el mismo
+     * authServer.js, con acceso directo a las tablas locales. Los correos
+     * salen por window.Mail con el transporte de mail.transport.
+     */
+    auth(body) {
+      return window.AuthServer.handle(body, {
+        db: createClient(),
+        clientAddress: 'local',
+        sendMail: message => window.Mail.send(message)
+      });
+    }
+  };
+
+  /**
+   * Ejecuta una Edge Function con la forma de supabase.functions.invoke()
+   * @param {string} name - Nombre de la función
+   * @param {Object} options - { body }
+   * @returns {Promise<{data: *, error: Object|null}>}
+   */
+  async function invokeFunction(name, options = {}) {
+    const fn = LOCAL_FUNCTIONS[name];
+    if (!fn) {
+      return { data: null, error: makeError('LOCAL', `Función desconocida: ${name}`) };
+    }
+    try {
+      return { data: await fn(options.body || {}), error: null };
+    } catch (error) {
+      return { data: null, error: makeError('LOCAL', error.message || String(error)) };
+    }
+  }
+
+  /**
+   * Crea un cliente compatible con supabase-js sobre IndexedDB
+   * @returns {Object} Cliente con from(), rpc(), functions, channel() y storage
+   */
+  function createClient() {
+    return {
+      isLocal: true,
+      from(table) {
+        return new LocalQuery(table);
+      },
+      rpc(name, params) {
+        return callRpc(name, params);
+      },
+      functions: {
+        invoke(name, options) {
+          return invokeFunction(name, options);
+        }
+      },
+      channel(name) {
+        return new LocalChannel(name);
+      },
+      removeChannel(channel) {
+        return channel.unsubscribe();
+      },
+      storage: {
+        from(bucket) {
+          return new LocalBucket(bucket);
+        }
+      }
+    };
+  }
+
+  /**
+   * Elimina por completo la base de datos local
+   * @returns {Promise<void>}
+   */
+  async function reset() {
+    if (dbPromise) {
+      (await dbPromise).close();
+      dbPromise = null;
+    }
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.deleteDatabase(DB_NAME);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => resolve();
+    });
+  }
+
+  /**
+   * API pública del backend local
+   * @namespace window.LocalBackend
+   */
+  window.LocalBackend = {
+    SCHEMA,
+    createClient,
+    reset,
+    emitChange,
+    STORAGE_URL_PREFIX
+  };
+})();
@@ -11,6 +11,9 @@
  * - Selector de rol (Estudiante/Funcionario)
  * - Validación de credenciales
  * - Manejo de primer acceso (contraseña = cédula)
+ * - Recuperación de contraseña con código enviado al correo institucional
+ * - Segundo paso con código de verificación para funcionarios con 2FA
+ * - Aviso cuando la sesión anterior se cerró (inactividad o revocación)
  * - Toggle de tema claro/oscuro
  * - Redirección según rol del usuario
  * 
@@ -30,6 +33,17 @@
   const pwdHelp = document.getElementById('loginPwdHelp');
   const form = document.getElementById('loginForm');
   const themeToggle = document.getElementById('themeToggle');
+  const roleSelector = document.querySelector('.role-selector');
+  const forgotBtn = document.getElementById('forgotPasswordBtn');
+  const resetRequestForm = document.getElementById('resetRequestForm');
+  const resetCodeForm = document.getElementById('resetCodeForm');
+  const resetCodeInfo = document.getElementById('resetCodeInfo');
+  const resendBtn = document.getElementById('resendResetCodeBtn');
+  const twoFactorForm = document.getElementById('twoFactorForm');
+
+  // Estado de la recuperación de contraseña en curso
+  let resetStudentCode = null;
+  let resendTimer = null;
 
   /**
    * Inicializa el toggle de tema
@@ -63,13 +77,15 @@
       idLabel.textContent = 'Código de Estudiante';
       idInput.placeholder = 'Ej: 12300298';
       idHelp.textContent = 'Usa tu código asignado en el carnet';
-      pwdHelp.textContent = 'Primer acceso: tu contraseña es tu cédula. Si la olvidas, contacta a un funcionario.';
+      pwdHelp.textContent = 'Primer acceso: tu contraseña es tu cédula.';
     } else {
       idLabel.textContent = 'Email del Funcionario';
       idInput.placeholder = 'usuario@udp.edu';
       idHelp.textContent = 'Usa tu email institucional';
       pwdHelp.textContent = 'Contraseña definida al registrarte';
     }
+    // La recuperación por correo es solo para estudiantes
+    forgotBtn.hidden = !isStudent;
     idInput.focus();
   }
   
@@ -96,6 +112,119 @@
     });
   }
   
+  /**
+   * Mensaje para un acceso bloqueado por intentos fallidos
+   * @param {Object} details - { lockedUntil, scope } del error ACCOUNT_LOCKED
+   * @returns {string} Mensaje con el tiempo restante
+   */
+  function lockedMessage(details) {
+    const minutes = Math.max(1, Math.ceil(((details.lockedUntil || Date.now()) - Date.now()) / 60000));
+    const wait = `Intenta de nuevo en ${minutes} minuto${minutes !== 1 ? 's' : ''}`;
+    if (details.scope === 'client') {
+      return `Se registraron demasiados intentos fallidos desde este equipo. ${wait}.`;
+    }
+    return role === 'student'
+      ? `Tu cuenta está bloqueada temporalmente por demasiados intentos fallidos. ${wait} o pide a un funcionario que la desbloquee.`
+      : `La cuenta está bloqueada temporalmente por demasiados intentos fallidos. ${wait} o pide a un administrador que la desbloquee.`;
+  }
+
+  /**
+   * Muestra el mensaje adecuado para un error de autenticación
+   * @param {Error} err - Error de la API (ver API.ErrorCodes)
+   */
+  function showAuthError(err) {
+    if (!window.showModal) return;
+    const codes = (window.API && window.API.ErrorCodes) || {};
+    if (err.code === codes.INACTIVE_ACCOUNT) {
+      window.showModal.error(
+        'Carnet Inactivo', 
+        'Tu carnet está inactivo. Por favor, contacta con un funcionario para reactivarlo.'
+      );
+    } else if (err.code === codes.CARD_EXPIRED) {
+      window.showModal.error('Carnet Vencido', err.message);
+    } else if (err.code === codes.ACCOUNT_LOCKED) {
+      window.showModal.error('Acceso bloqueado', lockedMessage(err.details || {}));
+    } else if (err.code === codes.NETWORK) {
+      window.showModal.error('Sin conexión', err.message);
+    } else if (err.code === codes.VALIDATION) {
+      window.showModal.warning('No se pudo continuar', err.message);
+    } else if (err.code === codes.INVALID_CREDENTIALS && err.details && err.details.remainingAttempts <= 2) {
+      const remaining = err.details.remainingAttempts;
+      window.showModal.error(
+        'Acceso denegado',
+        `${err.message}. Te ${remaining === 1 ? 'queda 1 intento' : `quedan ${remaining} intentos`} antes de que el acceso se bloquee temporalmente.`
+      );
+    } else {
+      window.showModal.error('Acceso denegado', err.message || 'Credenciales inválidas');
+    }
+  }
+
+  /**
+   * Muestra un paso del acceso: inicio de sesión, recuperación de contraseña
+   * o verificación en dos pasos
+   * @param {string} step - 'login', 'request' (pedir código), 'code' (ingresar código) o 'twoFactor'
+   */
+  function showStep(step) {
+    form.hidden = step !== 'login';
+    roleSelector.hidden = step !== 'login';
+    resetRequestForm.hidden = step !== 'request';
+    resetCodeForm.hidden = step !== 'code';
+    twoFactorForm.hidden = step !== 'twoFactor';
+
+    if (step === 'twoFactor') {
+      document.getElementById('twoFactorCode').value = '';
+      document.getElementById('twoFactorCode').focus();
+    } else if (step === 'request') {
+      const codeInput = document.getElementById('resetStudentCode');
+      codeInput.value = resetStudentCode || idInput.value.trim();
+      codeInput.focus();
+    } else if (step === 'code') {
+      document.getElementById('resetCodeInput').value = '';
+      document.getElementById('resetCodeInput').focus();
+    } else {
+      clearInterval(resendTimer);
+      idInput.focus();
+    }
+  }
+
+  /**
+   * Deshabilita "Reenviar código" durante la espera configurada
+   * @param {number} seconds - Segundos de espera
+   */
+  function startResendCooldown(seconds) {
+    clearInterval(resendTimer);
+    let remaining = seconds;
+    const tick = () => {
+      resendBtn.disabled = remaining > 0;
+      resendBtn.textContent = remaining > 0 ? `Reenviar código (${remaining} s)` : 'Reenviar código';
+      if (remaining-- <= 0) clearInterval(resendTimer);
+    };
+    tick();
+    resendTimer = setInterval(tick, 1000);
+  }
+
+  /**
+   * Solicita el envío de un código de recuperación y pasa al paso de ingresarlo
+   * @param {string} code - Código del estudiante
+   * @returns {Promise<void>}
+   */
+  async function requestResetCode(code) {
+    try {
+      await waitForAPI();
+      const { email, expiresAt } = await window.API.Auth.requestPasswordReset(code);
+      resetStudentCode = code;
+      const minutes = Math.max(1, Math.round((expiresAt - Date.now()) / 60000));
+      resetCodeInfo.textContent = `Enviamos un código a ${email}. Vence en ${minutes} minutos.`;
+      showStep('code');
+      startResendCooldown(window.Config.get('passwordReset.resendSeconds'));
+    } catch (err) {
+      showAuthError(err);
+      if (!resetCodeForm.hidden) {
+        startResendCooldown((err.details && err.details.retryAfterSeconds) || 0);
+      }
+    }
+  }
+
   // Inicializar
   initThemeToggle();
   
@@ -151,6 +280,21 @@
     setRole('student');
   }
 
+  // Aviso al llegar desde una sesión cerrada (?session=idle|revoked|expired, ver Auth.startIdleWatch)
+  const SESSION_END_TITLES = {
+    idle: 'Sesión cerrada por inactividad',
+    revoked: 'Sesión cerrada',
+    expired: 'Sesión expirada'
+  };
+  const params = new URLSearchParams(window.location.search);
+  const endedReason = params.get('session');
+  if (SESSION_END_TITLES[endedReason] && window.API && window.showModal) {
+    window.showModal.info(SESSION_END_TITLES[endedReason], window.API.Sessions.END_MESSAGES[endedReason]);
+    params.delete('session');
+    const query = params.toString();
+    window.history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
+  }
+
   /**
    * Manejar envío del formulario de login
    */
@@ -187,7 +331,9 @@
       }
 
       // Redirigir según el rol y estado
-      if (res.role === 'staff') {
+      if (res.twoFactorRequired) {
+        showStep('twoFactor');
+      } else if (res.role === 'staff') {
         window.location.href = 'html/staff.html';
       } else {
         if (res.user.firstLogin) {
@@ -197,19 +343,112 @@
         }
       }
     } catch (err) {
-      // Detectar error de carnet inactivo
-      if (err.message && err.message.includes('inactivo')) {
-        window.showModal && window.showModal.error(
-          'Carnet Inactivo', 
-          'Tu carnet está inactivo. Por favor, contacta con un funcionario para reactivarlo.'
-        );
-      } else {
-        window.showModal && window.showModal.error('Acceso denegado', err.message || 'Credenciales inválidas');
-      }
+      showAuthError(err);
     } finally {
       submitBtn.disabled = false;
       submitBtn.textContent = originalText;
     }
   });
 
+  // ============================================
+  // RECUPERACIÓN DE CONTRASEÑA
+  // ============================================
+
+  forgotBtn.addEventListener('click', () => showStep('request'));
+  document.querySelectorAll('[data-reset-back]').forEach(btn => {
+    btn.addEventListener('click', () => showStep('login'));
+  });
+
+  resetRequestForm.addEventListener('submit', async function(e) {
+    e.preventDefault();
+    const code = document.getElementById('resetStudentCode').value.trim();
+
+    if (!window.Utils.validateStudentCode(code)) {
+      window.showModal && window.showModal.warning('Código inválido', 'El código debe ser numérico de 6 a 12 dígitos.');
+      return;
+    }
+
+    const submitBtn = resetRequestForm.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Enviando...';
+    try {
+      await requestResetCode(code);
+    } finally {
+      submitBtn.disabled = false;
+      submitBtn.textContent = 'Enviar código';
+    }
+  });
+
+  resendBtn.addEventListener('click', async () => {
+    resendBtn.disabled = true;
+    await requestResetCode(resetStudentCode);
+  });
+
+  resetCodeForm.addEventListener('submit', async function(e) {
+    e.preventDefault();
+    const resetCode = document.getElementById('resetCodeInput').value.trim();
+
+    if (!/^\d+$/.test(resetCode)) {
+      window.showModal && window.showModal.warning('Código inválido', 'Ingresa el código numérico que recibiste por correo.');
+      return;
+    }
+
+    const submitBtn = resetCodeForm.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Verificando...';
+    try {
+      await waitForAPI();
+      await window.Auth.loginWithResetCode(resetStudentCode, resetCode);
+      // El primer acceso obliga a definir una nueva contraseña
+      window.location.href = 'html/student.html#first';
+    } catch (err) {
+      showAuthError(err);
+    } finally {
+      submitBtn.disabled = false;
+      submitBtn.textContent = 'Verificar código';
+    }
+  });
+
+
+  // ============================================
+  // VERIFICACIÓN EN DOS PASOS
+  // ============================================
+
+  document.querySelector('[data-two-factor-cancel]').addEventListener('click', async () => {
+    await window.Auth.cancelTwoFactor();
+    document.getElementById('loginPassword').value = '';
+    showStep('login');
+  });
+
+  twoFactorForm.addEventListener('submit', async function(e) {
+    e.preventDefault();
+    const code = document.getElementById('twoFactorCode').value.trim();
+
+    if (!code) {
+      window.showModal && window.showModal.warning('Código requerido', 'Ingresa el código de tu app autenticadora.');
+      return;
+    }
+
+    const submitBtn = twoFactorForm.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Verificando...';
+    try {
+      // El panel avisa si quedan pocos códigos de recuperación
+      await window.Auth.completeTwoFactor(code);
+      window.location.href = 'html/staff.html';
+    } catch (err) {
+      const codes = (window.API && window.API.ErrorCodes) || {};
+      if (err.code === codes.SESSION_EXPIRED) {
+        document.getElementById('loginPassword').value = '';
+        showStep('login');
+        window.showModal && window.showModal.warning('Verificación vencida', err.message);
+      } else {
+        if (err.code === codes.ACCOUNT_LOCKED) showStep('login');
+        showAuthError(err);
+      }
+    } finally {
+      submitBtn.disabled = false;
+      submitBtn.textContent = 'Verificar';
+    }
+  });
 })();
@@ -0,0 +1,142 @@
+/**
+ * ============================================
+ * ENVÍO DE CORREO
+ * Sistema de Carnet Digital - Universidad del Pacífico
+ * ============================================
+ *
+ * DESCRIPCIÓN:
+ * Envía correos del sistema (ej: códigos de recuperación de contraseña)
+ * a través de un transporte intercambiable elegido en la configuración
+ * (mail.transport en config.json). Lo usa el servidor de autenticación
+ * cuando corre en la página (backend local).
+ *
+ * TRANSPORTES INCLUIDOS:
+ * - supabase: no envía desde el navegador. Con Supabase los correos los
+ *   envía la Edge Function auth por mail.functionName, con la llave de
+ *   servicio (producción)
+ * - mailpit: envía a un servidor SMTP local de pruebas (Mailpit) por su
+ *   API HTTP en mail.endpoint; los correos se ven en http://localhost:8025
+ * - outbox: no envía nada; guarda el correo en localStorage y lo muestra
+ *   en la consola (útil sin servidor de correo)
+ *
+ * ESTRUCTURA:
+ * - window.Mail.send(mensaje) - Envía un correo con el transporte configurado
+ * - window.Mail.registerTransport(nombre, fn) - Agrega o reemplaza un transporte
+ * - window.Mail.getOutbox() - Correos guardados por el transporte outbox
+ *
+ * ============================================
+ */
+
+(function() {
+  'use strict';
+
+  const OUTBOX_KEY = 'mail_outbox';
+  const OUTBOX_MAX = 20;
+
+  /**
+   * Transportes registrados: nombre -> async (mensaje, config) => void
+   */
+  const transports = {};
+
+  /**
+   * Crea un error de la API (window.API se carga antes que este módulo)
+   * @param {string} code - Código de window.API.ErrorCodes
+   * @param {string} message - Mensaje
+   * @returns {Error}
+   */
+  function mailError(code, message) {
+    return new window.API.ApiError(window.API.ErrorCodes[code], message);
+  }
+
+  /**
+   * Registra un transporte de correo
+   * @param {string} name - Nombre usado en mail.transport
+   * @param {Function} send - async (mensaje, config) => void; debe lanzar si no se entregó
+   */
+  function registerTransport(name, send) {
+    if (typeof send !== 'function') {
+      throw new TypeError('El transporte de correo debe ser una función');
+    }
+    transports[name] = send;
+  }
+
+  // La Edge Function de correo solo acepta la llave de servicio: desde el
+  // navegador cualquiera podría usarla para escribirle a cualquiera
+  registerTransport('supabase', async () => {
+    throw mailError('UNKNOWN', 'El transporte supabase solo envía desde la Edge Function auth. Con el backend local usa mailpit u outbox (mail.transport).');
+  });
+
+  registerTransport('mailpit', async (message, config) => {
+    let response;
+    try {
+      response = await fetch(config.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          From: { Email: message.from },
+          To: [{ Email: message.to }],
+          Subject: message.subject,
+          Text: message.text
+        })
+      });
+    } catch (_) {
+      throw mailError('NETWORK', `No se pudo conectar con el servidor de correo local (${config.endpoint}).`);
+    }
+
+    if (!response.ok) {
+      throw mailError('UNKNOWN', `El servidor de correo local rechazó el mensaje (${response.status}).`);
+    }
+  });
+
+  registerTransport('outbox', async (message) => {
+    const outbox = getOutbox();
+    outbox.unshift({ ...message, sentAt: Date.now() });
+    try {
+      localStorage.setItem(OUTBOX_KEY, JSON.stringify(outbox.slice(0, OUTBOX_MAX)));
+    } catch (_) {
+      // Sin localStorage: queda solo en la consola
+    }
+    console.info(`[correo] Para: ${message.to}\nAsunto: ${message.subject}\n\n${message.text}`);
+  });
+
+  /**
+   * Correos guardados por el transporte outbox (más recientes primero)
+   * @returns {Array<Object>}
+   */
+  function getOutbox() {
+    try {
+      return JSON.parse(localStorage.getItem(OUTBOX_KEY)) || [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * Envía un correo con el transporte configurado
+   * @param {Object} message - Correo
+   * @param {string} message.to - Destinatario
+   * @param {string} message.subject - Asunto
+   * @param {string} message.text - Cuerpo en texto plano
+   * @returns {Promise<void>}
+   * @throws {ApiError} Si el transporte no existe o no pudo entregar el correo
+   */
+  async function send({ to, subject, text }) {
+    const config = window.Config.get('mail');
+    const transport = transports[config.transport];
+    if (!transport) {
+      throw mailError('UNKNOWN', `Transporte de correo desconocido: ${config.transport}`);
+    }
+
+    await transport({ from: config.from, to, subject, text }, config);
+  }
+
+  /**
+   * API pública de correo
+   * @namespace window.Mail
+   */
+  window.Mail = {
+    send,
+    registerTransport,
+    getOutbox
+  };
+})();
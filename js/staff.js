@@ -9,9 +9,137 @@
   window.__staffInit = true;
 
   let currentSection = 'dashboard';
+  let currentRole = null;
+
+  // Verificación en dos pasos del funcionario en sesión (bloquea el panel si es obligatoria y falta)
+  let twoFactorStatus = null;
+  let twoFactorBlocked = false;
   let html5QrcodeScanner = null;
   let isScanning = false;
 
+  // Estado de paginación de la lista de estudiantes
+  const studentListState = { page: 1, pageSize: 25, requestId: 0, total: 0, pageCodes: [], rows: new Map(), locked: {} };
+  let searchDebounceTimer = null;
+
+  // Códigos seleccionados en la lista para acciones masivas (se conservan entre páginas)
+  const studentSelection = new Set();
+
+  // Acciones masivas sobre la selección: [acción, etiqueta, permiso]
+  const STUDENT_BULK_ACTIONS = [
+    ['activate', 'Activar', 'students.edit'],
+    ['deactivate', 'Desactivar', 'students.edit'],
+    ['expiry', 'Cambiar fecha de vencimiento', 'students.edit'],
+    ['sede', 'Cambiar sede', 'students.edit'],
+    ['program', 'Cambiar programa', 'students.edit'],
+    ['reset-password', 'Restablecer contraseña predeterminada', 'students.reset_password'],
+    ['delete', 'Eliminar (a la papelera)', 'students.delete'],
+    ['export', 'Exportar CSV', 'export']
+  ];
+
+  // Estudiantes procesados a la vez en una acción masiva
+  const BULK_BATCH_SIZE = 10;
+
+  // Estudiante cargado en el formulario (su updated_at detecta ediciones concurrentes)
+  let editingStudent = null;
+
+  // Campos comparados al resolver un conflicto de edición
+  const STUDENT_CONFLICT_FIELDS = [
+    ['name', 'Nombre'],
+    ['lastname', 'Apellidos'],
+    ['cedula', 'Cédula'],
+    ['email', 'Correo'],
+    ['program', 'Programa'],
+    ['expiry', 'Vencimiento'],
+    ['sede', 'Sede'],
+    ['rh', 'RH'],
+    ['photo', 'Foto'],
+    ['active', 'Estado']
+  ];
+
+  // Historial del estudiante: etiquetas de los campos y campos que se pueden revertir
+  // (la foto aparece como photo_url; su miniatura se revierte con ella)
+  const STUDENT_HISTORY_LABELS = {
+    ...Object.fromEntries(STUDENT_CONFLICT_FIELDS),
+    photo_url: 'Foto',
+    first_login: 'Primer acceso',
+    deleted_at: 'Papelera',
+    merged_from: 'Fusionado desde',
+    merged_into: 'Fusionado en',
+    moved_loans: 'Préstamos trasladados'
+  };
+  const STUDENT_HISTORY_HIDDEN_FIELDS = ['photo_thumb_url', 'photo_hash'];
+  const STUDENT_REVERTIBLE_FIELDS = ['name', 'lastname', 'cedula', 'email', 'program', 'expiry', 'sede', 'rh', 'active', 'photo_url'];
+  const STUDENT_OPTIONAL_FIELDS = ['email', 'rh', 'photo_url'];
+
+  // Permiso requerido por cada sección del panel (préstamos: cualquiera de las categorías;
+  // una lista vacía admite a todo funcionario)
+  const SECTION_PERMISSIONS = {
+    dashboard: ['dashboard'],
+    'students-create': ['students.edit'],
+    'students-list': ['students.view'],
+    'students-passwords': ['students.reset_password'],
+    renewal: ['students.edit'],
+    duplicates: ['students.edit'],
+    staff: ['staff.manage'],
+    validator: ['validator'],
+    loans: ['loans.biblioteca', 'loans.laboratorio'],
+    audit: ['audit.view'],
+    trash: ['trash.manage'],
+    export: ['export'],
+    security: []
+  };
+
+  // Medidores de fortaleza de los formularios de contraseña
+  const passwordMeters = {};
+
+  // Espera antes de refrescar tras un cambio en tiempo real (agrupa ráfagas)
+  const REALTIME_REFRESH_DELAY = 300;
+
+  // Estudiantes vigentes (fuera de la papelera) por código y contadores del
+  // dashboard: los cambios en tiempo real se aplican sobre ellos sin volver
+  // a leer la tabla completa
+  let dashboardStudents = null;
+  const dashboardCounts = { total: 0, active: 0, expiring: 0 };
+  let recentStudentCodes = [];
+
+  // Estado de paginación del registro de auditoría
+  const auditState = { page: 1, pageSize: 50 };
+  let auditDebounceTimer = null;
+
+  // Etiquetas legibles de las acciones auditadas
+  const AUDIT_ACTION_LABELS = {
+    'student.create': 'Estudiante creado',
+    'student.update': 'Estudiante editado',
+    'student.delete': 'Estudiante eliminado',
+    'student.reset_password': 'Contraseña restablecida',
+    'student.renew': 'Carnet renovado',
+    'student.revert': 'Cambio revertido',
+    'student.merge': 'Estudiantes fusionados',
+    'student.restore': 'Estudiante restaurado',
+    'student.purge': 'Estudiante eliminado definitivamente',
+    'student.lockout': 'Estudiante bloqueado por intentos fallidos',
+    'student.unlock': 'Estudiante desbloqueado',
+    'student.reset_request': 'Código de recuperación enviado',
+    'student.reset_redeem': 'Código de recuperación usado',
+    'student.sessions_revoked': 'Sesiones del estudiante cerradas',
+    'staff.create': 'Funcionario creado',
+    'staff.delete': 'Funcionario eliminado',
+    'staff.role_change': 'Rol cambiado',
+    'staff.restore': 'Funcionario restaurado',
+    'staff.purge': 'Funcionario eliminado definitivamente',
+    'staff.reset_password': 'Contraseña restablecida',
+    'staff.lockout': 'Funcionario bloqueado por intentos fallidos',
+    'staff.unlock': 'Funcionario desbloqueado',
+    'staff.sessions_revoked': 'Sesiones del funcionario cerradas',
+    'staff.2fa_enable': 'Verificación en dos pasos activada',
+    'staff.2fa_disable': 'Verificación en dos pasos desactivada',
+    'staff.2fa_reset': 'Verificación en dos pasos restablecida',
+    'staff.2fa_recovery_used': 'Código de recuperación 2FA usado',
+    'staff.2fa_recovery_regenerated': 'Códigos de recuperación 2FA regenerados',
+    'loan.register': 'Préstamo registrado',
+    'loan.return': 'Préstamo devuelto'
+  };
+
   /**
    * Espera a que todas las dependencias estén cargadas
    */
@@ -51,6 +179,36 @@
     // Inicializar API
     await window.API.init();
 
+    // La sesión debe seguir abierta en el servidor (no revocada, vencida ni inactiva)
+    try {
+      await window.Auth.validateSession();
+    } catch (err) {
+      window.location.href = `../index.html?session=${(err.details && err.details.reason) || 'expired'}`;
+      return;
+    }
+    window.Auth.startIdleWatch({ loginUrl: '../index.html' });
+
+    // Rol del funcionario: define las secciones y acciones disponibles
+    try {
+      currentRole = await window.API.Permissions.getRole();
+    } catch (err) {
+      console.error('No se pudo obtener el rol del funcionario:', err);
+      currentRole = window.API.Permissions.normalize(session.staffRole);
+    }
+    if (!currentRole) {
+      await window.Auth.logout();
+      window.location.href = '../index.html';
+      return;
+    }
+
+    // Con la verificación en dos pasos obligatoria, quien no la activó solo ve Seguridad
+    try {
+      twoFactorStatus = await window.API.TwoFactor.status();
+      twoFactorBlocked = twoFactorStatus.required && !twoFactorStatus.enabled;
+    } catch (err) {
+      console.error('No se pudo consultar la verificación en dos pasos:', err);
+    }
+
     // Inicializar navegación
     initNavigation();
 
@@ -63,14 +221,166 @@
     // Inicializar secciones
     initDashboard();
     initStudentsSection();
+    window.StudentRenewal?.init({
+      onRenewed: () => {
+        renderStudentList();
+        loadDashboardStats();
+      }
+    });
+    window.StudentDuplicates?.init({
+      onMerged: () => {
+        renderStudentList();
+        loadDashboardStats();
+      }
+    });
     initStaffSection();
     initValidator();
     initExportSection();
+    initAuditSection();
+    initTrashSection();
+    initSecuritySection();
+    renderTwoFactor();
+
+    if (twoFactorBlocked) {
+      window.showModal.warning('Verificación en dos pasos obligatoria', 'Actívala en esta sección para usar el resto del panel.');
+    } else if (twoFactorStatus && twoFactorStatus.enabled && twoFactorStatus.recoveryCodesLeft <= 2) {
+      window.showModal.warning('Pocos códigos de recuperación', `Te ${twoFactorStatus.recoveryCodesLeft === 1 ? 'queda 1 código' : `quedan ${twoFactorStatus.recoveryCodesLeft} códigos`} de recuperación. Genera nuevos en la sección Seguridad.`);
+    }
 
-    // Cargar datos iniciales
-    loadDashboardStats();
-    renderStudentList();
-    renderStaffList();
+    // Cargar datos iniciales (solo de las secciones permitidas)
+    if (canAccessSection('dashboard')) loadDashboardStats();
+    if (canAccessSection('students-list')) renderStudentList();
+    if (canAccessSection('staff')) renderStaffList();
+
+    // Mantener dashboard y listas al día con los cambios de otros puestos
+    initRealtime();
+  }
+
+  /**
+   * Se suscribe a los cambios de estudiantes y préstamos. Cada cambio de un
+   * estudiante se aplica a los contadores del dashboard y a su fila visible;
+   * solo un estudiante nuevo o restaurado vuelve a consultar la página actual
+   */
+  function initRealtime() {
+    let studentsTimer = null;
+    let loansTimer = null;
+    const pending = { rows: new Set(), recent: false, page: false, trash: false };
+
+    window.API.Realtime.subscribe('students', (change) => {
+      const code = String((change.new && change.new.code) || (change.old && change.old.code) || '');
+      if (!code) return;
+
+      const { previous, next } = applyDashboardChange(code, change);
+      if (recentStudentCodes.includes(code) || !previous !== !next) pending.recent = true;
+      if (studentListState.rows.has(code)) {
+        if (next) {
+          studentListState.rows.set(code, { ...studentListState.rows.get(code), ...change.new });
+          pending.rows.add(code);
+        } else {
+          pending.page = true;
+        }
+      } else if (next && (change.eventType === 'INSERT' || (dashboardStudents && !previous))) {
+        pending.page = true;
+      }
+      pending.trash = true;
+
+      clearTimeout(studentsTimer);
+      studentsTimer = setTimeout(() => {
+        if (canAccessSection('dashboard') && dashboardStudents) {
+          renderDashboardCounts();
+          if (pending.recent) loadRecentStudents(Array.from(dashboardStudents.values()));
+        }
+        if (canAccessSection('students-list')) {
+          if (pending.page) {
+            renderStudentList();
+          } else {
+            pending.rows.forEach(renderStudentRow);
+          }
+        }
+        if (pending.trash && currentSection === 'trash') {
+          renderTrash();
+        }
+        pending.rows.clear();
+        pending.recent = pending.page = pending.trash = false;
+      }, REALTIME_REFRESH_DELAY);
+    });
+
+    window.API.Realtime.subscribe('loans', () => {
+      clearTimeout(loansTimer);
+      loansTimer = setTimeout(() => {
+        if (canAccessSection('dashboard')) loadRecentLoans();
+      }, REALTIME_REFRESH_DELAY);
+    });
+  }
+
+  /**
+   * Aplica el cambio de un estudiante a los estudiantes vigentes y a los
+   * contadores del dashboard. Realtime entrega en `old` solo el código:
+   * la versión anterior se toma de dashboardStudents
+   * @param {string} code - Código del estudiante
+   * @param {Object} change - Cambio de API.Realtime ({ eventType, new, old })
+   * @returns {{previous: Object|null, next: Object|null}} Versiones vigentes antes y después (null si no lo está)
+   */
+  function applyDashboardChange(code, change) {
+    let next = null;
+    if (change.eventType !== 'DELETE' && change.new && !change.new.deleted_at) {
+      next = change.new;
+    }
+    if (!dashboardStudents) return { previous: null, next };
+
+    const previous = dashboardStudents.get(code) || null;
+    if (next) next = { ...previous, ...next };
+
+    countStudent(previous, -1);
+    countStudent(next, 1);
+    if (next) {
+      dashboardStudents.set(code, next);
+    } else {
+      dashboardStudents.delete(code);
+    }
+    return { previous, next };
+  }
+
+  /**
+   * Suma (o resta) un estudiante vigente a los contadores del dashboard
+   * @param {Object|null} student - Estudiante
+   * @param {number} sign - 1 para sumar, -1 para restar
+   */
+  function countStudent(student, sign) {
+    if (!student) return;
+    dashboardCounts.total += sign;
+    if (isCardUsable(student)) dashboardCounts.active += sign;
+    if (window.API.Students.cardStatus(student).status === 'expiring') dashboardCounts.expiring += sign;
+  }
+
+  /**
+   * Muestra los contadores de estudiantes del dashboard
+   */
+  function renderDashboardCounts() {
+    document.getElementById('statTotalStudents').textContent = dashboardCounts.total;
+    document.getElementById('statActiveCards').textContent = dashboardCounts.active;
+    document.getElementById('statExpiring').textContent = dashboardCounts.expiring;
+  }
+
+  /**
+   * Indica si el funcionario en sesión tiene un permiso
+   * @param {string} permission - Permiso (ver API.Permissions)
+   * @returns {boolean}
+   */
+  function hasPermission(permission) {
+    return window.API.Permissions.can(currentRole, permission);
+  }
+
+  /**
+   * Indica si el funcionario en sesión puede abrir una sección
+   * @param {string} section - Sección (data-section)
+   * @returns {boolean}
+   */
+  function canAccessSection(section) {
+    const permissions = SECTION_PERMISSIONS[section];
+    if (!permissions) return false;
+    if (twoFactorBlocked) return section === 'security';
+    return !permissions.length || permissions.some(hasPermission);
   }
 
   /**
@@ -78,9 +388,11 @@
    */
   function initNavigation() {
     const navItems = document.querySelectorAll('.dashboard-nav-item');
-    const sections = document.querySelectorAll('.content-section');
 
     navItems.forEach(item => {
+      // Ocultar las secciones que el rol no permite
+      item.hidden = !canAccessSection(item.getAttribute('data-section'));
+
       item.addEventListener('click', (e) => {
         e.preventDefault();
         const section = item.getAttribute('data-section');
@@ -93,12 +405,19 @@
       await window.Auth.logout();
       window.location.href = '../index.html';
     });
+
+    // Abrir la primera sección permitida (ej: el validador para el rol validador)
+    if (!canAccessSection(currentSection)) {
+      const first = Array.from(navItems).find(item => !item.hidden);
+      if (first) switchSection(first.getAttribute('data-section'));
+    }
   }
 
   /**
    * Cambia de sección
    */
   function switchSection(section) {
+    if (!canAccessSection(section)) return;
     currentSection = section;
 
     // Actualizar nav
@@ -117,10 +436,15 @@
       'students-create': 'Administrar Estudiante',
       'students-list': 'Lista de Estudiantes',
       'students-passwords': 'Contraseñas',
+      renewal: 'Renovación Semestral',
+      duplicates: 'Estudiantes Duplicados',
       staff: 'Funcionarios',
       validator: 'Validar Carnet',
       loans: 'Préstamos',
-      export: 'Exportar Datos'
+      audit: 'Auditoría',
+      trash: 'Papelera',
+      export: 'Exportar Datos',
+      security: 'Seguridad'
     };
     document.getElementById('pageTitle').textContent = titles[section] || 'Dashboard';
     
@@ -129,6 +453,21 @@
       window.__loansInitialized = true;
       window.StaffLoans.init();
     }
+
+    // Recargar auditoría al entrar para mostrar los eventos más recientes
+    if (section === 'audit') {
+      renderAuditLog();
+    }
+
+    // Recargar papelera al entrar
+    if (section === 'trash') {
+      renderTrash();
+    }
+
+    // Buscar duplicados al entrar (la lista cambia con cada alta o importación)
+    if (section === 'duplicates') {
+      window.StudentDuplicates?.load();
+    }
   }
 
   /**
@@ -219,12 +558,10 @@
       const students = await window.API.Students.listAll();
       const staff = await window.API.Staff.listAll();
 
-      const active = students.filter(s => s.active !== false && !isExpired(s.expiry)).length;
-      const expiring = students.filter(s => isExpiringSoon(s.expiry)).length;
-
-      document.getElementById('statTotalStudents').textContent = students.length;
-      document.getElementById('statActiveCards').textContent = active;
-      document.getElementById('statExpiring').textContent = expiring;
+      dashboardStudents = new Map(students.map(s => [String(s.code), s]));
+      Object.assign(dashboardCounts, { total: 0, active: 0, expiring: 0 });
+      students.forEach(s => countStudent(s, 1));
+      renderDashboardCounts();
       document.getElementById('statStaff').textContent = staff.length;
 
       // Cargar datos adicionales del dashboard expandido
@@ -248,8 +585,7 @@
         return;
       }
 
-      const result = await window.LoansAPI.getActiveLoans();
-      const loans = result.data || [];
+      const loans = await window.LoansAPI.getActiveLoans();
       const recentLoans = loans.slice(0, 5);
 
       if (recentLoans.length === 0) {
@@ -287,6 +623,7 @@
       // Ordenar por fecha de creación (más recientes primero)
       const sorted = [...students].sort((a, b) => (b.created_at || 0) - (a.created_at || 0));
       const recent = sorted.slice(0, 5);
+      recentStudentCodes = recent.map(s => String(s.code));
 
       if (recent.length === 0) {
         container.innerHTML = '<p class="text-secondary">No hay estudiantes registrados</p>';
@@ -301,8 +638,8 @@
               ${student.code} • ${student.program || 'Sin programa'}
             </div>
           </div>
-          <span class="status-badge ${student.active !== false && !isExpired(student.expiry) ? 'active' : 'inactive'}">
-            ${student.active !== false && !isExpired(student.expiry) ? 'Activo' : 'Inactivo'}
+          <span class="status-badge ${isCardUsable(student) ? 'active' : 'inactive'}">
+            ${isCardUsable(student) ? 'Activo' : 'Inactivo'}
           </span>
         </div>
       `).join('');
@@ -420,6 +757,7 @@
     // Limpiar formulario
     document.getElementById('clearFormBtn')?.addEventListener('click', () => {
       form.reset();
+      editingStudent = null;
       document.getElementById('photoPreview')?.classList.remove('active');
       document.getElementById('previewImage').src = '';
     });
@@ -435,25 +773,67 @@
       document.getElementById('previewImage').src = '';
     });
 
-    // Búsqueda y filtros (sección lista)
-    document.getElementById('searchInput')?.addEventListener('input', renderStudentList);
-    document.getElementById('filterProgram')?.addEventListener('change', renderStudentList);
-    document.getElementById('filterSede')?.addEventListener('change', renderStudentList);
-    document.getElementById('filterStatus')?.addEventListener('change', renderStudentList);
+    // Búsqueda y filtros (sección lista): cualquier cambio vuelve a la página 1
+    // y descarta la selección, que corresponde a los filtros anteriores
+    const resetAndRender = () => {
+      studentListState.page = 1;
+      studentSelection.clear();
+      renderStudentList();
+    };
+    document.getElementById('searchInput')?.addEventListener('input', () => {
+      clearTimeout(searchDebounceTimer);
+      searchDebounceTimer = setTimeout(resetAndRender, 300);
+    });
+    document.getElementById('filterProgram')?.addEventListener('change', resetAndRender);
+    document.getElementById('filterSede')?.addEventListener('change', resetAndRender);
+    document.getElementById('filterStatus')?.addEventListener('change', resetAndRender);
+    document.getElementById('sortStudents')?.addEventListener('change', resetAndRender);
     document.getElementById('clearFiltersBtn')?.addEventListener('click', () => {
       const searchInput = document.getElementById('searchInput');
       const filterProgram = document.getElementById('filterProgram');
       const filterSede = document.getElementById('filterSede');
       const filterStatus = document.getElementById('filterStatus');
+      const sortStudents = document.getElementById('sortStudents');
       if (searchInput) searchInput.value = '';
       if (filterProgram) filterProgram.value = '';
       if (filterSede) filterSede.value = '';
       if (filterStatus) filterStatus.value = '';
+      if (sortStudents) sortStudents.value = 'code';
+      resetAndRender();
+    });
+
+    // Paginación
+    document.getElementById('studentPrevPage')?.addEventListener('click', () => {
+      if (studentListState.page > 1) {
+        studentListState.page--;
+        renderStudentList();
+      }
+    });
+    document.getElementById('studentNextPage')?.addEventListener('click', () => {
+      studentListState.page++;
       renderStudentList();
     });
+    document.getElementById('studentPageSize')?.addEventListener('change', (e) => {
+      studentListState.pageSize = parseInt(e.target.value, 10) || 25;
+      resetAndRender();
+    });
+
+    // Acciones masivas (sección lista)
+    initStudentBulkActions();
 
     // Restablecer contraseña (sección contraseñas)
     document.getElementById('resetBtn')?.addEventListener('click', handleResetStudentPassword);
+    document.getElementById('revokeStudentSessionsBtn')?.addEventListener('click', handleRevokeStudentSessions);
+    passwordMeters.resetStudent = attachMeter('resetPwd', () => ({ code: document.getElementById('resetCode').value.trim() }), 'resetCode');
+
+    // Importación masiva (sección crear)
+    window.StudentImport?.init({
+      onImported: () => {
+        renderStudentList();
+        loadDashboardStats();
+        loadFilterOptions();
+      }
+    });
 
     // Cargar opciones de filtros
     loadFilterOptions();
@@ -473,6 +853,7 @@
     const code = document.getElementById('studentCode').value.trim();
     const cedula = document.getElementById('studentCedula').value.trim();
     const program = window.Utils.sanitize(document.getElementById('studentProgram').value.trim().toUpperCase());
+    const email = document.getElementById('studentEmail').value.trim().toLowerCase();
     const expiryInput = document.getElementById('studentExpiry').value.trim();
     const sede = document.getElementById('studentSede').value.trim();
     const rh = document.getElementById('studentRH').value.trim();
@@ -494,48 +875,229 @@
       return;
     }
 
-    if (window.Utils.isPastDateYmd(expiryInput)) {
+    const emailDomains = window.Config.get('students.emailDomains');
+    if (email && !emailDomains.includes(email.split('@')[1])) {
+      window.showModal.warning('Correo inválido', `El correo debe ser institucional (${emailDomains.map(d => '@' + d).join(', ')}).`);
+      return;
+    }
+
+    if (window.Dates.isPast(expiryInput)) {
       window.showModal.warning('Fecha inválida', 'La fecha de expiración no puede estar en el pasado.');
       return;
     }
 
-    // Foto
-    let photoData = null;
+    // Foto: una imagen recién elegida viaja como data URL y se sube al guardar;
+    // si no, se conservan las URLs del registro cargado
+    let photoFields;
     const previewImg = document.getElementById('previewImage');
-    if (previewImg && previewImg.src && previewImg.src.startsWith('data:')) {
-      photoData = previewImg.src;
+    const photoChosen = Boolean(previewImg && previewImg.src && previewImg.src.startsWith('data:'));
+    if (photoChosen) {
+      photoFields = { photo: previewImg.src };
     } else {
-      const existing = await window.API.Students.getByCode(code);
-      if (existing && existing.photo) {
-        photoData = existing.photo;
-      }
+      const source = editingStudent && editingStudent.code === code
+        ? editingStudent
+        : await window.API.Students.getByCode(code);
+      photoFields = {
+        photo: source ? source.photo || null : null,
+        photo_url: source ? source.photo_url || null : null,
+        photo_thumb_url: source ? source.photo_thumb_url || null : null
+      };
+    }
+
+    const finalActive = active && !window.Dates.isPast(expiryInput) ? true : false;
+
+    // Solo se compara versión si el formulario se cargó con este mismo código;
+    // de lo contrario se espera crear un estudiante nuevo
+    const expectedUpdatedAt = editingStudent && editingStudent.code === code
+      ? editingStudent.updated_at
+      : null;
+
+    // Posibles duplicados: al crear o si cambia la identidad (cédula, nombre o foto)
+    const loaded = expectedUpdatedAt != null ? editingStudent : null;
+    const identityChanged = !loaded || photoChosen || loaded.cedula !== cedula ||
+      loaded.name !== name || loaded.lastname !== lastname;
+    if (identityChanged && !await confirmDuplicates({ code, cedula, name, lastname, photo: photoChosen ? previewImg.src : null })) {
+      return;
     }
 
-    const formattedExpiry = window.Utils.formatDateToSpanish(expiryInput);
-    const finalActive = active && !window.Utils.isPastDateYmd(expiryInput) ? true : false;
+    await saveStudent({
+      name, lastname, code, cedula, email, program,
+      expiry: expiryInput, sede, rh, ...photoFields, active: finalActive
+    }, expectedUpdatedAt);
+  }
 
+  /**
+   * Avisa si el estudiante del formulario podría estar registrado con otro código
+   * @param {Object} candidate - { code, cedula, name, lastname, photo }
+   * @returns {Promise<boolean>} true si se puede guardar (sin coincidencias o confirmado)
+   */
+  async function confirmDuplicates(candidate) {
+    let matches;
     try {
-      await window.API.Students.createOrUpdate({
-        name, lastname, code, cedula, program,
-        expiry: formattedExpiry, sede, rh, photo: photoData, active: finalActive
-      });
+      matches = await window.API.Students.findDuplicates(candidate);
+    } catch (err) {
+      // Es solo un aviso: si la búsqueda falla no impide guardar
+      console.warn('No se pudieron buscar duplicados:', err);
+      return true;
+    }
+    if (!matches.length) return true;
+
+    const sanitize = window.Utils.sanitize;
+    const items = matches.slice(0, 5).map(match => `
+      <li>
+        <strong>${sanitize(`${match.student.name} ${match.student.lastname}`)}</strong>
+        (código ${sanitize(match.student.code)}, C.C. ${sanitize(match.student.cedula || '—')}):
+        ${sanitize(window.StudentDuplicates.describe(match))}
+      </li>
+    `).join('');
+
+    return window.showModal.confirm('Posible estudiante duplicado', `
+      <p>Este estudiante podría estar registrado con otro código:</p>
+      <ul class="duplicate-warning-list">${items}</ul>
+      ${matches.length > 5 ? `<p>Y ${matches.length - 5} coincidencia(s) más.</p>` : ''}
+      <p>Si es la misma persona, corrige el registro existente o fusiónalos en la sección Duplicados.</p>
+    `, { confirmText: 'Guardar de todos modos', cancelText: 'Revisar' });
+  }
+
+  /**
+   * Guarda el estudiante y resuelve conflictos de edición concurrente
+   * @param {Object} studentData - Datos del formulario
+   * @param {number|null} expectedUpdatedAt - Versión con la que se cargó el registro
+   */
+  async function saveStudent(studentData, expectedUpdatedAt) {
+    try {
+      const saved = await window.API.Students.createOrUpdate(studentData, { expectedUpdatedAt });
+      editingStudent = saved;
 
       window.showModal.success('Guardado', 'El carnet y el perfil del estudiante se han guardado.');
       renderStudentList();
       loadDashboardStats();
       loadFilterOptions();
-
-      // Limpiar formulario después de crear nuevo estudiante
-      const existing = await window.API.Students.getByCode(code);
-      if (!existing || existing.code !== code) {
-        form.reset();
-        document.getElementById('photoPreview').classList.remove('active');
-      }
     } catch (err) {
+      if (err.code === window.API.ErrorCodes.CONFLICT) {
+        await resolveStudentConflict(studentData, err.details.current);
+        return;
+      }
       window.showModal.error('Error', err.message || 'No se pudo guardar');
     }
   }
 
+  /**
+   * Valor de un campo del estudiante para el diff de conflictos.
+   * La foto se compara por su origen: imagen nueva, URL en Storage o Base64 heredada.
+   */
+  function conflictValue(student, field) {
+    if (field === 'photo') return student.photo || student.photo_url || null;
+    return student[field];
+  }
+
+  /**
+   * Compara dos valores de un campo del estudiante ignorando null/vacío
+   */
+  function sameStudentValue(field, a, b) {
+    if (field === 'active') return (a !== false) === (b !== false);
+    if (field === 'expiry') return window.Dates.toYmd(a) === window.Dates.toYmd(b);
+    return String(a ?? '') === String(b ?? '');
+  }
+
+  /**
+   * Muestra las diferencias campo a campo frente a la versión vigente y
+   * permite combinar (elegir por campo) o sobrescribir con los datos propios
+   * @param {Object} mine - Datos que se intentaron guardar
+   * @param {Object|null} current - Versión vigente en la base de datos
+   */
+  async function resolveStudentConflict(mine, current) {
+    if (!current) {
+      editingStudent = null;
+      window.showModal.error('Conflicto', 'El estudiante fue eliminado por otro funcionario después de que lo cargaste. Guarda de nuevo para crearlo otra vez.');
+      return;
+    }
+
+    const original = editingStudent && editingStudent.code === mine.code ? editingStudent : null;
+    const fields = STUDENT_CONFLICT_FIELDS.filter(([field]) => !sameStudentValue(field, conflictValue(mine, field), conflictValue(current, field)));
+
+    // Los cambios ajenos coinciden con los propios: basta con guardar sobre la nueva versión
+    if (!fields.length) {
+      await saveStudent(mine, current.updated_at);
+      return;
+    }
+
+    const sanitize = window.Utils.sanitize;
+    const format = (field, value) => {
+      if (field === 'active') return value !== false ? 'Activo' : 'Inactivo';
+      if (field === 'photo') return value ? `<img data-photo-src="${sanitize(value)}" alt="Foto" class="conflict-photo" />` : 'Sin foto';
+      if (field === 'expiry') return value ? sanitize(window.Dates.formatSpanish(value)) : '—';
+      return value ? sanitize(String(value)) : '—';
+    };
+
+    const rows = fields.map(([field, label]) => {
+      // Por defecto se conserva lo que cambió el otro funcionario si este formulario no tocó el campo
+      const keepCurrent = original && sameStudentValue(field, conflictValue(original, field), conflictValue(mine, field));
+      return `
+        <tr>
+          <td><strong>${label}</strong></td>
+          <td>${original ? format(field, conflictValue(original, field)) : '—'}</td>
+          <td>${format(field, conflictValue(mine, field))}</td>
+          <td>${format(field, conflictValue(current, field))}</td>
+          <td>
+            <label><input type="radio" name="conflict_${field}" value="mine" ${keepCurrent ? '' : 'checked'} /> Mío</label>
+            <label><input type="radio" name="conflict_${field}" value="current" ${keepCurrent ? 'checked' : ''} /> Actual</label>
+          </td>
+        </tr>
+      `;
+    }).join('');
+
+    const updatedAt = new Date(current.updated_at).toLocaleString('es-ES');
+    const pending = window.showModal.confirm('Conflicto de edición', `
+      <p>${original ? `Otro funcionario modificó este estudiante el ${updatedAt}.` : `Ya existe un estudiante con el código ${sanitize(mine.code)} (actualizado el ${updatedAt}).`}
+      Elige qué valor conservar en cada campo.</p>
+      <div class="conflict-diff" id="studentConflictDiff">
+        <div class="conflict-diff-actions">
+          <button type="button" class="btn btn-secondary btn-sm" data-conflict-pick="mine">Sobrescribir con lo mío</button>
+          <button type="button" class="btn btn-secondary btn-sm" data-conflict-pick="current">Usar todo lo actual</button>
+        </div>
+        <table class="data-table">
+          <thead>
+            <tr><th>Campo</th><th>Cargado</th><th>Tus cambios</th><th>Actual</th><th>Conservar</th></tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `, { confirmText: 'Guardar selección', cancelText: 'Seguir editando' });
+
+    // El modal se crea de forma síncrona: se conserva la referencia para leer la selección
+    const diffNode = document.getElementById('studentConflictDiff');
+    showStudentPhotos(diffNode);
+    diffNode.querySelectorAll('[data-conflict-pick]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const pick = btn.getAttribute('data-conflict-pick');
+        diffNode.querySelectorAll(`input[type="radio"][value="${pick}"]`).forEach(input => {
+          input.checked = true;
+        });
+      });
+    });
+
+    if (!await pending) return;
+
+    const merged = { ...mine };
+    fields.forEach(([field]) => {
+      const choice = diffNode.querySelector(`input[name="conflict_${field}"]:checked`);
+      if (choice && choice.value === 'current' && field === 'photo') {
+        merged.photo = current.photo || null;
+        merged.photo_url = current.photo_url || null;
+        merged.photo_thumb_url = current.photo_thumb_url || null;
+      } else if (choice && choice.value === 'current') {
+        merged[field] = current[field];
+      }
+    });
+
+    editingStudent = current;
+    await saveStudent(merged, current.updated_at);
+    if (editingStudent && editingStudent.code === merged.code && editingStudent !== current) {
+      fillFormFromStudent(editingStudent);
+    }
+  }
+
   /**
    * Maneja la subida de foto
    */
@@ -562,6 +1124,20 @@
     }
   }
 
+  /**
+   * Lee los filtros y el orden elegidos en la lista de estudiantes
+   * @returns {{search: string, program: string, sede: string, status: string, sort: string}}
+   */
+  function getStudentFilters() {
+    return {
+      search: document.getElementById('searchInput')?.value.trim() || '',
+      program: document.getElementById('filterProgram')?.value || '',
+      sede: document.getElementById('filterSede')?.value || '',
+      status: document.getElementById('filterStatus')?.value || '',
+      sort: document.getElementById('sortStudents')?.value || 'code'
+    };
+  }
+
   /**
    * Renderiza la lista de estudiantes
    */
@@ -569,129 +1145,188 @@
     const listNode = document.getElementById('studentList');
     if (!listNode) return;
 
-    const all = await window.API.Students.listAll();
-    const filters = {
-      search: document.getElementById('searchInput')?.value.trim() || '',
-      program: document.getElementById('filterProgram')?.value || '',
-      sede: document.getElementById('filterSede')?.value || '',
-      status: document.getElementById('filterStatus')?.value || ''
-    };
+    const requestId = ++studentListState.requestId;
+    const filters = getStudentFilters();
 
-    let filtered = all.filter(s => {
-      if (filters.search) {
-        const term = filters.search.toLowerCase();
-        const code = (s.code || '').toLowerCase();
-        const ced = (s.cedula || '').toLowerCase();
-        const name = (s.name || '').toLowerCase();
-        const last = (s.lastname || '').toLowerCase();
-        if (!code.includes(term) && !ced.includes(term) && !name.includes(term) && !last.includes(term)) {
-          return false;
-        }
-      }
-      if (filters.program && s.program !== filters.program) return false;
-      if (filters.sede && s.sede !== filters.sede) return false;
-      if (filters.status) {
-        const isActive = s.active !== false;
-        if (filters.status === 'inactive' && isActive) return false;
-        if (filters.status === 'expired' && !isExpired(s.expiry)) return false;
-        if (filters.status === 'expiring' && !isExpiringSoon(s.expiry)) return false;
-        if (filters.status === 'active' && (!isActive || isExpired(s.expiry) || isExpiringSoon(s.expiry))) return false;
-      }
-      return true;
-    }).sort((a, b) => (a.code || '').localeCompare(b.code || ''));
+    let result, locked;
+    try {
+      [result, locked] = await Promise.all([
+        window.API.Students.query({
+          ...filters,
+          page: studentListState.page,
+          pageSize: studentListState.pageSize
+        }),
+        loadLockouts('student')
+      ]);
+    } catch (err) {
+      console.error('Error al consultar estudiantes:', err);
+      listNode.innerHTML = '<p class="text-tertiary">No se pudo cargar la lista de estudiantes.</p>';
+      return;
+    }
+
+    // Ignorar respuestas de búsquedas anteriores que llegan tarde
+    if (requestId !== studentListState.requestId) return;
 
-    document.getElementById('studentCount').textContent = `${filtered.length} de ${all.length} estudiante(s)`;
+    studentListState.page = result.page;
+    studentListState.total = result.total;
+    studentListState.pageCodes = result.rows.map(s => String(s.code));
+    studentListState.rows = new Map(result.rows.map(s => [String(s.code), s]));
+    studentListState.locked = locked;
+    const filtered = result.rows;
+    const firstIndex = result.total ? (result.page - 1) * result.pageSize + 1 : 0;
+    const lastIndex = (result.page - 1) * result.pageSize + filtered.length;
+
+    document.getElementById('studentCount').textContent = `${firstIndex}–${lastIndex} de ${result.total} estudiante(s)`;
+    renderStudentPagination(result);
+    updateStudentBulkBar();
 
     if (!filtered.length) {
       listNode.innerHTML = '<p class="text-tertiary">No se encontraron estudiantes con los filtros seleccionados.</p>';
       return;
     }
 
-    listNode.innerHTML = filtered.map(s => {
-      const expired = isExpired(s.expiry);
-      const expiring = isExpiringSoon(s.expiry);
-      const isActive = s.active !== false;
-
-      let statusBadge = '';
-      if (!isActive) {
-        statusBadge = '<span class="status-badge inactive">INACTIVO</span>';
-      } else if (expired) {
-        statusBadge = '<span class="status-badge expired">EXPIRADO</span>';
-      } else if (expiring) {
-        statusBadge = '<span class="status-badge expiring">POR VENCER</span>';
-      } else {
-        statusBadge = '<span class="status-badge active">ACTIVO</span>';
-      }
+    listNode.innerHTML = filtered.map(s => studentItemHtml(s, locked)).join('');
+    showStudentPhotos(listNode);
+    bindStudentItems(listNode);
+  }
 
-      return `
-        <div class="student-item" data-code="${s.code}">
-          <div class="student-info">
-            <div class="student-main-info">
-              <div class="student-code-inline">${s.code || ''}</div>
-              <strong class="student-name-full">${s.name || 'N/A'} ${s.lastname || ''}</strong>
-              ${s.cedula ? `<small class="student-cedula-text">C.C. ${s.cedula}</small>` : ''}
-              ${s.program ? `<small class="student-program-text">${s.program}</small>` : ''}
-              ${statusBadge}
-            </div>
-          </div>
-          <div class="student-actions">
-            <button class="btn btn-sm btn-info student-preview-btn" data-code="${s.code}" title="Ver carnet">
-              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"></path>
-                <circle cx="12" cy="12" r="3"></circle>
-              </svg>
-              Ver
-            </button>
-            <button class="btn btn-sm btn-warning student-edit-btn" data-code="${s.code}" title="Editar estudiante">
-              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <path d="M12 20h9"></path>
-                <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path>
-              </svg>
-              Editar
-            </button>
-            <button class="btn btn-sm btn-danger student-delete-btn" data-code="${s.code}" title="Eliminar estudiante">
-              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <polyline points="3 6 5 6 21 6"></polyline>
-                <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
-              </svg>
-              Eliminar
-            </button>
+  /**
+   * Vuelve a dibujar la fila visible de un estudiante con su versión de
+   * studentListState.rows (tras un cambio en tiempo real)
+   * @param {string} code - Código del estudiante
+   */
+  function renderStudentRow(code) {
+    const student = studentListState.rows.get(code);
+    const item = Array.from(document.querySelectorAll('#studentList .student-item'))
+      .find(node => node.getAttribute('data-code') === code);
+    if (!student || !item) return;
+
+    const template = document.createElement('template');
+    template.innerHTML = studentItemHtml(student, studentListState.locked).trim();
+    const row = template.content.firstElementChild;
+    item.replaceWith(row);
+    showStudentPhotos(row);
+    bindStudentItems(row);
+  }
+
+  /**
+   * HTML de la fila de un estudiante en la lista
+   * @param {Object} s - Estudiante
+   * @param {Object} locked - Cuentas bloqueadas ({ código en minúsculas: lockedUntil })
+   * @returns {string}
+   */
+  function studentItemHtml(s, locked) {
+    // Acciones visibles según el rol
+    const canEdit = hasPermission('students.edit');
+    const canDelete = hasPermission('students.delete');
+    const canSelect = getAllowedBulkActions().length > 0;
+
+    const thumbUrl = window.API.Photos.getUrl(s, 'thumb');
+    const cardStatus = window.API.Students.cardStatus(s).status;
+
+    let statusBadge = '';
+    if (cardStatus === 'inactive') {
+      statusBadge = '<span class="status-badge inactive">INACTIVO</span>';
+    } else if (cardStatus === 'expired') {
+      statusBadge = '<span class="status-badge expired">EXPIRADO</span>';
+    } else if (cardStatus === 'grace') {
+      statusBadge = '<span class="status-badge grace">EN GRACIA</span>';
+    } else if (cardStatus === 'expiring') {
+      statusBadge = '<span class="status-badge expiring">POR VENCER</span>';
+    } else {
+      statusBadge = '<span class="status-badge active">ACTIVO</span>';
+    }
+
+    const lockBadge = locked[String(s.code).toLowerCase()]
+      ? `<span class="status-badge locked" title="Hasta ${new Date(locked[String(s.code).toLowerCase()]).toLocaleTimeString('es-ES')}">BLOQUEADO</span>`
+      : '';
+
+    return `
+      <div class="student-item" data-code="${s.code}">
+        <div class="student-info">
+          ${canSelect ? `
+          <input type="checkbox" class="student-select" data-code="${s.code}" aria-label="Seleccionar ${s.code}" ${studentSelection.has(String(s.code)) ? 'checked' : ''} />` : ''}
+          ${thumbUrl
+            ? `<img class="student-thumb" data-photo-src="${window.Utils.sanitize(thumbUrl)}" alt="" loading="lazy" />`
+            : '<div class="student-thumb"></div>'}
+          <div class="student-main-info">
+            <div class="student-code-inline">${s.code || ''}</div>
+            <strong class="student-name-full">${s.name || 'N/A'} ${s.lastname || ''}</strong>
+            ${s.cedula ? `<small class="student-cedula-text">C.C. ${s.cedula}</small>` : ''}
+            ${s.program ? `<small class="student-program-text">${s.program}</small>` : ''}
+            ${statusBadge}
+            ${lockBadge}
           </div>
         </div>
-      `;
-    }).join('');
+        <div class="student-actions">
+          ${lockBadge && canEdit ? `
+          <button class="btn btn-sm btn-secondary student-unlock-btn" data-code="${s.code}" title="Desbloquear acceso">Desbloquear</button>` : ''}
+          <button class="btn btn-sm btn-info student-preview-btn" data-code="${s.code}" title="Ver carnet">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"></path>
+              <circle cx="12" cy="12" r="3"></circle>
+            </svg>
+            Ver
+          </button>
+          ${canEdit ? `
+          <button class="btn btn-sm btn-warning student-edit-btn" data-code="${s.code}" title="Editar estudiante">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M12 20h9"></path>
+              <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path>
+            </svg>
+            Editar
+          </button>` : ''}
+          ${canDelete ? `
+          <button class="btn btn-sm btn-danger student-delete-btn" data-code="${s.code}" title="Eliminar estudiante">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <polyline points="3 6 5 6 21 6"></polyline>
+              <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+            </svg>
+            Eliminar
+          </button>` : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Conecta los controles de las filas de estudiantes (selección, vista
+   * previa, desbloqueo, edición y eliminación)
+   * @param {Element} root - Lista completa o una fila
+   */
+  function bindStudentItems(root) {
+    // Selección para acciones masivas
+    root.querySelectorAll('.student-select').forEach(box => {
+      box.addEventListener('change', () => {
+        const code = box.getAttribute('data-code');
+        if (box.checked) {
+          studentSelection.add(code);
+        } else {
+          studentSelection.delete(code);
+        }
+        updateStudentBulkBar();
+      });
+    });
 
     // Event listeners para botón vista previa
-    listNode.querySelectorAll('.student-preview-btn').forEach(btn => {
+    root.querySelectorAll('.student-preview-btn').forEach(btn => {
       btn.addEventListener('click', async (e) => {
         e.stopPropagation();
-        const code = btn.getAttribute('data-code');
-        const student = await window.API.Students.getByCode(code);
-        if (student) {
-          // Mostrar modal con información del carnet
-          const statusInfo = getStudentStatus(student);
-          const modalContent = `
-            <div style="text-align: center; overflow: hidden;">
-              ${student.photo ? `<img src="${student.photo}" alt="Foto" style="max-width: 150px; max-height: 180px; border-radius: 8px; margin-bottom: 12px; object-fit: cover;">` : ''}
-              <h3 style="color: var(--text-primary); margin-bottom: 8px; font-size: 1.125rem;">${student.name} ${student.lastname}</h3>
-              <p style="color: var(--text-secondary); margin-bottom: 12px; font-size: 0.9375rem;"><strong>Código:</strong> ${student.code}</p>
-              <div style="text-align: left; background: var(--bg-tertiary); padding: 14px; border-radius: 8px;">
-                <p style="margin-bottom: 6px; font-size: 0.875rem;"><strong>Cédula:</strong> ${student.cedula}</p>
-                <p style="margin-bottom: 6px; font-size: 0.875rem;"><strong>Programa:</strong> ${student.program}</p>
-                <p style="margin-bottom: 6px; font-size: 0.875rem;"><strong>Sede:</strong> ${student.sede}</p>
-                ${student.rh ? `<p style="margin-bottom: 6px; font-size: 0.875rem;"><strong>RH:</strong> ${student.rh}</p>` : ''}
-                <p style="margin-bottom: 6px; font-size: 0.875rem;"><strong>Válido hasta:</strong> ${student.expiry}</p>
-                <p style="margin-bottom: 0; font-size: 0.875rem;"><strong>Estado:</strong> <span style="color: ${statusInfo.color}; font-weight: 600;">${statusInfo.text}</span></p>
-              </div>
-            </div>
-          `;
-          window.showModal.info('Información del Carnet', modalContent);
-        }
+        const student = await window.API.Students.getByCode(btn.getAttribute('data-code'));
+        if (student) showStudentPreview(student);
+      });
+    });
+
+    // Event listeners para botón desbloquear
+    root.querySelectorAll('.student-unlock-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        unlockAccount('student', btn.getAttribute('data-code'), renderStudentList);
       });
     });
 
     // Event listeners para botón editar
-    listNode.querySelectorAll('.student-edit-btn').forEach(btn => {
+    root.querySelectorAll('.student-edit-btn').forEach(btn => {
       btn.addEventListener('click', async (e) => {
         e.stopPropagation();
         const code = btn.getAttribute('data-code');
@@ -707,7 +1342,7 @@
     });
 
     // Event listeners para botón eliminar
-    listNode.querySelectorAll('.student-delete-btn').forEach(btn => {
+    root.querySelectorAll('.student-delete-btn').forEach(btn => {
       btn.addEventListener('click', async (e) => {
         e.stopPropagation();
         const code = btn.getAttribute('data-code');
@@ -715,12 +1350,12 @@
         if (student) {
           const confirmDelete = await window.showModal.confirm(
             'Eliminar Estudiante',
-            `¿Estás seguro de eliminar el estudiante ${student.name} ${student.lastname} (${student.code})? Esta acción no se puede deshacer y eliminará todos sus datos incluyendo préstamos asociados.`
+            `¿Estás seguro de eliminar el estudiante ${student.name} ${student.lastname} (${student.code})? El estudiante se moverá a la Papelera y podrá restaurarse desde allí con sus préstamos.`
           );
           if (confirmDelete) {
             try {
               await window.API.Students.delete(code);
-              window.showModal.success('Eliminado', `El estudiante ${student.name} ${student.lastname} ha sido eliminado correctamente.`);
+              window.showModal.success('Eliminado', `El estudiante ${student.name} ${student.lastname} se movió a la Papelera.`);
               // Recargar la lista y estadísticas
               renderStudentList();
               loadDashboardStats();
@@ -736,71 +1371,689 @@
   }
 
   /**
-   * Obtiene el estado formateado del estudiante
+   * Obtiene las cuentas bloqueadas por intentos fallidos
+   * @param {string} type - 'student' o 'staff'
+   * @returns {Promise<Object>} { identificador en minúsculas: lockedUntil }
    */
-  function getStudentStatus(student) {
-    const expired = isExpired(student.expiry);
-    const expiring = isExpiringSoon(student.expiry);
-    const isActive = student.active !== false;
-
-    if (!isActive) {
-      return { text: 'INACTIVO', color: '#ef4444' };
-    } else if (expired) {
-      return { text: 'EXPIRADO', color: '#ef4444' };
-    } else if (expiring) {
-      return { text: 'POR VENCER', color: '#f59e0b' };
-    } else {
-      return { text: 'ACTIVO', color: '#37a372' };
+  async function loadLockouts(type) {
+    try {
+      return await window.API.Lockouts.list(type);
+    } catch (err) {
+      console.warn('No se pudieron consultar los bloqueos:', err);
+      return {};
     }
   }
 
   /**
-   * Llena el formulario con datos de estudiante
+   * Desbloquea una cuenta tras confirmar
+   * @param {string} type - 'student' o 'staff'
+   * @param {string} identifier - Código o email
+   * @param {Function} refresh - Recarga la lista correspondiente
    */
-  function fillFormFromStudent(s) {
-    document.getElementById('studentName').value = s.name || '';
-    document.getElementById('studentLastname').value = s.lastname || '';
-    document.getElementById('studentCode').value = s.code || '';
-    document.getElementById('studentCedula').value = s.cedula || '';
-    document.getElementById('studentProgram').value = s.program || '';
+  async function unlockAccount(type, identifier, refresh) {
+    const confirmed = await window.showModal.confirm(
+      'Desbloquear acceso',
+      `¿Desbloquear a ${identifier}? Podrá volver a intentar iniciar sesión de inmediato.`
+    );
+    if (!confirmed) return;
 
-    // Formatear fecha española al formato YYYY-MM-DD
-    if (s.expiry && s.expiry.includes(' ')) {
-      const parts = s.expiry.split(' ');
-      const months = ['ENERO', 'FEBRERO', 'MARZO', 'ABRIL', 'MAYO', 'JUNIO', 'JULIO', 'AGOSTO', 'SEPTIEMBRE', 'OCTUBRE', 'NOVIEMBRE', 'DICIEMBRE'];
-      const monthIndex = months.indexOf(parts[1]);
-      if (monthIndex !== -1) {
-        const date = new Date(parseInt(parts[2]), monthIndex, parseInt(parts[0]));
-        document.getElementById('studentExpiry').value = date.toISOString().split('T')[0];
-      }
-    } else if (s.expiry) {
-      document.getElementById('studentExpiry').value = s.expiry;
+    try {
+      await window.API.Lockouts.unlock(type, identifier);
+      window.showModal.success('Desbloqueado', `${identifier} puede volver a iniciar sesión.`);
+      refresh();
+    } catch (err) {
+      window.showModal.error('Error', err.message || 'No se pudo desbloquear');
     }
+  }
 
-    document.getElementById('studentSede').value = s.sede || 'Buenaventura';
-    document.getElementById('studentRH').value = s.rh || '';
-
-    const isActive = s.active !== false;
-    document.getElementById('studentActive').checked = isActive;
-    document.getElementById('studentInactive').checked = !isActive;
+  /**
+   * Cierra todas las sesiones abiertas de una cuenta
+   * @param {string} type - 'student' o 'staff'
+   * @param {string} identifier - Código o email
+   */
+  async function revokeAccountSessions(type, identifier) {
+    const confirmed = await window.showModal.confirm(
+      'Cerrar sesiones',
+      `¿Cerrar todas las sesiones abiertas de ${window.Utils.sanitize(identifier)}? Deberá iniciar sesión de nuevo en cada equipo.`
+    );
+    if (!confirmed) return;
 
-    if (s.photo) {
-      document.getElementById('previewImage').src = s.photo;
-      document.getElementById('photoPreview').classList.add('active');
-      document.getElementById('fileInputText').textContent = 'Foto cargada';
+    try {
+      const revoked = await window.API.Sessions.revokeAll(type, identifier);
+      window.showModal.success('Sesiones cerradas', revoked
+        ? `Se cerraron ${revoked} sesión(es) de ${window.Utils.sanitize(identifier)}.`
+        : `${window.Utils.sanitize(identifier)} no tenía sesiones abiertas.`);
+    } catch (err) {
+      window.showModal.error('Error', err.message || 'No se pudieron cerrar las sesiones');
     }
   }
 
   /**
-   * Carga las opciones de filtros
+   * Maneja el cierre de sesiones de un estudiante desde la sección de contraseñas
    */
-  async function loadFilterOptions() {
-    const all = await window.API.Students.listAll();
-    const programs = [...new Set(all.map(s => s.program).filter(Boolean))].sort();
-    const sedes = [...new Set(all.map(s => s.sede).filter(Boolean))].sort();
+  function handleRevokeStudentSessions() {
+    const code = document.getElementById('resetCode').value.trim();
+    if (!code) {
+      window.showModal.warning('Campo requerido', 'Ingresa el código del estudiante.');
+      return;
+    }
+    revokeAccountSessions('student', code);
+  }
 
-    const programSelect = document.getElementById('filterProgram');
-    const sedeSelect = document.getElementById('filterSede');
+  /**
+   * Actualiza los controles de paginación de la lista de estudiantes
+   * @param {Object} result - Resultado de API.Students.query()
+   */
+  function renderStudentPagination(result) {
+    const info = document.getElementById('studentPageInfo');
+    const prev = document.getElementById('studentPrevPage');
+    const next = document.getElementById('studentNextPage');
+
+    if (info) info.textContent = `Página ${result.page} de ${result.pageCount}`;
+    if (prev) prev.disabled = result.page <= 1;
+    if (next) next.disabled = result.page >= result.pageCount;
+  }
+
+  /**
+   * Acciones masivas permitidas al rol actual
+   * @returns {Array<Array<string>>} Entradas de STUDENT_BULK_ACTIONS
+   */
+  function getAllowedBulkActions() {
+    return STUDENT_BULK_ACTIONS.filter(([, , permission]) => hasPermission(permission));
+  }
+
+  /**
+   * Inicializa la barra de acciones masivas de la lista de estudiantes
+   */
+  function initStudentBulkActions() {
+    const actionSelect = document.getElementById('studentBulkAction');
+    if (!actionSelect) return;
+
+    actionSelect.innerHTML = '<option value="">Acción masiva...</option>' + getAllowedBulkActions()
+      .map(([action, label]) => `<option value="${action}">${label}</option>`)
+      .join('');
+
+    actionSelect.addEventListener('change', async () => {
+      const action = actionSelect.value;
+      document.getElementById('studentBulkExpiry').hidden = action !== 'expiry';
+      document.getElementById('studentBulkValue').hidden = action !== 'sede' && action !== 'program';
+
+      // Sugerir los valores existentes de sede o programa
+      if (action === 'sede' || action === 'program') {
+        const valueInput = document.getElementById('studentBulkValue');
+        valueInput.value = '';
+        valueInput.placeholder = action === 'sede' ? 'Nueva sede' : 'Nuevo programa';
+        try {
+          const { programs, sedes } = await window.API.Students.getFilterOptions();
+          document.getElementById('studentBulkValues').innerHTML = (action === 'sede' ? sedes : programs)
+            .map(value => `<option value="${window.Utils.sanitize(value)}"></option>`)
+            .join('');
+        } catch (err) {
+          console.warn('No se pudieron cargar las sugerencias:', err);
+        }
+      }
+      updateStudentBulkBar();
+    });
+
+    document.getElementById('studentSelectPage')?.addEventListener('change', (e) => {
+      studentListState.pageCodes.forEach(code => {
+        if (e.target.checked) {
+          studentSelection.add(code);
+        } else {
+          studentSelection.delete(code);
+        }
+      });
+      document.querySelectorAll('#studentList .student-select').forEach(box => { box.checked = e.target.checked; });
+      updateStudentBulkBar();
+    });
+
+    document.getElementById('studentSelectAllBtn')?.addEventListener('click', async () => {
+      try {
+        const codes = await window.API.Students.queryCodes(getStudentFilters());
+        codes.forEach(code => studentSelection.add(String(code)));
+        document.querySelectorAll('#studentList .student-select').forEach(box => { box.checked = true; });
+        updateStudentBulkBar();
+      } catch (err) {
+        window.showModal.error('Error', err.message || 'No se pudo seleccionar a los estudiantes');
+      }
+    });
+
+    document.getElementById('studentClearSelectionBtn')?.addEventListener('click', () => {
+      studentSelection.clear();
+      document.querySelectorAll('#studentList .student-select').forEach(box => { box.checked = false; });
+      updateStudentBulkBar();
+    });
+
+    document.getElementById('studentBulkApplyBtn')?.addEventListener('click', handleStudentBulkAction);
+  }
+
+  /**
+   * Actualiza la barra de acciones masivas según la selección
+   */
+  function updateStudentBulkBar() {
+    const bar = document.getElementById('studentBulkBar');
+    if (!bar) return;
+
+    bar.hidden = getAllowedBulkActions().length === 0;
+    const selected = studentSelection.size;
+    const pageCodes = studentListState.pageCodes;
+
+    document.getElementById('studentSelectionInfo').textContent = selected
+      ? `${selected} estudiante(s) seleccionado(s)`
+      : 'Ningún estudiante seleccionado';
+
+    const pageBox = document.getElementById('studentSelectPage');
+    const pageSelected = pageCodes.filter(code => studentSelection.has(code)).length;
+    pageBox.checked = pageCodes.length > 0 && pageSelected === pageCodes.length;
+    pageBox.indeterminate = pageSelected > 0 && pageSelected < pageCodes.length;
+    pageBox.disabled = pageCodes.length === 0;
+
+    const selectAllBtn = document.getElementById('studentSelectAllBtn');
+    selectAllBtn.textContent = `Seleccionar los ${studentListState.total} que coinciden con los filtros`;
+    selectAllBtn.hidden = studentListState.total <= pageCodes.length || selected >= studentListState.total;
+    document.getElementById('studentClearSelectionBtn').hidden = selected === 0;
+    document.getElementById('studentBulkApplyBtn').disabled = selected === 0 || !document.getElementById('studentBulkAction').value;
+  }
+
+  /**
+   * Lee y valida el valor que requiere la acción masiva elegida
+   * @param {string} action - Acción de STUDENT_BULK_ACTIONS
+   * @returns {{value: string|null, detail: string}|null} Valor y descripción, o null si no es válido
+   */
+  function readBulkActionValue(action) {
+    if (action === 'expiry') {
+      const ymd = document.getElementById('studentBulkExpiry').value;
+      if (!ymd || window.Dates.isPast(ymd)) {
+        window.showModal.warning('Fecha inválida', 'Elige una fecha de vencimiento que no esté en el pasado.');
+        return null;
+      }
+      return { value: ymd, detail: `Nueva fecha de vencimiento: <strong>${window.Dates.formatSpanish(ymd)}</strong>.` };
+    }
+
+    if (action === 'sede' || action === 'program') {
+      const raw = document.getElementById('studentBulkValue').value.trim();
+      const value = window.Utils.sanitize(action === 'program' ? raw.toUpperCase() : raw);
+      if (!value) {
+        window.showModal.warning('Campo requerido', `Escribe ${action === 'sede' ? 'la nueva sede' : 'el nuevo programa'}.`);
+        return null;
+      }
+      return { value, detail: `Nuevo valor: <strong>${value}</strong>.` };
+    }
+
+    const details = {
+      activate: 'Los carnets vencidos no se activan hasta cambiar su fecha de vencimiento.',
+      deactivate: 'Los estudiantes no podrán usar su carnet hasta volver a activarlos.',
+      'reset-password': 'La contraseña volverá a ser la cédula de cada estudiante, deberán cambiarla al ingresar y se cerrarán sus sesiones abiertas.',
+      delete: 'Los estudiantes se moverán a la Papelera y podrán restaurarse desde allí con sus préstamos.'
+    };
+    return { value: null, detail: details[action] || '' };
+  }
+
+  /**
+   * Aplica una acción masiva a un estudiante
+   * @param {string} action - Acción de STUDENT_BULK_ACTIONS
+   * @param {string} code - Código del estudiante
+   * @param {string|null} value - Valor de la acción (fecha, sede o programa)
+   * @returns {Promise<string>} Detalle del resultado
+   * @throws {Error} Si no se pudo aplicar
+   */
+  async function applyStudentBulkAction(action, code, value) {
+    if (action === 'reset-password') {
+      await window.API.Students.resetPasswordToDefault(code);
+      return 'Contraseña restablecida';
+    }
+    if (action === 'delete') {
+      await window.API.Students.delete(code);
+      return 'Enviado a la papelera';
+    }
+
+    const student = await window.API.Students.getByCode(code);
+    if (!student) throw new Error('Estudiante no encontrado');
+
+    const changes = {
+      activate: { active: true },
+      deactivate: { active: false },
+      expiry: { expiry: value },
+      sede: { sede: value },
+      program: { program: value }
+    }[action];
+
+    const unchanged = action === 'activate' || action === 'deactivate'
+      ? (student.active !== false) === changes.active
+      : action === 'expiry' ? window.Dates.toYmd(student.expiry) === value : student[action] === value;
+    if (unchanged) return 'Sin cambios';
+    if (action === 'activate' && window.API.Students.cardStatus({ ...student, active: true }).status === 'expired') {
+      throw new Error('El carnet está vencido; cambia primero la fecha de vencimiento');
+    }
+
+    // Sin campos de foto ni correo: createOrUpdate conserva los registrados
+    await window.API.Students.createOrUpdate({
+      code: student.code,
+      cedula: student.cedula,
+      name: student.name,
+      lastname: student.lastname,
+      program: student.program,
+      expiry: student.expiry,
+      sede: student.sede,
+      rh: student.rh,
+      active: student.active !== false,
+      ...changes
+    }, { expectedUpdatedAt: student.updated_at });
+    return 'Actualizado';
+  }
+
+  /**
+   * Exporta los estudiantes seleccionados en CSV
+   */
+  async function exportSelectedStudents() {
+    try {
+      const found = await window.API.Students.getByCodes(Array.from(studentSelection));
+      const selected = Array.from(found.values()).sort((a, b) => String(a.code).localeCompare(String(b.code)));
+      download('estudiantes-seleccionados.csv', toCsv(selected), 'text/csv');
+      window.showModal.success('Exportado', `Se exportaron ${selected.length} estudiante(s).`);
+    } catch (err) {
+      window.showModal.error('Error', err.message || 'No se pudo exportar');
+    }
+  }
+
+  /**
+   * Confirma y ejecuta la acción masiva elegida sobre la selección
+   */
+  async function handleStudentBulkAction() {
+    const action = document.getElementById('studentBulkAction').value;
+    const entry = STUDENT_BULK_ACTIONS.find(([key]) => key === action);
+    const codes = Array.from(studentSelection);
+    if (!entry || !codes.length) return;
+
+    if (action === 'export') {
+      await exportSelectedStudents();
+      return;
+    }
+
+    const input = readBulkActionValue(action);
+    if (!input) return;
+
+    const preview = codes.slice(0, 10).join(', ') + (codes.length > 10 ? ` y ${codes.length - 10} más` : '');
+    const confirmed = await window.showModal.confirm(
+      entry[1],
+      `<p>Se aplicará a <strong>${codes.length}</strong> estudiante(s): ${preview}.</p>` +
+      (input.detail ? `<p>${input.detail}</p>` : '') +
+      '<p>¿Deseas continuar?</p>',
+      { confirmText: entry[1] }
+    );
+    if (!confirmed) return;
+
+    const applyBtn = document.getElementById('studentBulkApplyBtn');
+    const resultNode = document.getElementById('studentBulkResult');
+    applyBtn.disabled = true;
+    resultNode.hidden = false;
+
+    const results = [];
+    for (let start = 0; start < codes.length; start += BULK_BATCH_SIZE) {
+      resultNode.innerHTML = `<p>Procesando ${start} de ${codes.length}...</p>`;
+      const batch = codes.slice(start, start + BULK_BATCH_SIZE);
+      const settled = await Promise.allSettled(batch.map(code => applyStudentBulkAction(action, code, input.value)));
+      settled.forEach((outcome, i) => results.push({
+        code: batch[i],
+        ok: outcome.status === 'fulfilled',
+        message: outcome.status === 'fulfilled' ? outcome.value : bulkFailureMessage(outcome.reason)
+      }));
+
+      // Sin permiso o sin sesión no tiene sentido seguir
+      const fatal = settled.find(outcome => outcome.status === 'rejected' &&
+        [window.API.ErrorCodes.PERMISSION_DENIED, window.API.ErrorCodes.SESSION_EXPIRED].includes(outcome.reason.code));
+      if (fatal) {
+        codes.slice(start + BULK_BATCH_SIZE).forEach(code => results.push({
+          code,
+          ok: false,
+          message: 'No se intentó: ' + bulkFailureMessage(fatal.reason)
+        }));
+        break;
+      }
+    }
+
+    if (action === 'delete') {
+      results.filter(r => r.ok).forEach(r => studentSelection.delete(r.code));
+    }
+    renderStudentBulkResult(entry[1], results);
+    renderStudentList();
+    loadDashboardStats();
+    loadFilterOptions();
+  }
+
+  /**
+   * Mensaje de un estudiante al que no se pudo aplicar la acción
+   * @param {Error} err - Error
+   * @returns {string}
+   */
+  function bulkFailureMessage(err) {
+    if (err.code === window.API.ErrorCodes.CONFLICT) {
+      return 'Otro funcionario lo modificó al mismo tiempo; vuelve a intentarlo';
+    }
+    return err.message || 'No se pudo aplicar';
+  }
+
+  /**
+   * Muestra el resultado por estudiante de una acción masiva
+   * @param {string} label - Acción aplicada
+   * @param {Array<{code: string, ok: boolean, message: string}>} results - Resultado por estudiante
+   */
+  function renderStudentBulkResult(label, results) {
+    const resultNode = document.getElementById('studentBulkResult');
+    const failed = results.filter(r => !r.ok).length;
+    const sanitize = window.Utils.sanitize;
+
+    resultNode.innerHTML = `
+      <div class="bulk-result-header">
+        <p><strong>${sanitize(label)}:</strong> ${results.length - failed} correcto(s), ${failed} con error.</p>
+        <div class="bulk-result-actions">
+          <button type="button" class="btn btn-sm btn-secondary" id="studentBulkResultCsvBtn">Descargar resultado</button>
+          <button type="button" class="btn btn-sm btn-secondary" id="studentBulkResultCloseBtn">Cerrar</button>
+        </div>
+      </div>
+      <div class="bulk-result-table">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Código</th>
+              <th>Resultado</th>
+              <th>Detalle</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${results.map(r => `
+              <tr>
+                <td>${sanitize(r.code)}</td>
+                <td><span class="status-badge ${r.ok ? 'active' : 'inactive'}">${r.ok ? 'OK' : 'ERROR'}</span></td>
+                <td>${sanitize(r.message)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+
+    document.getElementById('studentBulkResultCsvBtn').addEventListener('click', () => {
+      download('resultado-accion-masiva.csv', toCsv(results.map(r => ({
+        codigo: r.code,
+        resultado: r.ok ? 'OK' : 'ERROR',
+        detalle: r.message
+      }))), 'text/csv');
+    });
+    document.getElementById('studentBulkResultCloseBtn').addEventListener('click', () => {
+      resultNode.hidden = true;
+      resultNode.innerHTML = '';
+    });
+  }
+
+  /**
+   * Obtiene el estado formateado del estudiante
+   */
+  function getStudentStatus(student) {
+    const cardStatus = window.API.Students.cardStatus(student).status;
+
+    if (cardStatus === 'inactive') {
+      return { text: 'INACTIVO', color: '#ef4444' };
+    } else if (cardStatus === 'expired') {
+      return { text: 'EXPIRADO', color: '#ef4444' };
+    } else if (cardStatus === 'grace') {
+      return { text: 'EN GRACIA', color: '#f59e0b' };
+    } else if (cardStatus === 'expiring') {
+      return { text: 'POR VENCER', color: '#f59e0b' };
+    } else {
+      return { text: 'ACTIVO', color: '#37a372' };
+    }
+  }
+
+  /**
+   * Contenido de la pestaña "Carnet" de la vista previa
+   * @param {Object} student - Estudiante
+   * @returns {string} HTML
+   */
+  function renderPreviewCard(student) {
+    const statusInfo = getStudentStatus(student);
+    const photoUrl = window.API.Photos.getUrl(student);
+    return `
+      ${photoUrl ? `<img data-photo-src="${window.Utils.sanitize(photoUrl)}" alt="Foto" style="max-width: 150px; max-height: 180px; border-radius: 8px; margin-bottom: 12px; object-fit: cover;">` : ''}
+      <h3 style="color: var(--text-primary); margin-bottom: 8px; font-size: 1.125rem;">${student.name} ${student.lastname}</h3>
+      <p style="color: var(--text-secondary); margin-bottom: 12px; font-size: 0.9375rem;"><strong>Código:</strong> ${student.code}</p>
+      <div style="text-align: left; background: var(--bg-tertiary); padding: 14px; border-radius: 8px;">
+        <p style="margin-bottom: 6px; font-size: 0.875rem;"><strong>Cédula:</strong> ${student.cedula}</p>
+        <p style="margin-bottom: 6px; font-size: 0.875rem;"><strong>Programa:</strong> ${student.program}</p>
+        <p style="margin-bottom: 6px; font-size: 0.875rem;"><strong>Sede:</strong> ${student.sede}</p>
+        ${student.rh ? `<p style="margin-bottom: 6px; font-size: 0.875rem;"><strong>RH:</strong> ${student.rh}</p>` : ''}
+        <p style="margin-bottom: 6px; font-size: 0.875rem;"><strong>Válido hasta:</strong> ${window.Dates.formatSpanish(student.expiry)}</p>
+        <p style="margin-bottom: 0; font-size: 0.875rem;"><strong>Estado:</strong> <span style="color: ${statusInfo.color}; font-weight: 600;">${statusInfo.text}</span></p>
+      </div>
+    `;
+  }
+
+  /**
+   * Muestra la vista previa del carnet con las pestañas "Carnet" e "Historial"
+   * @param {Object} student - Estudiante
+   */
+  function showStudentPreview(student) {
+    const modal = window.showModal.info('Información del Carnet', `
+      <div class="student-preview-tabs" role="tablist">
+        <button type="button" class="student-preview-tab active" role="tab" data-preview-tab="card">Carnet</button>
+        <button type="button" class="student-preview-tab" role="tab" data-preview-tab="history">Historial</button>
+      </div>
+      <div id="studentPreviewCard" data-preview-panel="card" style="text-align: center; overflow: hidden;">
+        ${renderPreviewCard(student)}
+      </div>
+      <div class="student-history" data-preview-panel="history" hidden></div>
+    `);
+
+    const cardPanel = modal.querySelector('[data-preview-panel="card"]');
+    const historyPanel = modal.querySelector('[data-preview-panel="history"]');
+    showStudentPhotos(cardPanel);
+
+    // Tras revertir un campo se actualizan ambas pestañas
+    const onReverted = (saved) => {
+      cardPanel.innerHTML = renderPreviewCard(saved);
+      showStudentPhotos(cardPanel);
+      renderStudentList();
+    };
+
+    modal.querySelectorAll('[data-preview-tab]').forEach(tab => {
+      tab.addEventListener('click', () => {
+        const name = tab.getAttribute('data-preview-tab');
+        modal.querySelectorAll('[data-preview-tab]').forEach(other => other.classList.toggle('active', other === tab));
+        modal.querySelectorAll('[data-preview-panel]').forEach(panel => {
+          panel.hidden = panel.getAttribute('data-preview-panel') !== name;
+        });
+        if (name === 'history' && !historyPanel.dataset.loaded) {
+          historyPanel.dataset.loaded = 'true';
+          renderStudentHistory(historyPanel, student, onReverted);
+        }
+      });
+    });
+  }
+
+  /**
+   * Formatea el valor de un campo en el historial
+   * @param {string} field - Campo
+   * @param {*} value - Valor
+   * @returns {string} HTML
+   */
+  function formatHistoryValue(field, value) {
+    const sanitize = window.Utils.sanitize;
+    if (field === 'active') return value !== false ? 'Activo' : 'Inactivo';
+    if (field === 'first_login') return value ? 'Sí' : 'No';
+    if (value == null || value === '') return '—';
+    if (field === 'photo_url') return `<img data-photo-src="${sanitize(value)}" alt="Foto" class="conflict-photo" />`;
+    if (field === 'expiry') return sanitize(window.Dates.formatSpanish(value));
+    if (field === 'deleted_at') return new Date(value).toLocaleString('es-ES');
+    return sanitize(String(value));
+  }
+
+  /**
+   * Renderiza el historial de cambios del estudiante con un botón para
+   * revertir cada campo a su valor anterior
+   * @param {HTMLElement} panel - Contenedor de la pestaña
+   * @param {Object} student - Versión vigente del estudiante
+   * @param {Function} onReverted - Recibe el estudiante tras revertir un campo
+   */
+  async function renderStudentHistory(panel, student, onReverted) {
+    const sanitize = window.Utils.sanitize;
+    panel.innerHTML = '<p class="text-secondary">Cargando historial...</p>';
+
+    let events;
+    try {
+      events = await window.API.Students.history(student.code);
+    } catch (err) {
+      panel.innerHTML = `<p class="text-secondary">No se pudo cargar el historial: ${sanitize(err.message)}</p>`;
+      return;
+    }
+
+    if (!events.length) {
+      panel.innerHTML = '<p class="text-secondary">Sin cambios registrados.</p>';
+      return;
+    }
+
+    const canEdit = hasPermission('students.edit');
+    const canRevert = (event, field) => {
+      const from = event.changes[field].from;
+      return canEdit &&
+        event.action !== 'student.create' &&
+        STUDENT_REVERTIBLE_FIELDS.includes(field) &&
+        (from != null || STUDENT_OPTIONAL_FIELDS.includes(field)) &&
+        !sameStudentValue(field, from, student[field]);
+    };
+
+    panel.innerHTML = events.map(event => {
+      const fields = Object.keys(event.changes).filter(field => !STUDENT_HISTORY_HIDDEN_FIELDS.includes(field));
+      return `
+        <div class="student-history-event">
+          <div class="student-history-meta">
+            <strong>${AUDIT_ACTION_LABELS[event.action] || sanitize(event.action)}</strong>
+            <span>${new Date(event.created_at).toLocaleString('es-ES')} · ${sanitize(event.actor || '')}</span>
+          </div>
+          <ul class="student-history-changes">
+            ${fields.map(field => `
+              <li>
+                <span class="student-history-field">${STUDENT_HISTORY_LABELS[field] || sanitize(field)}</span>
+                <span>${formatHistoryValue(field, event.changes[field].from)} → ${formatHistoryValue(field, event.changes[field].to)}</span>
+                ${canRevert(event, field)
+                  ? `<button type="button" class="btn btn-secondary btn-sm" data-revert-event="${sanitize(event.id)}" data-revert-field="${sanitize(field)}">Revertir</button>`
+                  : ''}
+              </li>
+            `).join('')}
+          </ul>
+        </div>
+      `;
+    }).join('');
+    showStudentPhotos(panel);
+
+    panel.querySelectorAll('[data-revert-field]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const eventId = btn.getAttribute('data-revert-event');
+        const field = btn.getAttribute('data-revert-field');
+        const event = events.find(item => String(item.id) === eventId);
+        const label = STUDENT_HISTORY_LABELS[field] || field;
+        const from = event.changes[field].from;
+        const target = field === 'photo_url'
+          ? (from ? 'la foto anterior' : 'sin foto')
+          : `"${formatHistoryValue(field, from)}"`;
+
+        const confirmed = await window.showModal.confirm(
+          'Revertir cambio',
+          `¿Devolver el campo <strong>${sanitize(label)}</strong> a ${target}?`,
+          { confirmText: 'Revertir' }
+        );
+        if (!confirmed) return;
+
+        try {
+          const saved = await window.API.Students.revertField(student.code, {
+            eventId,
+            field,
+            expectedUpdatedAt: student.updated_at
+          });
+          onReverted(saved);
+          renderStudentHistory(panel, saved, onReverted);
+        } catch (err) {
+          if (err.code === window.API.ErrorCodes.CONFLICT && err.details && err.details.current) {
+            window.showModal.warning('Historial desactualizado', 'Otro funcionario modificó este estudiante. Se recargó el historial; revisa antes de revertir.');
+            renderStudentHistory(panel, err.details.current, onReverted);
+          } else {
+            window.showModal.error('Error', err.message || 'No se pudo revertir el cambio');
+          }
+        }
+      });
+    });
+  }
+
+  /**
+   * Llena el formulario con datos de estudiante
+   */
+  function fillFormFromStudent(s) {
+    editingStudent = s;
+    document.getElementById('studentName').value = s.name || '';
+    document.getElementById('studentLastname').value = s.lastname || '';
+    document.getElementById('studentCode').value = s.code || '';
+    document.getElementById('studentCedula').value = s.cedula || '';
+    document.getElementById('studentProgram').value = s.program || '';
+    document.getElementById('studentEmail').value = s.email || '';
+
+    // El campo de fecha usa YYYY-MM-DD (los registros sin migrar traen texto en español)
+    document.getElementById('studentExpiry').value = window.Dates.toYmd(s.expiry) || '';
+
+    document.getElementById('studentSede').value = s.sede || 'Buenaventura';
+    document.getElementById('studentRH').value = s.rh || '';
+
+    const isActive = s.active !== false;
+    document.getElementById('studentActive').checked = isActive;
+    document.getElementById('studentInactive').checked = !isActive;
+
+    const photoUrl = window.API.Photos.getUrl(s);
+    if (photoUrl) {
+      showStudentPhoto(document.getElementById('previewImage'), photoUrl);
+      document.getElementById('photoPreview').classList.add('active');
+      document.getElementById('fileInputText').textContent = 'Foto cargada';
+    }
+  }
+
+  /**
+   * Muestra una foto de estudiante en un <img>
+   * (las del almacenamiento local se resuelven a una URL de objeto)
+   * @param {HTMLImageElement} img - Imagen destino
+   * @param {string} url - URL de la foto
+   */
+  async function showStudentPhoto(img, url) {
+    if (!img || !url) return;
+    try {
+      const src = await window.API.Photos.resolveUrl(url);
+      if (src) img.src = src;
+    } catch (err) {
+      console.warn('No se pudo cargar la foto:', err);
+    }
+  }
+
+  /**
+   * Carga las fotos marcadas con data-photo-src dentro de un contenedor
+   * @param {HTMLElement} container - Contenedor con imágenes
+   */
+  function showStudentPhotos(container) {
+    if (!container) return;
+    container.querySelectorAll('img[data-photo-src]').forEach(img => {
+      showStudentPhoto(img, img.getAttribute('data-photo-src'));
+    });
+  }
+
+  /**
+   * Carga las opciones de filtros
+   */
+  async function loadFilterOptions() {
+    let programs, sedes;
+    try {
+      ({ programs, sedes } = await window.API.Students.getFilterOptions());
+    } catch (err) {
+      console.error('Error al obtener opciones de filtros:', err);
+      return;
+    }
+
+    const programSelect = document.getElementById('filterProgram');
+    const sedeSelect = document.getElementById('filterSede');
 
     if (programSelect) {
       programSelect.innerHTML = '<option value="">Todos los programas</option>' +
@@ -826,10 +2079,10 @@
     }
 
     try {
-      const session = window.Auth.getSession();
-      await window.API.Students.resetPassword(code, pwd, session?.email || 'staff');
+      await window.API.Students.resetPassword(code, pwd);
       document.getElementById('resetCode').value = '';
       document.getElementById('resetPwd').value = '';
+      passwordMeters.resetStudent.update();
       window.showModal.success('Listo', 'Contraseña del estudiante actualizada.');
     } catch (err) {
       window.showModal.error('Error', err.message || 'No se pudo actualizar');
@@ -846,6 +2099,10 @@
     // Restablecer contraseña
     document.getElementById('resetStaffBtn')?.addEventListener('click', handleResetStaffPassword);
 
+    // Medidores de fortaleza (el email del funcionario no puede ser parte de la contraseña)
+    passwordMeters.staffCreate = attachMeter('staffPassword', () => ({ email: document.getElementById('staffEmail').value.trim() }), 'staffEmail');
+    passwordMeters.resetStaff = attachMeter('resetStaffPwd', () => ({ email: document.getElementById('resetStaffEmail').value.trim() }), 'resetStaffEmail');
+
     // Búsqueda
     document.getElementById('searchStaffInput')?.addEventListener('input', renderStaffList);
 
@@ -853,6 +2110,19 @@
     document.getElementById('exportDownloadBtn')?.addEventListener('click', handleExport);
   }
 
+  /**
+   * Agrega el medidor de fortaleza a un campo de contraseña
+   * @param {string} inputId - ID del campo de contraseña
+   * @param {Function} getContext - Datos del titular para la política
+   * @param {string} contextInputId - Campo del que depende el contexto (recalcula al cambiar)
+   * @returns {{update: Function}}
+   */
+  function attachMeter(inputId, getContext, contextInputId) {
+    const meter = window.Utils.attachPasswordMeter(document.getElementById(inputId), getContext);
+    document.getElementById(contextInputId)?.addEventListener('input', meter.update);
+    return meter;
+  }
+
   /**
    * Maneja el registro de funcionario
    */
@@ -862,16 +2132,18 @@
     const name = document.getElementById('staffName').value.trim();
     const email = document.getElementById('staffEmail').value.trim();
     const password = document.getElementById('staffPassword').value.trim();
+    const role = document.getElementById('staffRole').value;
 
-    if (!name || !email || !password) {
+    if (!name || !email || !password || !role) {
       window.showModal.warning('Campos requeridos', 'Completa todos los campos.');
       return;
     }
 
     try {
-      await window.API.Staff.create({ name, email, password });
+      await window.API.Staff.create({ name, email, password, role });
       window.showModal.success('Registrado', 'Funcionario creado correctamente.');
       document.getElementById('staffRegisterForm').reset();
+      passwordMeters.staffCreate.update();
       renderStaffList();
       loadDashboardStats();
     } catch (err) {
@@ -886,8 +2158,15 @@
     const listNode = document.getElementById('staffList');
     if (!listNode) return;
 
-    const all = await window.API.Staff.listAll();
+    let all;
+    try {
+      all = await window.API.Staff.listAll();
+    } catch (err) {
+      listNode.innerHTML = `<p class="text-secondary">Error al cargar funcionarios: ${window.Utils.sanitize(err.message)}</p>`;
+      return;
+    }
     const search = document.getElementById('searchStaffInput')?.value.trim().toLowerCase() || '';
+    const locked = await loadLockouts('staff');
 
     const filtered = all.filter(s => {
       if (search) {
@@ -905,33 +2184,98 @@
       return;
     }
 
+    const roles = window.API.Permissions.ROLES;
+    const currentEmail = window.Auth.getSession()?.email;
+
     listNode.innerHTML = filtered.map(s => {
-      const id = s.id || s.email || 'unknown';
+      const email = window.Utils.sanitize(s.email || '');
+      const role = window.API.Permissions.normalize(s.role);
+      const options = Object.keys(roles).map(key =>
+        `<option value="${key}" ${key === role ? 'selected' : ''}>${roles[key].label}</option>`
+      ).join('');
       return `
         <div class="staff-item">
           <div class="staff-info">
             <div>
               <strong>${s.name || 'N/A'}</strong>
               <small>${s.email || ''}</small>
+              <span class="staff-role-badge">${role ? roles[role].label : 'Sin rol'}</span>
+              ${s.totp_enabled ? '<span class="status-badge two-factor" title="Verificación en dos pasos activa">2FA</span>' : ''}
+              ${locked[String(s.email).toLowerCase()] ? '<span class="status-badge locked">BLOQUEADO</span>' : ''}
             </div>
           </div>
-          <button class="btn btn-danger btn-sm" onclick="deleteStaff('${id}')">Eliminar</button>
+          <div class="staff-actions">
+            ${locked[String(s.email).toLowerCase()] ? `<button class="btn btn-secondary btn-sm staff-unlock-btn" data-email="${email}">Desbloquear</button>` : ''}
+            <select class="form-select staff-role-select" data-email="${email}" title="Rol del funcionario">
+              ${role ? '' : '<option value="" selected>Sin rol</option>'}
+              ${options}
+            </select>
+            <button class="btn btn-secondary btn-sm staff-sessions-btn" data-email="${email}" title="Cerrar todas sus sesiones abiertas">Cerrar sesiones</button>
+            ${s.totp_enabled && s.email !== currentEmail ? `<button class="btn btn-secondary btn-sm staff-2fa-reset-btn" data-email="${email}" title="Quitar su verificación en dos pasos (ej: perdió el teléfono)">Restablecer 2FA</button>` : ''}
+            <button class="btn btn-danger btn-sm" onclick="deleteStaff('${email}')">Eliminar</button>
+          </div>
         </div>
       `;
     }).join('');
+
+    listNode.querySelectorAll('.staff-unlock-btn').forEach(btn => {
+      btn.addEventListener('click', () => unlockAccount('staff', btn.getAttribute('data-email'), renderStaffList));
+    });
+
+    listNode.querySelectorAll('.staff-sessions-btn').forEach(btn => {
+      btn.addEventListener('click', () => revokeAccountSessions('staff', btn.getAttribute('data-email')));
+    });
+
+    listNode.querySelectorAll('.staff-2fa-reset-btn').forEach(btn => {
+      btn.addEventListener('click', () => resetStaffTwoFactor(btn.getAttribute('data-email')));
+    });
+
+    listNode.querySelectorAll('.staff-role-select').forEach(select => {
+      const previous = select.value;
+      select.addEventListener('change', () => changeStaffRole(select, previous));
+    });
+  }
+
+  /**
+   * Cambia el rol de un funcionario desde la lista
+   * @param {HTMLSelectElement} select - Selector del rol
+   * @param {string} previous - Rol anterior (se restaura si falla)
+   */
+  async function changeStaffRole(select, previous) {
+    const email = select.getAttribute('data-email');
+    const label = window.API.Permissions.ROLES[select.value].label;
+
+    if (!await window.showModal.confirm('Cambiar rol', `¿Asignar el rol ${label} a ${email}?`)) {
+      select.value = previous;
+      return;
+    }
+
+    try {
+      await window.API.Staff.setRole(email, select.value);
+      window.showModal.success('Rol actualizado', `${email} ahora tiene el rol ${label}.`);
+      renderStaffList();
+    } catch (err) {
+      select.value = previous;
+      window.showModal.error('Error', err.message || 'No se pudo cambiar el rol');
+    }
   }
 
   /**
    * Elimina un funcionario
    */
-  window.deleteStaff = async function (id) {
-    if (!await window.showModal.confirm('Confirmar', `¿Estás seguro de eliminar a este funcionario?`)) {
+  window.deleteStaff = async function (email) {
+    if (!hasPermission('staff.manage')) {
+      window.showModal.error('Sin permiso', 'Tu rol no permite eliminar funcionarios.');
+      return;
+    }
+
+    if (!await window.showModal.confirm('Confirmar', `¿Estás seguro de eliminar a este funcionario? Se moverá a la Papelera y perderá el acceso al panel.`)) {
       return;
     }
 
     try {
-      await window.API.Staff.delete(id);
-      window.showModal.success('Eliminado', 'Funcionario eliminado correctamente.');
+      await window.API.Staff.delete(email);
+      window.showModal.success('Eliminado', 'Funcionario movido a la Papelera.');
       renderStaffList();
       loadDashboardStats();
     } catch (err) {
@@ -952,10 +2296,10 @@
     }
 
     try {
-      const session = window.Auth.getSession();
-      await window.API.Staff.resetPassword(email, pwd, session?.email || 'staff');
+      await window.API.Staff.resetPassword(email, pwd);
       document.getElementById('resetStaffEmail').value = '';
       document.getElementById('resetStaffPwd').value = '';
+      passwordMeters.resetStaff.update();
       window.showModal.success('Listo', 'Contraseña del funcionario actualizada.');
     } catch (err) {
       window.showModal.error('Error', err.message || 'No se pudo actualizar');
@@ -973,6 +2317,11 @@
    * Maneja la exportación de datos
    */
   async function handleExport() {
+    if (!hasPermission('export')) {
+      window.showModal.error('Sin permiso', 'Tu rol no permite exportar datos.');
+      return;
+    }
+
     const type = document.getElementById('exportType').value;
 
     if (!type) {
@@ -1001,24 +2350,17 @@
         }
       } else if (type.includes('loans')) {
         // Obtener préstamos según el tipo
-        let loansResult;
         if (type.includes('active')) {
-          loansResult = await window.LoansAPI.getActiveLoans();
+          data = await window.LoansAPI.getActiveLoans();
           filename = type === 'loans-active-json' ? 'prestamos-activos.json' : 'prestamos-activos.csv';
         } else if (type.includes('history')) {
-          loansResult = await window.LoansAPI.getLoansHistory();
+          data = await window.LoansAPI.getLoansHistory();
           filename = type === 'loans-history-json' ? 'historial-prestamos.json' : 'historial-prestamos.csv';
         } else if (type.includes('all')) {
-          loansResult = await window.LoansAPI.getAllLoans();
+          data = await window.LoansAPI.getAllLoans();
           filename = type === 'loans-all-json' ? 'todos-los-prestamos.json' : 'todos-los-prestamos.csv';
         }
 
-        if (!loansResult.success) {
-          throw new Error(loansResult.error || 'Error al obtener préstamos');
-        }
-
-        data = loansResult.data;
-
         if (type.endsWith('-json')) {
           download(filename, JSON.stringify(data, null, 2), 'application/json');
         } else {
@@ -1049,7 +2391,6 @@
     for (const r of rows) {
       lines.push(headers.map(h => {
         const value = r[h];
-        if (h === 'photo' && value) return '"Foto incluida"';
         return `"${(value ?? '').toString().replace(/"/g, '""')}"`;
       }).join(','));
     }
@@ -1098,6 +2439,413 @@
     return lines.join('\n');
   }
 
+  /**
+   * Inicializa la sección de auditoría
+   */
+  function initAuditSection() {
+    const resetAndRender = () => {
+      auditState.page = 1;
+      renderAuditLog();
+    };
+
+    ['filterAuditActor', 'filterAuditTarget'].forEach(id => {
+      document.getElementById(id)?.addEventListener('input', () => {
+        clearTimeout(auditDebounceTimer);
+        auditDebounceTimer = setTimeout(resetAndRender, 300);
+      });
+    });
+    ['filterAuditAction', 'filterAuditFrom', 'filterAuditTo'].forEach(id => {
+      document.getElementById(id)?.addEventListener('change', resetAndRender);
+    });
+
+    document.getElementById('clearAuditFiltersBtn')?.addEventListener('click', () => {
+      ['filterAuditActor', 'filterAuditTarget', 'filterAuditAction', 'filterAuditFrom', 'filterAuditTo'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.value = '';
+      });
+      resetAndRender();
+    });
+
+    document.getElementById('auditPrevPage')?.addEventListener('click', () => {
+      if (auditState.page > 1) {
+        auditState.page--;
+        renderAuditLog();
+      }
+    });
+    document.getElementById('auditNextPage')?.addEventListener('click', () => {
+      auditState.page++;
+      renderAuditLog();
+    });
+  }
+
+  /**
+   * Renderiza el registro de auditoría con los filtros actuales
+   */
+  async function renderAuditLog() {
+    const container = document.getElementById('auditLogContainer');
+    if (!container) return;
+
+    const fromValue = document.getElementById('filterAuditFrom')?.value;
+    const toValue = document.getElementById('filterAuditTo')?.value;
+
+    const filters = {
+      actor: document.getElementById('filterAuditActor')?.value.trim() || '',
+      targetId: document.getElementById('filterAuditTarget')?.value.trim() || '',
+      action: document.getElementById('filterAuditAction')?.value || '',
+      from: fromValue ? new Date(fromValue + 'T00:00:00').getTime() : null,
+      to: toValue ? new Date(toValue + 'T23:59:59.999').getTime() : null,
+      page: auditState.page,
+      pageSize: auditState.pageSize
+    };
+
+    container.innerHTML = '<p class="text-secondary">Cargando eventos...</p>';
+
+    let result;
+    try {
+      result = await window.API.Audit.list(filters);
+    } catch (err) {
+      console.error('Error al cargar auditoría:', err);
+      container.innerHTML = `<p class="text-secondary">Error al cargar auditoría: ${window.Utils.sanitize(err.message)}</p>`;
+      return;
+    }
+
+    document.getElementById('auditCount').textContent = `${result.total} evento(s)`;
+    document.getElementById('auditPageInfo').textContent = `Página ${result.page} de ${result.pageCount}`;
+    document.getElementById('auditPrevPage').disabled = result.page <= 1;
+    document.getElementById('auditNextPage').disabled = result.page >= result.pageCount;
+
+    if (!result.rows.length) {
+      container.innerHTML = '<p class="text-secondary">No hay eventos con los filtros seleccionados</p>';
+      return;
+    }
+
+    container.innerHTML = `
+      <table class="data-table">
+        <thead>
+          <tr>
+            <th>Fecha</th>
+            <th>Funcionario</th>
+            <th>Acción</th>
+            <th>Registro</th>
+            <th>Cambios</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${result.rows.map(event => `
+            <tr>
+              <td>${new Date(event.created_at).toLocaleString('es-ES')}</td>
+              <td>${window.Utils.sanitize(event.actor)}</td>
+              <td>${AUDIT_ACTION_LABELS[event.action] || window.Utils.sanitize(event.action)}</td>
+              <td><small class="text-secondary">${window.Utils.sanitize(event.target_type)}</small><br>${window.Utils.sanitize(event.target_id)}</td>
+              <td>${renderAuditChanges(event.changes)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Genera la lista de diferencias campo a campo de un evento
+   * @param {Object|string} changes - { campo: { from, to } }
+   * @returns {string} HTML con los cambios
+   */
+  function renderAuditChanges(changes) {
+    const parsed = typeof changes === 'string' ? JSON.parse(changes || '{}') : (changes || {});
+    const fields = Object.keys(parsed);
+    if (!fields.length) {
+      return '<small class="text-secondary">Sin cambios de campos</small>';
+    }
+
+    const format = (value) => value == null ? '—' : window.Utils.sanitize(String(value));
+    return `<ul class="audit-changes">${fields.map(field => `
+      <li><strong>${window.Utils.sanitize(field)}:</strong> ${format(parsed[field].from)} → ${format(parsed[field].to)}</li>
+    `).join('')}</ul>`;
+  }
+
+  /**
+   * Inicializa la sección de papelera
+   */
+  function initTrashSection() {
+    const section = document.getElementById('trash-section');
+    if (!section) return;
+
+    // Delegación de eventos: las listas se regeneran en cada renderizado
+    section.addEventListener('click', async (e) => {
+      const btn = e.target.closest('[data-trash-action]');
+      if (!btn) return;
+
+      const action = btn.getAttribute('data-trash-action');
+      const type = btn.getAttribute('data-type');
+      const key = btn.getAttribute('data-key');
+      const label = btn.getAttribute('data-label');
+      const api = type === 'student' ? window.API.Students : window.API.Staff;
+
+      if (action === 'purge') {
+        const warning = type === 'student'
+          ? `¿Eliminar definitivamente a ${label}? Se borrarán también todos sus préstamos. Esta acción no se puede deshacer.`
+          : `¿Eliminar definitivamente a ${label}? Esta acción no se puede deshacer.`;
+        if (!await window.showModal.confirm('Eliminar definitivamente', warning)) return;
+      }
+
+      try {
+        if (action === 'restore') {
+          await api.restore(key);
+          window.showModal.success('Restaurado', `${label} se restauró correctamente.`);
+        } else {
+          await api.purge(key);
+          window.showModal.success('Eliminado', `${label} se eliminó definitivamente.`);
+        }
+        renderTrash();
+        loadDashboardStats();
+        if (type === 'student') {
+          renderStudentList();
+          loadFilterOptions();
+        } else {
+          renderStaffList();
+        }
+      } catch (err) {
+        window.showModal.error('Error', err.message || 'No se pudo completar la acción');
+      }
+    });
+  }
+
+  /**
+   * Renderiza los estudiantes y funcionarios en la papelera
+   */
+  async function renderTrash() {
+    const studentsNode = document.getElementById('trashStudentsList');
+    const staffNode = document.getElementById('trashStaffList');
+    if (!studentsNode || !staffNode) return;
+
+    let students, staff;
+    try {
+      [students, staff] = await Promise.all([
+        window.API.Students.listDeleted(),
+        window.API.Staff.listDeleted()
+      ]);
+    } catch (err) {
+      studentsNode.innerHTML = `<p class="text-secondary">Error al cargar la papelera: ${window.Utils.sanitize(err.message)}</p>`;
+      staffNode.innerHTML = '';
+      return;
+    }
+
+    document.getElementById('trashStudentsCount').textContent = `${students.length} estudiante(s)`;
+    document.getElementById('trashStaffCount').textContent = `${staff.length} funcionario(s)`;
+
+    const sanitize = window.Utils.sanitize;
+    const renderItem = (type, key, title, subtitle, deletedAt) => `
+      <div class="staff-item">
+        <div class="staff-info">
+          <div>
+            <strong>${sanitize(title)}</strong>
+            <small>${sanitize(subtitle)} · Eliminado el ${new Date(deletedAt).toLocaleString('es-ES')}</small>
+          </div>
+        </div>
+        <div class="trash-actions">
+          <button class="btn btn-secondary btn-sm" data-trash-action="restore" data-type="${type}" data-key="${sanitize(key)}" data-label="${sanitize(title)}">Restaurar</button>
+          <button class="btn btn-danger btn-sm" data-trash-action="purge" data-type="${type}" data-key="${sanitize(key)}" data-label="${sanitize(title)}">Eliminar definitivamente</button>
+        </div>
+      </div>
+    `;
+
+    studentsNode.innerHTML = students.length
+      ? students.map(s => renderItem('student', s.code, `${s.name || ''} ${s.lastname || ''}`.trim() || s.code, `${s.code} · ${s.program || 'N/A'}`, s.deleted_at)).join('')
+      : '<p class="text-tertiary">No hay estudiantes en la papelera.</p>';
+
+    staffNode.innerHTML = staff.length
+      ? staff.map(s => renderItem('staff', s.email, s.name || s.email, s.email, s.deleted_at)).join('')
+      : '<p class="text-tertiary">No hay funcionarios en la papelera.</p>';
+  }
+
+  /**
+   * Inicializa la sección de seguridad (verificación en dos pasos propia)
+   */
+  function initSecuritySection() {
+    document.getElementById('twoFactorStartBtn').addEventListener('click', handleTwoFactorStart);
+    document.getElementById('twoFactorEnrollForm').addEventListener('submit', handleTwoFactorConfirm);
+    document.getElementById('twoFactorEnrollCancelBtn').addEventListener('click', renderTwoFactor);
+    document.getElementById('twoFactorRegenerateBtn').addEventListener('click', handleRegenerateRecoveryCodes);
+    document.getElementById('twoFactorDisableBtn').addEventListener('click', handleDisableTwoFactor);
+    document.getElementById('twoFactorOnForm').addEventListener('submit', (e) => e.preventDefault());
+    document.getElementById('twoFactorRecoveryDownloadBtn').addEventListener('click', () => {
+      const codes = Array.from(document.querySelectorAll('#twoFactorRecoveryList li')).map(li => li.textContent);
+      const session = window.Auth.getSession();
+      download('codigos-recuperacion-carnet-digital.txt', [
+        `Códigos de recuperación - Carnet Digital (${session?.email || ''})`,
+        'Cada código sirve una sola vez.',
+        '',
+        ...codes
+      ].join('\n'), 'text/plain');
+    });
+    document.getElementById('twoFactorRecoveryDoneBtn').addEventListener('click', () => {
+      // Con la verificación obligatoria recién activada se habilita el resto del panel
+      if (twoFactorBlocked) {
+        window.location.reload();
+        return;
+      }
+      renderTwoFactor();
+    });
+  }
+
+  /**
+   * Muestra uno de los paneles de la sección de seguridad
+   * @param {string} panelId - 'twoFactorOff', 'twoFactorEnrollForm', 'twoFactorRecovery' o 'twoFactorOnForm'
+   */
+  function showTwoFactorPanel(panelId) {
+    document.querySelectorAll('#security-section .two-factor-panel').forEach(panel => {
+      panel.hidden = panel.id !== panelId;
+    });
+  }
+
+  /**
+   * Muestra el estado de la verificación en dos pasos del funcionario en sesión
+   */
+  async function renderTwoFactor() {
+    const statusNode = document.getElementById('twoFactorStatus');
+    try {
+      twoFactorStatus = await window.API.TwoFactor.status();
+    } catch (err) {
+      statusNode.textContent = `No se pudo consultar el estado: ${err.message}`;
+      return;
+    }
+
+    document.getElementById('twoFactorRequiredNotice').hidden = !twoFactorBlocked;
+    if (twoFactorStatus.enabled) {
+      const left = twoFactorStatus.recoveryCodesLeft;
+      statusNode.textContent = 'Activa';
+      document.getElementById('twoFactorOnInfo').textContent =
+        `Activada el ${new Date(twoFactorStatus.enabledAt).toLocaleDateString('es-CO')}. ` +
+        `Te ${left === 1 ? 'queda 1 código' : `quedan ${left} códigos`} de recuperación.`;
+      document.getElementById('twoFactorManageCode').value = '';
+      document.getElementById('twoFactorDisableBtn').hidden = twoFactorStatus.required;
+      showTwoFactorPanel('twoFactorOnForm');
+    } else {
+      statusNode.textContent = twoFactorStatus.required ? 'Inactiva (obligatoria)' : 'Inactiva';
+      showTwoFactorPanel('twoFactorOff');
+    }
+  }
+
+  /**
+   * Inicia la activación: muestra el QR para la app autenticadora
+   */
+  async function handleTwoFactorStart() {
+    try {
+      const { secret, otpauthUrl } = await window.API.TwoFactor.beginEnrollment();
+      const qrNode = document.getElementById('twoFactorQr');
+      if (window.qrcode) {
+        const qr = window.qrcode(0, 'M');
+        qr.addData(otpauthUrl);
+        qr.make();
+        qrNode.innerHTML = qr.createSvgTag(4, 2);
+      } else {
+        qrNode.innerHTML = '<p class="text-secondary">No se pudo generar el código QR. Ingresa la clave manualmente.</p>';
+      }
+      // Clave en grupos de 4 para copiarla a mano
+      document.getElementById('twoFactorSecret').textContent = secret.match(/.{1,4}/g).join(' ');
+      document.getElementById('twoFactorEnrollCode').value = '';
+      showTwoFactorPanel('twoFactorEnrollForm');
+      document.getElementById('twoFactorEnrollCode').focus();
+    } catch (err) {
+      window.showModal.error('Error', err.message || 'No se pudo iniciar la activación');
+    }
+  }
+
+  /**
+   * Confirma la activación con el primer código de la app
+   */
+  async function handleTwoFactorConfirm(e) {
+    e.preventDefault();
+    const code = document.getElementById('twoFactorEnrollCode').value.trim();
+    if (!code) {
+      window.showModal.warning('Código requerido', 'Ingresa el código que muestra la app.');
+      return;
+    }
+
+    try {
+      const { recoveryCodes } = await window.API.TwoFactor.confirmEnrollment(code);
+      showRecoveryCodes(recoveryCodes);
+      document.getElementById('twoFactorStatus').textContent = 'Activa';
+      window.showModal.success('Verificación activada', 'Desde ahora se pedirá un código de la app al iniciar sesión.');
+    } catch (err) {
+      window.showModal.error('Error', err.message || 'No se pudo activar');
+    }
+  }
+
+  /**
+   * Muestra los códigos de recuperación recién generados
+   * @param {Array<string>} codes - Códigos en claro
+   */
+  function showRecoveryCodes(codes) {
+    document.getElementById('twoFactorRecoveryList').innerHTML = codes
+      .map(code => `<li>${window.Utils.sanitize(code)}</li>`)
+      .join('');
+    showTwoFactorPanel('twoFactorRecovery');
+  }
+
+  /**
+   * Reemplaza los códigos de recuperación (pide el código actual de la app)
+   */
+  async function handleRegenerateRecoveryCodes() {
+    const code = document.getElementById('twoFactorManageCode').value.trim();
+    if (!code) {
+      window.showModal.warning('Código requerido', 'Ingresa el código actual de la app.');
+      return;
+    }
+    if (!await window.showModal.confirm('Nuevos códigos de recuperación', 'Los códigos de recuperación anteriores dejarán de funcionar. ¿Continuar?')) {
+      return;
+    }
+
+    try {
+      const { recoveryCodes } = await window.API.TwoFactor.regenerateRecoveryCodes(code);
+      showRecoveryCodes(recoveryCodes);
+    } catch (err) {
+      window.showModal.error('Error', err.message || 'No se pudieron generar los códigos');
+    }
+  }
+
+  /**
+   * Desactiva la verificación en dos pasos propia
+   */
+  async function handleDisableTwoFactor() {
+    const code = document.getElementById('twoFactorManageCode').value.trim();
+    if (!code) {
+      window.showModal.warning('Código requerido', 'Ingresa el código actual de la app o un código de recuperación.');
+      return;
+    }
+    if (!await window.showModal.confirm('Desactivar verificación', 'Tu cuenta quedará protegida solo por la contraseña. ¿Desactivar la verificación en dos pasos?')) {
+      return;
+    }
+
+    try {
+      await window.API.TwoFactor.disable(code);
+      window.showModal.success('Verificación desactivada', 'Ya no se pedirá un código al iniciar sesión.');
+      renderTwoFactor();
+    } catch (err) {
+      window.showModal.error('Error', err.message || 'No se pudo desactivar');
+    }
+  }
+
+  /**
+   * Restablece la verificación en dos pasos de otro funcionario desde la lista
+   * @param {string} email - Email del funcionario
+   */
+  async function resetStaffTwoFactor(email) {
+    const confirmed = await window.showModal.confirm(
+      'Restablecer verificación en dos pasos',
+      `¿Quitar la verificación en dos pasos de ${window.Utils.sanitize(email)}? Se cerrarán sus sesiones y podrá ingresar solo con su contraseña hasta activarla de nuevo.`
+    );
+    if (!confirmed) return;
+
+    try {
+      await window.API.TwoFactor.reset(email);
+      window.showModal.success('Verificación restablecida', `${window.Utils.sanitize(email)} debe volver a activarla desde la sección Seguridad.`);
+      renderStaffList();
+    } catch (err) {
+      window.showModal.error('Error', err.message || 'No se pudo restablecer');
+    }
+  }
+
   /**
    * Inicializa el validador de carnets
    */
@@ -1197,16 +2945,22 @@
    * Valida un código escaneado
    */
   async function validateCode(code) {
+    const prefix = window.Config.get('card.barcodePrefix');
     let studentCode = code;
-    if (code.startsWith('UPAC-')) {
-      studentCode = code.substring(5);
+    if (code.startsWith(prefix)) {
+      studentCode = code.substring(prefix.length);
     }
 
     try {
       const student = await window.API.Students.getByCode(studentCode);
       if (student) {
-        const isActive = student.active !== false;
-        const statusText = isActive ? '<span class="status-badge active">ACTIVO</span>' : '<span class="status-badge inactive">INACTIVO</span>';
+        const card = window.API.Students.cardStatus(student);
+        const statusText = {
+          inactive: '<span class="status-badge inactive">INACTIVO</span>',
+          expired: '<span class="status-badge expired">VENCIDO</span>',
+          grace: '<span class="status-badge grace">EN GRACIA</span>',
+          expiring: '<span class="status-badge expiring">POR VENCER</span>'
+        }[card.status] || '<span class="status-badge active">ACTIVO</span>';
 
         const message = `
           <div style="text-align: left; margin-top: 12px;">
@@ -1216,15 +2970,22 @@
             <p><strong>Cédula:</strong> ${student.cedula || 'N/A'}</p>
             <p><strong>Código:</strong> ${student.code || 'N/A'}</p>
             <p><strong>Programa:</strong> ${student.program || 'N/A'}</p>
-            <p><strong>Válido hasta:</strong> ${student.expiry || 'N/A'}</p>
+            <p><strong>Válido hasta:</strong> ${student.expiry ? window.Dates.formatSpanish(student.expiry) : 'N/A'}</p>
             <p><strong>Sede:</strong> ${student.sede || 'N/A'}</p>
           </div>
         `;
 
-        if (isActive) {
-          window.showModal.success('Carnet Válido', `El carnet pertenece a un estudiante registrado y está activo.${message}`);
-        } else {
+        if (card.status === 'inactive') {
           window.showModal.warning('Carnet Inactivo', `El carnet pertenece a un estudiante registrado pero está inactivo.${message}`);
+        } else if (card.status === 'expired' && card.blocked) {
+          window.showModal.error('Carnet Vencido', `El carnet está vencido y ya no es válido.${message}`);
+        } else if (card.status === 'expired') {
+          window.showModal.warning('Carnet Vencido', `El carnet está vencido; verifica la renovación antes de aceptarlo.${message}`);
+        } else if (card.status === 'grace') {
+          const graceUntil = window.Dates.formatSpanish(card.graceUntil);
+          window.showModal.warning('Carnet en Periodo de Gracia', `El carnet está vencido, pero se acepta hasta el ${graceUntil}.${message}`);
+        } else {
+          window.showModal.success('Carnet Válido', `El carnet pertenece a un estudiante registrado y está activo.${message}`);
         }
       } else {
         window.showModal.error('Carnet Inválido', 'El código del carnet no es válido o no se encuentra registrado en el sistema.');
@@ -1235,56 +2996,11 @@
   }
 
   /**
-   * Verifica si una fecha está expirada
-   */
-  function isExpired(expiry) {
-    if (!expiry) return false;
-    try {
-      let expiryDate;
-      if (expiry.includes(' ')) {
-        const parts = expiry.split(' ');
-        const months = ['ENERO', 'FEBRERO', 'MARZO', 'ABRIL', 'MAYO', 'JUNIO', 'JULIO', 'AGOSTO', 'SEPTIEMBRE', 'OCTUBRE', 'NOVIEMBRE', 'DICIEMBRE'];
-        const monthIndex = months.indexOf(parts[1]);
-        if (monthIndex !== -1) {
-          expiryDate = new Date(parseInt(parts[2]), monthIndex, parseInt(parts[0]));
-        }
-      } else {
-        expiryDate = new Date(expiry + 'T00:00:00');
-      }
-      if (expiryDate) {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        expiryDate.setHours(0, 0, 0, 0);
-        return expiryDate < today;
-      }
-    } catch (e) { }
-    return false;
-  }
-
-  /**
-   * Verifica si una fecha está por vencer
+   * Indica si el carnet de un estudiante sigue vigente (activo y no vencido
+   * fuera del periodo de gracia)
    */
-  function isExpiringSoon(expiry) {
-    if (!expiry) return false;
-    try {
-      let expiryDate;
-      if (expiry.includes(' ')) {
-        const parts = expiry.split(' ');
-        const months = ['ENERO', 'FEBRERO', 'MARZO', 'ABRIL', 'MAYO', 'JUNIO', 'JULIO', 'AGOSTO', 'SEPTIEMBRE', 'OCTUBRE', 'NOVIEMBRE', 'DICIEMBRE'];
-        const monthIndex = months.indexOf(parts[1]);
-        if (monthIndex !== -1) {
-          expiryDate = new Date(parseInt(parts[2]), monthIndex, parseInt(parts[0]));
-        }
-      } else {
-        expiryDate = new Date(expiry + 'T00:00:00');
-      }
-      if (expiryDate) {
-        const today = new Date();
-        const daysUntilExpiry = Math.ceil((expiryDate - today) / (1000 * 60 * 60 * 24));
-        return daysUntilExpiry >= 0 && daysUntilExpiry <= 30;
-      }
-    } catch (e) { }
-    return false;
+  function isCardUsable(student) {
+    return !['inactive', 'expired'].includes(window.API.Students.cardStatus(student).status);
   }
 
   // Inicialización al cargar la página
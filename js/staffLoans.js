@@ -12,7 +12,87 @@
   // INICIALIZACIÓN
   // ============================================
 
-  function initLoans() {
+  const LOAN_CATEGORIES = ['biblioteca', 'laboratorio'];
+
+  // Categorías que el rol del funcionario puede gestionar
+  let allowedCategories = LOAN_CATEGORIES.slice();
+
+  /**
+   * Determina las categorías de préstamo permitidas para el funcionario en sesión
+   */
+  async function loadAllowedCategories() {
+    const permissions = window.API.Permissions;
+    let role;
+    try {
+      role = await permissions.getRole();
+    } catch (err) {
+      console.error('No se pudo obtener el rol del funcionario:', err);
+      const session = window.Auth && window.Auth.getSession();
+      role = permissions.normalize(session && session.staffRole);
+    }
+    allowedCategories = LOAN_CATEGORIES.filter(category => permissions.can(role, `loans.${category}`));
+  }
+
+  /**
+   * Oculta las categorías no permitidas en el formulario y en los filtros
+   */
+  function applyCategoryPermissions() {
+    document.querySelectorAll('input[name="loanCategory"]').forEach(input => {
+      const label = input.closest('label');
+      if (label) label.style.display = allowedCategories.includes(input.value) ? '' : 'none';
+    });
+
+    const filter = document.getElementById('filterLoanCategory');
+    if (filter) {
+      Array.from(filter.options).forEach(option => {
+        option.hidden = !!option.value && !allowedCategories.includes(option.value);
+      });
+    }
+
+    selectDefaultCategory();
+  }
+
+  /**
+   * Marca la primera categoría permitida y muestra su selector de ítem
+   */
+  function selectDefaultCategory() {
+    const input = document.querySelector(`input[name="loanCategory"][value="${allowedCategories[0]}"]`);
+    if (!input) return;
+    input.checked = true;
+    handleCategoryChange({ target: input });
+  }
+
+  /**
+   * Indica si el funcionario puede gestionar una categoría de préstamo
+   * @param {string} category - Categoría del préstamo
+   * @returns {boolean}
+   */
+  function isAllowedCategory(category) {
+    return allowedCategories.includes(category);
+  }
+
+  /**
+   * Llena el selector de ítems de biblioteca con el catálogo configurado
+   */
+  async function loadLibraryItems() {
+    const select = document.getElementById('libraryItem');
+    if (!select) return;
+
+    try {
+      await window.Config.load();
+    } catch (err) {
+      console.error('Error al cargar el catálogo de biblioteca:', err);
+      return;
+    }
+
+    const sanitize = window.Utils.sanitize;
+    select.innerHTML = '<option value="">Seleccione un ítem</option>' +
+      window.LoansAPI.LIBRARY_ITEMS
+        .map(item => `<option value="${sanitize(item)}">${sanitize(item)}</option>`)
+        .join('');
+  }
+
+  async function initLoans() {
     const loanForm = document.getElementById('loanForm');
     const loanCategoryInputs = document.querySelectorAll('input[name="loanCategory"]');
     const loanStudentCode = document.getElementById('loanStudentCode');
@@ -40,14 +120,16 @@
         clearLoansFiltersBtn.addEventListener('click', clearLoansFilters);
     }
 
+    loadLibraryItems();
+
     // Event listeners para filtros
     const filterLoanStudent = document.getElementById('filterLoanStudent');
     const filterLoanCategory = document.getElementById('filterLoanCategory');
     const filterLoanStatus = document.getElementById('filterLoanStatus');
     
-    if (filterLoanStudent) filterLoanStudent.addEventListener('input', applyLoansFilters);
-    if (filterLoanCategory) filterLoanCategory.addEventListener('change', applyLoansFilters);
-    if (filterLoanStatus) filterLoanStatus.addEventListener('change', applyLoansFilters);
+    if (filterLoanStudent) filterLoanStudent.addEventListener('input', () => applyLoansFilters());
+    if (filterLoanCategory) filterLoanCategory.addEventListener('change', () => applyLoansFilters());
+    if (filterLoanStatus) filterLoanStatus.addEventListener('change', () => applyLoansFilters());
 
     // Event listener para búsqueda en préstamos activos
     const searchActiveLoanInput = document.getElementById('searchActiveLoanInput');
@@ -57,7 +139,21 @@
       });
     }
 
-    // Cargar datos iniciales
+    // Actualizar en vivo con los cambios hechos desde otros puestos
+    if (window.API && window.API.Realtime) {
+      let refreshTimer = null;
+      window.API.Realtime.subscribe('loans', () => {
+        clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(() => {
+          loadActiveLoans(document.getElementById('searchActiveLoanInput')?.value || '', { silent: true });
+          applyLoansFilters({ silent: true });
+        }, 300);
+      });
+    }
+
+    // Restringir categorías según el rol y cargar datos iniciales
+    await loadAllowedCategories();
+    applyCategoryPermissions();
     loadActiveLoans();
     loadLoansHistory();
   }
@@ -104,13 +200,12 @@
     infoElement.textContent = 'Validando...';
     infoElement.style.color = 'var(--text-secondary)';
 
-    const result = await window.LoansAPI.validateStudent(code);
-
-    if (result.success) {
-        infoElement.textContent = `✓ ${result.data.name} - ${result.data.program}`;
+    try {
+        const student = await window.LoansAPI.validateStudent(code);
+        infoElement.textContent = `✓ ${student.name} - ${student.program}`;
         infoElement.style.color = 'var(--primary-green)';
-    } else {
-        infoElement.textContent = `✗ ${result.error}`;
+    } catch (err) {
+        infoElement.textContent = `✗ ${err.message}`;
         infoElement.style.color = '#ef4444';
     }
   }
@@ -131,10 +226,24 @@
     const loanTime = document.getElementById('loanTime')?.value;
 
     // Validar estudiante
-    const studentResult = await window.LoansAPI.validateStudent(studentCode);
-    if (!studentResult.success) {
-        window.showModal && window.showModal.error('Error', studentResult.error);
-        return;
+    let student;
+    let studentUnverified = false;
+    try {
+        student = await window.LoansAPI.validateStudent(studentCode);
+    } catch (err) {
+        if (err.code !== window.API.ErrorCodes.NETWORK) {
+            window.showModal && window.showModal.error('Error', err.message);
+            return;
+        }
+        // Sin conexión: el estudiante se valida al sincronizar la cola
+        const proceed = window.showModal && await window.showModal.confirm(
+            'Sin conexión',
+            'No se pudo validar al estudiante. ¿Registrar el préstamo de todas formas? Quedará pendiente de sincronizar y se validará al recuperar la conexión.',
+            { confirmText: 'Registrar pendiente' }
+        );
+        if (!proceed) return;
+        student = { name: studentCode, lastname: '' };
+        studentUnverified = true;
     }
 
     // Obtener ítem según categoría
@@ -161,20 +270,25 @@
     // Preparar datos del préstamo
     const loanData = {
         studentCode: studentCode,
-        studentName: `${studentResult.data.name} ${studentResult.data.lastname || ''}`.trim(),
+        studentName: `${student.name} ${student.lastname || ''}`.trim(),
         category: category,
         itemType: itemType,
         itemDescription: description || null,
         staffEmail: session.email,
         staffName: session.name,
-        borrowedAt: borrowedAt
+        borrowedAt: borrowedAt,
+        studentUnverified
     };
 
     // Registrar préstamo
-    const result = await window.LoansAPI.registerLoan(loanData);
+    try {
+        const loan = await window.LoansAPI.registerLoan(loanData);
 
-    if (result.success) {
-        window.showModal && window.showModal.success('Éxito', 'Préstamo registrado exitosamente');
+        if (loan.pending_sync) {
+            window.showModal && window.showModal.warning('Pendiente de sincronizar', 'No hay conexión. El préstamo se guardó en este equipo y se enviará automáticamente al recuperar la conexión.');
+        } else {
+            window.showModal && window.showModal.success('Éxito', 'Préstamo registrado exitosamente');
+        }
         document.getElementById('loanForm').reset();
         document.getElementById('loanStudentInfo').textContent = '';
         
@@ -185,14 +299,13 @@
         if (dateInput) dateInput.value = now.toISOString().split('T')[0];
         if (timeInput) timeInput.value = now.toTimeString().slice(0, 5);
         
-        // Mostrar biblioteca por defecto
-        document.getElementById('libraryItemGroup').style.display = 'block';
-        document.getElementById('labItemGroup').style.display = 'none';
+        // Volver a la categoría por defecto del rol
+        selectDefaultCategory();
         
         loadActiveLoans();
         loadLoansHistory();
-    } else {
-        window.showModal && window.showModal.error('Error', result.error);
+    } catch (err) {
+        window.showModal && window.showModal.error('Error', err.message);
     }
   }
 
@@ -200,20 +313,25 @@
   // CARGAR PRÉSTAMOS ACTIVOS
   // ============================================
 
-  async function loadActiveLoans(searchTerm = '') {
+  async function loadActiveLoans(searchTerm = '', { silent = false } = {}) {
     const container = document.getElementById('activeLoansContainer');
     const countElement = document.getElementById('activeLoansCount');
 
-    container.innerHTML = '<p class="text-secondary">Cargando...</p>';
-
-    const result = await window.LoansAPI.getActiveLoans();
+    if (!silent) {
+        container.innerHTML = '<p class="text-secondary">Cargando...</p>';
+    }
 
-    if (!result.success) {
-        container.innerHTML = `<p class="text-secondary">Error al cargar préstamos: ${result.error}</p>`;
+    let allLoans;
+    try {
+        allLoans = await window.LoansAPI.getActiveLoans();
+    } catch (err) {
+        container.innerHTML = `<p class="text-secondary">Error al cargar préstamos: ${err.message}</p>`;
         return;
     }
 
-    let loans = result.data;
+    // Solo las categorías que el rol puede gestionar
+    allLoans = allLoans.filter(loan => isAllowedCategory(loan.category));
+    let loans = allLoans;
 
     // Filtrar por código de estudiante si hay término de búsqueda
     if (searchTerm) {
@@ -232,7 +350,7 @@
         return;
     }
 
-    const totalLoans = result.data.length;
+    const totalLoans = allLoans.length;
     if (searchTerm && loans.length !== totalLoans) {
       countElement.textContent = `${loans.length} de ${totalLoans} préstamo${totalLoans !== 1 ? 's' : ''} activo${totalLoans !== 1 ? 's' : ''}`;
     } else {
@@ -240,7 +358,7 @@
     }
 
     const loansHTML = loans.map(loan => `
-    <div class="loan-item">
+    <div class="loan-item${loan.pending_sync ? ' pending-sync' : ''}">
       <div class="loan-item-header">
         <div>
           <strong>${loan.student_name}</strong>
@@ -248,15 +366,17 @@
         </div>
         <span class="status-badge ${loan.category}">${loan.category === 'biblioteca' ? 'Biblioteca' : 'Laboratorio'}</span>
       </div>
+      ${loan.pending_sync ? `<span class="status-badge pending">${loan.pending_action === 'return' ? 'Devolución pendiente de sincronizar' : 'Pendiente de sincronizar'}</span>` : ''}
       <div class="loan-item-body">
         <p><strong>Ítem:</strong> ${loan.item_type}</p>
         ${loan.item_description ? `<p class="text-secondary"><small>${loan.item_description}</small></p>` : ''}
         <p class="text-secondary"><small>Prestado hace ${loan.days_borrowed} día${loan.days_borrowed !== 1 ? 's' : ''}</small></p>
         <p class="text-secondary"><small>Por: ${loan.staff_name}</small></p>
       </div>
+      ${loan.pending_action === 'return' ? '' : `
       <div class="loan-item-actions">
         <button class="btn btn-sm btn-secondary" onclick="handleReturnLoan('${loan.id}')">Marcar como devuelto</button>
-      </div>
+      </div>`}
     </div>
   `).join('');
 
@@ -280,26 +400,29 @@
       );
 
       if (confirmed) {
-        const result = await window.LoansAPI.returnLoan(loanId);
-
-        if (result.success) {
-          window.showModal.success('Éxito', 'Préstamo marcado como devuelto');
+        try {
+          const loan = await window.LoansAPI.returnLoan(loanId);
+          if (loan.pending_sync) {
+            window.showModal.warning('Pendiente de sincronizar', 'No hay conexión. La devolución se enviará automáticamente al recuperar la conexión.');
+          } else {
+            window.showModal.success('Éxito', 'Préstamo marcado como devuelto');
+          }
           loadActiveLoans();
           loadLoansHistory();
-        } else {
-          window.showModal.error('Error', result.error);
+        } catch (err) {
+          window.showModal.error('Error', err.message);
         }
       }
     } else {
       // Fallback a confirm nativo si el modal no está disponible
       if (confirm('¿Confirmar devolución de este préstamo?')) {
-        const result = await window.LoansAPI.returnLoan(loanId);
-        if (result.success) {
+        try {
+          await window.LoansAPI.returnLoan(loanId);
           alert('Préstamo marcado como devuelto');
           loadActiveLoans();
           loadLoansHistory();
-        } else {
-          alert('Error: ' + result.error);
+        } catch (err) {
+          alert('Error: ' + err.message);
         }
       }
     }
@@ -309,19 +432,22 @@
   // CARGAR HISTORIAL DE PRÉSTAMOS
   // ============================================
 
-  async function loadLoansHistory(filters = {}) {
+  async function loadLoansHistory(filters = {}, { silent = false } = {}) {
     const container = document.getElementById('loansHistoryContainer');
 
-    container.innerHTML = '<p class="text-secondary">Cargando...</p>';
-
-    const result = await window.LoansAPI.getLoansHistory(filters);
+    if (!silent) {
+        container.innerHTML = '<p class="text-secondary">Cargando...</p>';
+    }
 
-    if (!result.success) {
-        container.innerHTML = `<p class="text-secondary">Error al cargar historial: ${result.error}</p>`;
+    let loans;
+    try {
+        loans = await window.LoansAPI.getLoansHistory(filters);
+    } catch (err) {
+        container.innerHTML = `<p class="text-secondary">Error al cargar historial: ${err.message}</p>`;
         return;
     }
 
-    const loans = result.data;
+    loans = loans.filter(loan => isAllowedCategory(loan.category));
 
     if (loans.length === 0) {
         container.innerHTML = '<p class="text-secondary">No hay préstamos registrados</p>';
@@ -374,7 +500,7 @@
     loadLoansHistory();
   }
 
-  function applyLoansFilters() {
+  function applyLoansFilters(options = {}) {
     const filters = {
         studentCode: document.getElementById('filterLoanStudent').value.trim(),
         category: document.getElementById('filterLoanCategory').value,
@@ -386,9 +512,50 @@
         if (!filters[key]) delete filters[key];
     });
 
-    loadLoansHistory(filters);
+    loadLoansHistory(filters, options);
   }
 
+  // ============================================
+  // SINCRONIZACIÓN DE LA COLA OFFLINE
+  // ============================================
+
+  /**
+   * Refresca las listas tras sincronizar y reporta los conflictos
+   * @param {CustomEvent} event - Evento loans:sync de LoansAPI
+   */
+  function handleLoansSync(event) {
+    const { synced, conflicts } = event.detail;
+
+    if (document.getElementById('activeLoansContainer')) {
+      loadActiveLoans(document.getElementById('searchActiveLoanInput')?.value || '');
+      loadLoansHistory();
+    }
+
+    if (!window.showModal) return;
+
+    if (!conflicts.length) {
+      window.showModal.success('Sincronizado', `Se sincronizaron ${synced} operación(es) de préstamos pendientes.`);
+      return;
+    }
+
+    const sanitize = window.Utils.sanitize;
+    const items = conflicts.map(c => `
+      <li>
+        <strong>${c.type === 'register' ? 'Préstamo' : 'Devolución'}</strong>
+        ${c.studentCode ? `· ${sanitize(c.studentCode)}` : ''}
+        ${c.itemType ? `· ${sanitize(c.itemType)}` : ''}
+        <br><small>${new Date(c.queuedAt).toLocaleString('es-ES')} — ${sanitize(c.message)}</small>
+      </li>
+    `).join('');
+
+    window.showModal.warning(
+      'Conflictos al sincronizar',
+      `<p>Se sincronizaron ${synced} operación(es). Las siguientes no se pudieron aplicar porque los datos cambiaron en otro equipo y se descartaron:</p><ul class="sync-conflicts">${items}</ul>`
+    );
+  }
+
+  window.addEventListener('loans:sync', handleLoansSync);
+
   // ============================================
   // UTILIDADES
   // ============================================
@@ -54,6 +54,15 @@
 
   // Inicializar API
   await window.API.init();
+
+  // La sesión debe seguir abierta en el servidor (no revocada, vencida ni inactiva)
+  try {
+    await window.Auth.validateSession();
+  } catch (err) {
+    window.location.href = `../index.html?session=${(err.details && err.details.reason) || 'expired'}`;
+    return;
+  }
+  window.Auth.startIdleWatch({ loginUrl: '../index.html' });
   
   // Logout
   document.getElementById('logoutBtn').addEventListener('click', async function(e) {
@@ -182,6 +191,15 @@
    * Verifica préstamos activos antes de descargar
    */
   async function checkActiveLoansBeforeDownload() {
+    // Un carnet inactivo o vencido fuera del periodo de gracia no se descarga
+    try {
+      await window.API.Students.assertCardUsable(session.code);
+    } catch (err) {
+      const title = err.code === window.API.ErrorCodes.CARD_EXPIRED ? 'Carnet Vencido' : 'Descarga no permitida';
+      window.showModal && window.showModal.error(title, err.message || 'No se pudo verificar tu carnet.');
+      return;
+    }
+
     try {
       // Verificar si el módulo de préstamos está disponible
       if (!window.LoansAPI) {
@@ -190,11 +208,11 @@
         return;
       }
       
-      const result = await window.LoansAPI.getStudentActiveLoans(session.code);
+      const activeLoans = await window.LoansAPI.getStudentActiveLoans(session.code);
       
-      if (result.success && result.data && result.data.length > 0) {
+      if (activeLoans.length > 0) {
         // El estudiante tiene préstamos activos
-        const loansList = result.data.map(loan => 
+        const loansList = activeLoans.map(loan => 
           `• ${loan.item_type} (${loan.category === 'biblioteca' ? 'Biblioteca' : 'Laboratorio'})`
         ).join('\n');
         
@@ -339,13 +357,43 @@
     expiry: student.expiry,
     sede: student.sede,
     rh: student.rh,
+    photo_url: student.photo_url,
     photo: student.photo
   });
+  showExpiryNotice(student);
+
+  /**
+   * Avisa si el carnet está por vencer, vencido o en periodo de gracia
+   * @param {Object} data - Datos del estudiante
+   */
+  function showExpiryNotice(data) {
+    const notice = document.getElementById('cardExpiryNotice');
+    if (!notice) return;
+
+    const card = window.API.Students.cardStatus(data);
+    const expiry = window.Dates.formatSpanish(data.expiry);
+    const graceUntil = window.Dates.formatSpanish(card.graceUntil);
+    const messages = {
+      expiring: `Tu carnet vence el ${expiry}. Acércate a un funcionario para renovarlo.`,
+      grace: `Tu carnet venció el ${expiry}. Seguirá funcionando hasta el ${graceUntil} mientras lo renuevas.`,
+      expired: card.blocked
+        ? `Tu carnet venció el ${expiry} y ya no es válido. Acércate a un funcionario para renovarlo.`
+        : `Tu carnet venció el ${expiry}. Acércate a un funcionario para renovarlo.`
+    };
+
+    notice.hidden = !messages[card.status];
+    notice.textContent = messages[card.status] || '';
+    notice.classList.toggle('expired', card.status === 'expired');
+  }
 
 
   // Configurar formulario de cambio de contraseña
   const changeForm = document.getElementById('changePwdForm');
   if (changeForm) {
+    // El código y la cédula no pueden usarse como contraseña
+    const passwordContext = () => ({ code: student.code, cedula: student.cedula });
+    window.Utils.attachPasswordMeter(document.getElementById('newPwd'), passwordContext);
+
     changeForm.addEventListener('submit', async function(e) {
       e.preventDefault();
       const p1 = document.getElementById('newPwd').value.trim();
@@ -355,6 +403,12 @@
         window.showModal.warning('Contraseña inválida', 'Asegúrate de llenar ambos campos y que coincidan.');
         return;
       }
+
+      const { valid, problems } = window.API.PasswordPolicy.evaluate(p1, passwordContext());
+      if (!valid) {
+        window.showModal.warning('Contraseña insegura', problems.join('. '));
+        return;
+      }
       
       try {
         await window.Auth.changePassword(student.code, p1);
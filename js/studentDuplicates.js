@@ -0,0 +1,193 @@
+/**
+ * ============================================
+ * ESTUDIANTES DUPLICADOS
+ * Sistema de Carnet Digital - Universidad del Pacífico
+ * ============================================
+ *
+ * DESCRIPCIÓN:
+ * Sección "Duplicados" del panel de funcionarios: lista los pares de
+ * estudiantes que podrían ser la misma persona registrada con dos
+ * códigos y permite fusionarlos.
+ *
+ * MOTIVOS:
+ * - Misma cédula
+ * - Nombre completo parecido (tildes, mayúsculas, orden de las palabras y
+ *   errores de digitación; umbral en students.duplicateNameSimilarity)
+ * - La misma foto (huella photo_hash)
+ *
+ * FUSIÓN:
+ * Se elige el código que se conserva; los préstamos del otro pasan a ese
+ * código, su correo y RH completan los que falten y el otro registro va a
+ * la papelera (API.Students.merge).
+ *
+ * NOTAS:
+ * - describe() también lo usan el formulario y la importación para
+ *   explicar por qué avisan de un posible duplicado
+ *
+ * ============================================
+ */
+
+(function() {
+  'use strict';
+
+  const REASON_LABELS = {
+    cedula: 'Misma cédula',
+    name: 'Nombre parecido',
+    photo: 'Misma foto'
+  };
+
+  // Estado de la sección
+  let pairs = [];
+  let onMerged = () => {};
+
+  /**
+   * Explica por qué dos estudiantes parecen la misma persona
+   * @param {Object} match - { reasons, similarity } de API.Students.findDuplicates o listSuspectedDuplicates
+   * @returns {string} Texto (ej: "Misma cédula, Nombre parecido (92 %)")
+   */
+  function describe(match) {
+    return match.reasons.map(reason => reason === 'name'
+      ? `${REASON_LABELS.name} (${Math.round(match.similarity * 100)} %)`
+      : REASON_LABELS[reason]
+    ).join(', ');
+  }
+
+  /**
+   * Resumen de un estudiante para la tabla y el diálogo de fusión
+   * @param {Object} student - Estudiante
+   * @returns {string} HTML
+   */
+  function renderStudent(student) {
+    const sanitize = window.Utils.sanitize;
+    return `
+      <strong>${sanitize(`${student.name || ''} ${student.lastname || ''}`.trim())}</strong>
+      <span class="duplicate-meta">
+        Código ${sanitize(student.code)} · C.C. ${sanitize(student.cedula || '—')}<br />
+        ${sanitize(student.program || '')} · Vence ${sanitize(window.Dates.formatSpanish(student.expiry))}
+      </span>
+    `;
+  }
+
+  /**
+   * Busca y muestra los pares sospechosos
+   */
+  async function load() {
+    const summary = document.getElementById('duplicatesSummary');
+    const table = document.getElementById('duplicatesTable');
+    if (!summary || !table) return;
+
+    summary.textContent = 'Buscando posibles duplicados...';
+    table.innerHTML = '';
+    try {
+      pairs = await window.API.Students.listSuspectedDuplicates();
+    } catch (err) {
+      pairs = [];
+      summary.textContent = '';
+      window.showModal.error('Error', err.message || 'No se pudieron buscar los duplicados');
+      return;
+    }
+
+    if (!pairs.length) {
+      summary.textContent = 'No se encontraron posibles duplicados.';
+      return;
+    }
+
+    summary.textContent = `${pairs.length} par(es) de estudiantes podrían ser la misma persona.`;
+    table.innerHTML = `
+      <table class="data-table">
+        <thead>
+          <tr><th>Estudiante</th><th>Estudiante</th><th>Motivo</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${pairs.map((pair, index) => `
+            <tr>
+              <td>${renderStudent(pair.a)}</td>
+              <td>${renderStudent(pair.b)}</td>
+              <td>${window.Utils.sanitize(describe(pair))}</td>
+              <td><button type="button" class="btn btn-sm btn-secondary" data-merge-pair="${index}">Fusionar</button></td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Pide el código que se conserva y fusiona el par
+   * @param {Object} pair - { a, b, reasons, similarity }
+   */
+  async function handleMerge(pair) {
+    // Por defecto se conserva el registro más antiguo
+    const keepFirst = Number(pair.a.created_at || 0) <= Number(pair.b.created_at || 0);
+    const option = (student, checked) => `
+      <label class="duplicate-option">
+        <input type="radio" name="duplicateSurvivor" value="${window.Utils.sanitize(student.code)}" ${checked ? 'checked' : ''} />
+        <span>${renderStudent(student)}</span>
+      </label>
+    `;
+
+    const pending = window.showModal.confirm('Fusionar estudiantes', `
+      <p>Elige el registro que se conserva. Los préstamos del otro pasan a ese código,
+      su correo y RH completan los que falten y el otro registro se mueve a la Papelera.</p>
+      <div class="duplicate-options" id="duplicateMergeOptions">
+        ${option(pair.a, keepFirst)}
+        ${option(pair.b, !keepFirst)}
+      </div>
+    `, { confirmText: 'Fusionar', cancelText: 'Cancelar' });
+
+    // El modal se crea de forma síncrona: se conserva la referencia para leer la selección
+    const optionsNode = document.getElementById('duplicateMergeOptions');
+    if (!await pending) return;
+
+    const keep = optionsNode.querySelector('input[name="duplicateSurvivor"]:checked').value;
+    const [survivor, duplicate] = keep === String(pair.a.code) ? [pair.a, pair.b] : [pair.b, pair.a];
+
+    try {
+      const { movedLoans } = await window.API.Students.merge(survivor.code, duplicate.code, {
+        expectedUpdatedAt: {
+          [survivor.code]: survivor.updated_at,
+          [duplicate.code]: duplicate.updated_at
+        }
+      });
+      window.showModal.success('Estudiantes fusionados',
+        `Se conserva el código ${window.Utils.sanitize(survivor.code)}; se trasladaron ${movedLoans} préstamo(s) ` +
+        `y ${window.Utils.sanitize(duplicate.code)} quedó en la Papelera.`);
+      onMerged();
+    } catch (err) {
+      if (err.code === window.API.ErrorCodes.CONFLICT) {
+        window.showModal.warning('Registro modificado', 'Otro funcionario modificó uno de los estudiantes. Se actualizó la lista; revisa el par antes de fusionar.');
+      } else {
+        window.showModal.error('Error', err.message || 'No se pudieron fusionar los estudiantes');
+      }
+    }
+
+    load();
+  }
+
+  /**
+   * Inicializa la sección de duplicados
+   * @param {Object} options - Opciones
+   * @param {Function} options.onMerged - Se llama tras fusionar dos estudiantes
+   */
+  function init(options = {}) {
+    const table = document.getElementById('duplicatesTable');
+    if (!table) return;
+    onMerged = options.onMerged || onMerged;
+
+    document.getElementById('duplicatesScanBtn').addEventListener('click', load);
+    table.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-merge-pair]');
+      if (btn) handleMerge(pairs[Number(btn.getAttribute('data-merge-pair'))]);
+    });
+  }
+
+  /**
+   * API pública de la sección de duplicados
+   * @namespace window.StudentDuplicates
+   */
+  window.StudentDuplicates = {
+    init,
+    load,
+    describe
+  };
+})();
@@ -0,0 +1,771 @@
+/**
+ * ============================================
+ * IMPORTACIÓN MASIVA DE ESTUDIANTES
+ * Sistema de Carnet Digital - Universidad del Pacífico
+ * ============================================
+ *
+ * DESCRIPCIÓN:
+ * Asistente de la sección "Administrar Estudiante" para registrar o
+ * actualizar muchos estudiantes a la vez desde un archivo CSV o Excel.
+ *
+ * PASOS:
+ * 1. Elegir el archivo (CSV separado por comas o punto y coma, o .xlsx)
+ * 2. Asociar las columnas del archivo con los campos del estudiante
+ *    (se proponen automáticamente según los encabezados)
+ * 3. Simulación: valida cada fila y muestra qué se crearía, qué se
+ *    actualizaría, qué no cambia y qué tiene errores, sin guardar nada
+ * 4. Importación por lotes con API.Students.createOrUpdate y resultado
+ *    fila por fila (descargable en CSV)
+ *
+ * NOTAS:
+ * - Las filas con errores nunca se importan; el resto sí
+ * - Un estudiante editado por otro funcionario entre la simulación y la
+ *   importación se informa como conflicto y no se sobrescribe
+ * - Las filas que crean un estudiante o cambian su cédula o nombre se
+ *   comparan con los registrados (misma cédula o nombre parecido) y entre
+ *   sí (misma cédula); las que parecen duplicados se omiten salvo que se
+ *   desmarque la opción del reporte
+ * - La importación no cambia fotos, contraseñas ni el estado del carnet
+ *   de los estudiantes existentes; los nuevos reciben la cédula como
+ *   contraseña de primer acceso, igual que en el formulario
+ *
+ * ============================================
+ */
+
+(function() {
+  'use strict';
+
+  // Campos importables: [campo, etiqueta, obligatorio, encabezados reconocidos]
+  const IMPORT_FIELDS = [
+    ['code', 'Código', true, ['codigo', 'cod', 'codigoestudiante', 'code']],
+    ['cedula', 'Cédula', true, ['cedula', 'cc', 'documento', 'numerodocumento', 'identificacion']],
+    ['name', 'Nombre', true, ['nombre', 'nombres', 'name']],
+    ['lastname', 'Apellidos', true, ['apellido', 'apellidos', 'lastname']],
+    ['program', 'Programa', true, ['programa', 'programaacademico', 'carrera', 'program']],
+    ['expiry', 'Vencimiento', true, ['vencimiento', 'fechavencimiento', 'expiracion', 'fechaexpiracion', 'vigencia', 'expiry']],
+    ['sede', 'Sede', true, ['sede', 'campus']],
+    ['rh', 'RH', false, ['rh', 'gruposanguineo', 'tiposangre']],
+    ['email', 'Correo institucional', false, ['correo', 'correoinstitucional', 'email', 'mail']]
+  ];
+
+  // Campos comparados para decidir si una fila cambia un estudiante existente
+  const COMPARED_FIELDS = ['cedula', 'name', 'lastname', 'program', 'expiry', 'sede', 'rh', 'email'];
+
+  // Campos de identidad: si una fila los cambia se buscan posibles duplicados
+  const IDENTITY_FIELDS = ['cedula', 'name', 'lastname'];
+
+  const RH_VALUES = ['O+', 'O-', 'A+', 'A-', 'B+', 'B-', 'AB+', 'AB-'];
+
+  // Estudiantes guardados a la vez y filas máximas por archivo
+  const IMPORT_BATCH_SIZE = 20;
+  const MAX_IMPORT_ROWS = 5000;
+
+  // Filas sin errores que se listan en el reporte (los errores se listan todos)
+  const REPORT_PREVIEW_ROWS = 200;
+
+  const STATUS_LABELS = {
+    create: 'Crear',
+    update: 'Actualizar',
+    unchanged: 'Sin cambios',
+    error: 'Error',
+    duplicate: 'Posible duplicado',
+    created: 'Creado',
+    updated: 'Actualizado',
+    skipped: 'Omitido',
+    failed: 'Falló'
+  };
+
+  // Estado del asistente
+  let file = { name: '', headers: [], rows: [] };
+  let entries = [];
+  let results = [];
+  let onImported = () => {};
+
+  // ============================================
+  // LECTURA DEL ARCHIVO
+  // ============================================
+
+  /**
+   * Interpreta un CSV (comillas dobles, saltos de línea entre comillas y
+   * separador coma o punto y coma, como lo guarda Excel en español)
+   * @param {string} text - Contenido del archivo
+   * @returns {Array<Array<string>>} Filas
+   */
+  function parseCsv(text) {
+    const clean = text.replace(/^﻿/, '');
+    const firstLine = clean.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+
+    for (let i = 0; i < clean.length; i++) {
+      const char = clean[i];
+      if (quoted) {
+        if (char === '"' && clean[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          value += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(value);
+        value = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && clean[i + 1] === '\n') i++;
+        row.push(value);
+        rows.push(row);
+        row = [];
+        value = '';
+      } else {
+        value += char;
+      }
+    }
+    if (value || row.length) {
+      row.push(value);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  /**
+   * Lee las filas de un archivo CSV o Excel (primera hoja)
+   * @param {File} source - Archivo elegido
+   * @returns {Promise<Array<Array<string>>>} Filas (la primera son los encabezados)
+   * @throws {Error} Si el formato no es compatible
+   */
+  async function readRows(source) {
+    if (/\.(xlsx|xls)$/i.test(source.name)) {
+      if (!window.XLSX) {
+        throw new Error('No se pudo cargar el lector de Excel. Revisa la conexión o guarda el archivo como CSV.');
+      }
+      const workbook = window.XLSX.read(await source.arrayBuffer(), { type: 'array', cellDates: true });
+      const sheet = workbook.Sheets[workbook.SheetNames[0]];
+      return window.XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, dateNF: 'yyyy-mm-dd', defval: '' });
+    }
+    if (/\.csv$/i.test(source.name) || source.type === 'text/csv') {
+      return parseCsv(await source.text());
+    }
+    throw new Error('Formato no compatible. Usa un archivo .csv o .xlsx.');
+  }
+
+  /**
+   * Normaliza un encabezado para reconocerlo (sin tildes, espacios ni símbolos)
+   * @param {string} header - Encabezado del archivo
+   * @returns {string}
+   */
+  function normalizeHeader(header) {
+    return String(header || '')
+      .normalize('NFD')
+      .replace(/[̀-ͯ]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Propone la columna del archivo para cada campo según los encabezados
+   * @param {Array<string>} headers - Encabezados del archivo
+   * @returns {Object} { campo: índice de columna o -1 }
+   */
+  function guessMapping(headers) {
+    const normalized = headers.map(normalizeHeader);
+    const mapping = {};
+    IMPORT_FIELDS.forEach(([field, , , aliases]) => {
+      mapping[field] = normalized.findIndex(header => aliases.includes(header));
+    });
+    return mapping;
+  }
+
+  // ============================================
+  // VALIDACIÓN (SIMULACIÓN)
+  // ============================================
+
+  /**
+   * Convierte una fecha del archivo a YYYY-MM-DD. Acepta AAAA-MM-DD,
+   * DD/MM/AAAA (o con - y .), "15 ENERO 2026" y números de serie de Excel.
+   * @param {string} value - Fecha tal como viene en el archivo
+   * @returns {string|null} Fecha YYYY-MM-DD o null si no es válida
+   */
+  function normalizeDate(value) {
+    const text = String(value || '').trim();
+    let match;
+
+    if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/))) {
+      return window.Dates.fromParts(Number(match[3]), Number(match[2]), Number(match[1]));
+    }
+    if (/^\d{5}$/.test(text)) {
+      // Serie de Excel: días desde el 30/12/1899
+      const date = new Date(Date.UTC(1899, 11, 30) + Number(text) * 86400000);
+      return window.Dates.fromParts(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+    }
+    // AAAA-MM-DD y "15 ENERO 2026"
+    return window.Dates.toYmd(text);
+  }
+
+  /**
+   * Extrae y valida los datos de una fila según el mapeo de columnas
+   * @param {Array<string>} row - Fila del archivo
+   * @param {Object} mapping - { campo: índice de columna }
+   * @returns {{data: Object, errors: Array<string>}}
+   */
+  function validateRow(row, mapping) {
+    const Utils = window.Utils;
+    const read = field => (mapping[field] >= 0 ? String(row[mapping[field]] ?? '').trim() : '');
+    const errors = [];
+
+    const data = {
+      code: read('code'),
+      cedula: read('cedula').replace(/[.\s]/g, ''),
+      name: Utils.sanitize(read('name').toUpperCase()),
+      lastname: Utils.sanitize(read('lastname')),
+      program: Utils.sanitize(read('program').toUpperCase()),
+      sede: Utils.sanitize(read('sede'))
+    };
+    // Una columna "No importar" no toca el dato actual del estudiante
+    if (mapping.rh >= 0) data.rh = read('rh').toUpperCase().replace(/\s/g, '');
+    if (mapping.email >= 0) data.email = read('email').toLowerCase();
+
+    IMPORT_FIELDS.forEach(([field, label, required]) => {
+      if (required && !read(field)) errors.push(`${label} es obligatorio`);
+    });
+
+    if (data.code && !Utils.validateStudentCode(data.code)) {
+      errors.push('El código debe ser numérico de 6 a 12 dígitos');
+    }
+    if (data.cedula && !Utils.validateCedula(data.cedula)) {
+      errors.push('La cédula debe tener entre 8 y 10 dígitos numéricos');
+    }
+
+    const expiryText = read('expiry');
+    if (expiryText) {
+      const ymd = normalizeDate(expiryText);
+      if (!ymd) {
+        errors.push(`Fecha de vencimiento no reconocida (${expiryText})`);
+      } else if (window.Dates.isPast(ymd)) {
+        errors.push('La fecha de vencimiento está en el pasado');
+      } else {
+        data.expiry = ymd;
+      }
+    }
+
+    if (data.rh && !RH_VALUES.includes(data.rh)) {
+      errors.push(`RH inválido (${data.rh})`);
+    }
+
+    const emailDomains = window.Config.get('students.emailDomains');
+    if (data.email && !emailDomains.includes(data.email.split('@')[1])) {
+      errors.push(`El correo debe ser institucional (${emailDomains.map(d => '@' + d).join(', ')})`);
+    }
+
+    return { data, errors };
+  }
+
+  /**
+   * Valida todas las filas y las clasifica sin guardar nada
+   * @param {Object} mapping - { campo: índice de columna }
+   * @returns {Promise<Array<Object>>} Entradas { rowNumber, data, status, errors, changes, current, duplicates }
+   */
+  async function analyze(mapping) {
+    const validated = file.rows.map(row => validateRow(row, mapping));
+    // Solo se consultan los códigos del archivo, siempre frescos: la simulación
+    // debe reflejar los cambios recientes de otros puestos
+    const byCode = await window.API.Students.getByCodes(validated.map(({ data }) => data.code).filter(Boolean));
+    const seen = new Map();
+
+    const analyzed = validated.map(({ data, errors }, index) => {
+      // +2: la fila 1 del archivo son los encabezados
+      const rowNumber = index + 2;
+
+      if (data.code && seen.has(data.code)) {
+        errors.push(`Código repetido en el archivo (fila ${seen.get(data.code)})`);
+      } else if (data.code) {
+        seen.set(data.code, rowNumber);
+      }
+
+      const current = byCode.get(data.code) || null;
+      if (errors.length) {
+        return { rowNumber, data, status: 'error', errors, changes: [], current };
+      }
+      if (!current) {
+        return { rowNumber, data, status: 'create', errors, changes: [], current };
+      }
+
+      const changes = COMPARED_FIELDS.filter(field => {
+        if (data[field] === undefined) return false;
+        // Los vencimientos sin migrar siguen en texto: se comparan como fecha
+        if (field === 'expiry') return data.expiry !== window.Dates.toYmd(current.expiry);
+        return String(data[field] || '') !== String(current[field] || '');
+      });
+      return { rowNumber, data, status: changes.length ? 'update' : 'unchanged', errors, changes, current };
+    });
+
+    // Posibles duplicados: contra los registrados (API.Students.findDuplicates)
+    // y, por cédula, contra las filas anteriores del archivo
+    const cedulas = new Map();
+    for (const entry of analyzed) {
+      entry.duplicates = [];
+      const identity = entry.status === 'create' ||
+        (entry.status === 'update' && entry.changes.some(field => IDENTITY_FIELDS.includes(field)));
+      if (!identity) continue;
+
+      const matches = await window.API.Students.findDuplicates(entry.data);
+      entry.duplicates = matches.map(match =>
+        `Posible duplicado de ${match.student.code}: ${window.StudentDuplicates.describe(match)}`);
+      if (cedulas.has(entry.data.cedula)) {
+        entry.duplicates.push(`Misma cédula que la fila ${cedulas.get(entry.data.cedula)}`);
+      } else {
+        cedulas.set(entry.data.cedula, entry.rowNumber);
+      }
+    }
+
+    return analyzed;
+  }
+
+  // ============================================
+  // IMPORTACIÓN POR LOTES
+  // ============================================
+
+  /**
+   * Guarda una entrada de la simulación
+   * @param {Object} entry - Entrada con estado 'create' o 'update'
+   * @returns {Promise<void>}
+   */
+  function saveEntry(entry) {
+    const current = entry.current;
+
+    return window.API.Students.createOrUpdate({
+      ...entry.data,
+      // Un existente conserva su estado; uno nuevo siempre nace activo
+      active: current ? current.active !== false : true
+    }, { expectedUpdatedAt: current ? current.updated_at : null });
+  }
+
+  /**
+   * Mensaje de una fila que no se pudo guardar
+   * @param {Error} err - Error de la API
+   * @returns {string}
+   */
+  function failureMessage(err) {
+    if (err.code === window.API.ErrorCodes.CONFLICT) {
+      return 'Otro funcionario lo creó o modificó después de la simulación; vuelve a analizar el archivo';
+    }
+    return err.message || 'No se pudo guardar';
+  }
+
+  /**
+   * Indica si una entrada se omite por ser un posible duplicado
+   * @param {Object} entry - Entrada de la simulación
+   * @returns {boolean}
+   */
+  function isSkipped(entry) {
+    return entry.duplicates.length > 0 && document.getElementById('importSkipDuplicates').checked;
+  }
+
+  /**
+   * Entradas que se van a guardar
+   * @returns {Array<Object>} Entradas 'create' o 'update' no omitidas
+   */
+  function importableEntries() {
+    return entries.filter(entry => (entry.status === 'create' || entry.status === 'update') && !isSkipped(entry));
+  }
+
+  /**
+   * Importa las filas válidas en lotes de IMPORT_BATCH_SIZE
+   * @param {Function} onProgress - (procesadas, total) => void
+   * @returns {Promise<Array<Object>>} Resultado por fila { rowNumber, code, status, message }
+   */
+  async function commit(onProgress) {
+    const pending = importableEntries();
+    const output = entries
+      .filter(entry => (entry.status === 'create' || entry.status === 'update') && isSkipped(entry))
+      .map(entry => ({
+        rowNumber: entry.rowNumber,
+        code: entry.data.code,
+        name: `${entry.data.name} ${entry.data.lastname}`.trim(),
+        status: 'skipped',
+        message: entry.duplicates.join('; ')
+      }));
+
+    for (let start = 0; start < pending.length; start += IMPORT_BATCH_SIZE) {
+      const batch = pending.slice(start, start + IMPORT_BATCH_SIZE);
+      const settled = await Promise.allSettled(batch.map(saveEntry));
+
+      settled.forEach((result, i) => {
+        const entry = batch[i];
+        output.push({
+          rowNumber: entry.rowNumber,
+          code: entry.data.code,
+          name: `${entry.data.name} ${entry.data.lastname}`.trim(),
+          status: result.status === 'fulfilled' ? (entry.status === 'create' ? 'created' : 'updated') : 'failed',
+          message: result.status === 'fulfilled' ? '' : failureMessage(result.reason)
+        });
+      });
+
+      onProgress(Math.min(start + IMPORT_BATCH_SIZE, pending.length), pending.length);
+
+      // Sin permiso o sin sesión no tiene sentido seguir con los demás lotes
+      const fatal = settled.find(r => r.status === 'rejected' &&
+        [window.API.ErrorCodes.PERMISSION_DENIED, window.API.ErrorCodes.SESSION_EXPIRED].includes(r.reason.code));
+      if (fatal) {
+        pending.slice(start + IMPORT_BATCH_SIZE).forEach(entry => output.push({
+          rowNumber: entry.rowNumber,
+          code: entry.data.code,
+          name: `${entry.data.name} ${entry.data.lastname}`.trim(),
+          status: 'failed',
+          message: 'No se intentó: ' + failureMessage(fatal.reason)
+        }));
+        break;
+      }
+    }
+
+    return output;
+  }
+
+  // ============================================
+  // INTERFAZ DEL ASISTENTE
+  // ============================================
+
+  /**
+   * Muestra un paso del asistente
+   * @param {string} step - 'file', 'map', 'report' o 'result'
+   */
+  function showStep(step) {
+    document.querySelectorAll('#studentImport .import-step').forEach(node => {
+      node.hidden = node.getAttribute('data-step') !== step;
+    });
+  }
+
+  /**
+   * Vuelve al primer paso y descarta el archivo
+   */
+  function restart() {
+    file = { name: '', headers: [], rows: [] };
+    entries = [];
+    results = [];
+    document.getElementById('importFile').value = '';
+    showStep('file');
+  }
+
+  /**
+   * Carga el archivo elegido y pasa al mapeo de columnas
+   * @param {Event} e - Cambio del input de archivo
+   */
+  async function handleFile(e) {
+    const source = e.target.files && e.target.files[0];
+    if (!source) return;
+
+    let rows;
+    try {
+      rows = await readRows(source);
+    } catch (err) {
+      window.showModal.error('Archivo no válido', err.message);
+      restart();
+      return;
+    }
+
+    const [headers = [], ...data] = rows;
+    const nonEmpty = data.filter(row => row.some(cell => String(cell ?? '').trim()));
+    if (!headers.length || !nonEmpty.length) {
+      window.showModal.warning('Archivo vacío', 'El archivo debe tener una fila de encabezados y al menos un estudiante.');
+      restart();
+      return;
+    }
+    if (nonEmpty.length > MAX_IMPORT_ROWS) {
+      window.showModal.warning('Archivo muy grande', `Se admiten hasta ${MAX_IMPORT_ROWS} estudiantes por archivo. Divídelo en varios.`);
+      restart();
+      return;
+    }
+
+    file = { name: source.name, headers: headers.map(h => String(h ?? '').trim()), rows: nonEmpty };
+    renderMapping(guessMapping(file.headers));
+    showStep('map');
+  }
+
+  /**
+   * Dibuja los selectores de columna para cada campo
+   * @param {Object} mapping - Mapeo propuesto
+   */
+  function renderMapping(mapping) {
+    const sanitize = window.Utils.sanitize;
+    document.getElementById('importFileInfo').textContent =
+      `${file.name}: ${file.rows.length} fila(s). Revisa qué columna corresponde a cada dato.`;
+
+    const options = file.headers.map((header, index) => {
+      const sample = String(file.rows[0][index] ?? '').trim();
+      return `<option value="${index}">${sanitize(header || `Columna ${index + 1}`)}${sample ? ` (ej: ${sanitize(sample.slice(0, 30))})` : ''}</option>`;
+    }).join('');
+
+    document.getElementById('importMapping').innerHTML = IMPORT_FIELDS.map(([field, label, required]) => `
+      <div class="form-group">
+        <label for="importMap-${field}" class="form-label">${label}${required ? ' *' : ''}</label>
+        <select id="importMap-${field}" class="form-select" data-field="${field}">
+          <option value="-1">${required ? 'Seleccionar columna...' : 'No importar'}</option>
+          ${options}
+        </select>
+      </div>
+    `).join('');
+
+    IMPORT_FIELDS.forEach(([field]) => {
+      document.getElementById(`importMap-${field}`).value = String(mapping[field]);
+    });
+  }
+
+  /**
+   * Lee el mapeo elegido en los selectores
+   * @returns {Object} { campo: índice de columna o -1 }
+   */
+  function readMapping() {
+    const mapping = {};
+    document.querySelectorAll('#importMapping select').forEach(select => {
+      mapping[select.getAttribute('data-field')] = parseInt(select.value, 10);
+    });
+    return mapping;
+  }
+
+  /**
+   * Ejecuta la simulación y muestra el reporte
+   */
+  async function handleAnalyze() {
+    const mapping = readMapping();
+    const missing = IMPORT_FIELDS.filter(([field, , required]) => required && mapping[field] < 0).map(([, label]) => label);
+    if (missing.length) {
+      window.showModal.warning('Faltan columnas', `Indica la columna de: ${missing.join(', ')}.`);
+      return;
+    }
+
+    const button = document.getElementById('importAnalyzeBtn');
+    button.disabled = true;
+    button.textContent = 'Analizando...';
+    try {
+      entries = await analyze(mapping);
+      renderReport();
+      showStep('report');
+    } catch (err) {
+      window.showModal.error('Error', err.message || 'No se pudo analizar el archivo');
+    } finally {
+      button.disabled = false;
+      button.textContent = 'Analizar (simulación)';
+    }
+  }
+
+  /**
+   * Cuenta las entradas por estado
+   * @param {Array<Object>} list - Entradas o resultados
+   * @returns {Object} { estado: cantidad }
+   */
+  function countByStatus(list) {
+    return list.reduce((counts, item) => {
+      counts[item.status] = (counts[item.status] || 0) + 1;
+      return counts;
+    }, {});
+  }
+
+  /**
+   * Resumen con la cantidad por estado
+   * @param {Object} counts - { estado: cantidad }
+   * @param {Array<string>} statuses - Estados a mostrar, en orden
+   * @returns {string} HTML
+   */
+  function renderSummary(counts, statuses) {
+    return statuses.map(status => `
+      <div class="import-summary-item ${status}">
+        <strong>${counts[status] || 0}</strong>
+        <span>${STATUS_LABELS[status]}</span>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Tabla de filas con su estado y detalle
+   * @param {Array<Object>} rows - { rowNumber, code, name, status, detail }
+   * @returns {string} HTML
+   */
+  function renderTable(rows) {
+    const sanitize = window.Utils.sanitize;
+    return `
+      <table class="data-table">
+        <thead>
+          <tr>
+            <th>Fila</th>
+            <th>Código</th>
+            <th>Estudiante</th>
+            <th>Resultado</th>
+            <th>Detalle</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map(row => `
+            <tr>
+              <td>${row.rowNumber}</td>
+              <td>${sanitize(row.code)}</td>
+              <td>${sanitize(row.name)}</td>
+              <td><span class="import-status ${row.status}">${STATUS_LABELS[row.status]}</span></td>
+              <td>${sanitize(row.detail)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Muestra el reporte de la simulación (errores primero)
+   */
+  function renderReport() {
+    const counts = countByStatus(entries);
+    const labels = Object.fromEntries(IMPORT_FIELDS.map(([field, label]) => [field, label]));
+
+    // Los errores y los posibles duplicados se listan todos, antes que el resto
+    const errors = entries.filter(entry => entry.status === 'error');
+    const duplicates = entries.filter(entry => entry.status !== 'error' && entry.duplicates.length);
+    const others = entries.filter(entry => entry.status !== 'error' && !entry.duplicates.length);
+    counts.duplicate = duplicates.length;
+
+    document.getElementById('importSummary').innerHTML = renderSummary(counts, ['create', 'update', 'unchanged', 'duplicate', 'error']);
+
+    const shown = errors.concat(duplicates, others.slice(0, REPORT_PREVIEW_ROWS));
+    document.getElementById('importReport').innerHTML = renderTable(shown.map(entry => ({
+      rowNumber: entry.rowNumber,
+      code: entry.data.code,
+      name: `${entry.data.name} ${entry.data.lastname}`.trim(),
+      status: entry.status,
+      detail: entry.status === 'error'
+        ? entry.errors.join('; ')
+        : [entry.status === 'update' ? `Cambia: ${entry.changes.map(field => labels[field]).join(', ')}` : '']
+          .concat(entry.duplicates).filter(Boolean).join('; ')
+    }))) + (others.length > REPORT_PREVIEW_ROWS
+      ? `<p class="text-secondary">Se muestran ${REPORT_PREVIEW_ROWS} de ${others.length} filas sin errores ni posibles duplicados.</p>`
+      : '');
+
+    document.getElementById('importSkipDuplicatesOption').hidden = !duplicates.length;
+    document.getElementById('importErrorsBtn').hidden = !errors.length;
+    updateCommitButton();
+  }
+
+  /**
+   * Actualiza el botón de importar con la cantidad de filas que se guardarán
+   */
+  function updateCommitButton() {
+    const importable = importableEntries().length;
+    const commitBtn = document.getElementById('importCommitBtn');
+    commitBtn.disabled = importable === 0;
+    commitBtn.textContent = importable ? `Importar ${importable} estudiante(s)` : 'Nada para importar';
+  }
+
+  /**
+   * Confirma e importa las filas válidas
+   */
+  async function handleCommit() {
+    const counts = countByStatus(importableEntries());
+    const importable = (counts.create || 0) + (counts.update || 0);
+    const errorCount = entries.filter(entry => entry.status === 'error').length;
+    const skipped = entries.filter(entry => entry.status !== 'error' && entry.status !== 'unchanged' && isSkipped(entry)).length;
+    const warned = entries.filter(entry => entry.status !== 'error' && entry.duplicates.length).length;
+    const confirmed = await window.showModal.confirm(
+      'Confirmar importación',
+      `Se crearán ${counts.create || 0} y se actualizarán ${counts.update || 0} estudiante(s).` +
+      (errorCount ? ` Las ${errorCount} fila(s) con errores no se importarán.` : '') +
+      (skipped ? ` Se omitirán ${skipped} fila(s) con posibles duplicados.` : '') +
+      (warned && !skipped ? ` Se importarán ${warned} fila(s) con posibles duplicados.` : '') + ' ¿Continuar?'
+    );
+    if (!confirmed) return;
+
+    const progress = document.getElementById('importProgress');
+    document.getElementById('importResultSummary').innerHTML = '';
+    document.getElementById('importResultReport').innerHTML = '';
+    document.getElementById('importResultActions').hidden = true;
+    progress.textContent = `Importando 0 de ${importable}...`;
+    showStep('result');
+
+    results = await commit((done, total) => {
+      progress.textContent = `Importando ${done} de ${total}...`;
+    });
+
+    const resultCounts = countByStatus(results);
+    progress.textContent = resultCounts.failed
+      ? `Importación terminada con ${resultCounts.failed} fila(s) que no se pudieron guardar.`
+      : 'Importación terminada.';
+    document.getElementById('importResultSummary').innerHTML = renderSummary(resultCounts, ['created', 'updated', 'skipped', 'failed']);
+
+    const notSaved = results.filter(result => result.status === 'failed' || result.status === 'skipped');
+    document.getElementById('importResultReport').innerHTML = notSaved.length
+      ? renderTable(notSaved.map(result => ({ ...result, detail: result.message })))
+      : '';
+    document.getElementById('importResultActions').hidden = false;
+
+    if (resultCounts.created || resultCounts.updated) onImported();
+  }
+
+  /**
+   * Descarga filas como CSV (abre bien en Excel)
+   * @param {string} filename - Nombre del archivo
+   * @param {Array<Array<*>>} rows - Filas (la primera son los encabezados)
+   */
+  function downloadCsv(filename, rows) {
+    const text = rows
+      .map(row => row.map(value => `"${String(value ?? '').replace(/"/g, '""')}"`).join(','))
+      .join('\n');
+    const blob = new Blob(['﻿' + text], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Descarga una plantilla con los encabezados reconocidos
+   */
+  function downloadTemplate() {
+    downloadCsv('plantilla-estudiantes.csv', [
+      ['codigo', 'cedula', 'nombre', 'apellidos', 'programa', 'vencimiento', 'sede', 'rh', 'correo'],
+      ['12300298', '1234567890', 'ANA MARÍA', 'Rojas Díaz', 'INGENIERÍA DE SISTEMAS', '2026-12-31', 'Buenaventura', 'O+', 'ana.rojas@unipacifico.edu.co']
+    ]);
+  }
+
+  /**
+   * Inicializa el asistente de importación
+   * @param {Object} options - Opciones
+   * @param {Function} options.onImported - Se llama tras importar al menos un estudiante
+   */
+  function init(options = {}) {
+    if (!document.getElementById('studentImport')) return;
+    onImported = options.onImported || onImported;
+
+    document.getElementById('importFile').addEventListener('change', handleFile);
+    document.getElementById('importTemplateBtn').addEventListener('click', downloadTemplate);
+    document.getElementById('importAnalyzeBtn').addEventListener('click', handleAnalyze);
+    document.getElementById('importCommitBtn').addEventListener('click', handleCommit);
+    document.getElementById('importSkipDuplicates').addEventListener('change', updateCommitButton);
+    document.getElementById('importBackBtn').addEventListener('click', () => showStep('map'));
+    document.querySelectorAll('#studentImport [data-import-restart]').forEach(btn => btn.addEventListener('click', restart));
+
+    document.getElementById('importErrorsBtn').addEventListener('click', () => {
+      downloadCsv('errores-importacion.csv', [['fila', 'codigo', 'errores']].concat(
+        entries.filter(entry => entry.status === 'error').map(entry => [entry.rowNumber, entry.data.code, entry.errors.join('; ')])
+      ));
+    });
+    document.getElementById('importResultCsvBtn').addEventListener('click', () => {
+      downloadCsv('resultado-importacion.csv', [['fila', 'codigo', 'estudiante', 'resultado', 'detalle']].concat(
+        results.map(result => [result.rowNumber, result.code, result.name, STATUS_LABELS[result.status], result.message])
+      ));
+    });
+
+    restart();
+  }
+
+  /**
+   * API pública del asistente
+   * @namespace window.StudentImport
+   */
+  window.StudentImport = {
+    init
+  };
+})();
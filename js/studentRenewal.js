@@ -0,0 +1,462 @@
+/**
+ * ============================================
+ * RENOVACIÓN SEMESTRAL DE CARNETS
+ * Sistema de Carnet Digital - Universidad del Pacífico
+ * ============================================
+ *
+ * DESCRIPCIÓN:
+ * Sección "Renovación" del panel de funcionarios: extiende la fecha de
+ * vencimiento de los estudiantes que continúan en un periodo académico,
+ * en lugar de editarlos uno por uno en el formulario.
+ *
+ * PASOS:
+ * 1. Periodo académico, nueva fecha de vencimiento y población: programas,
+ *    sedes y/o una lista de códigos matriculados (CSV, TXT o Excel)
+ * 2. Vista previa de los estudiantes afectados, sin guardar nada
+ * 3. Aplicación por lotes con API.Students.renew y resultado por estudiante
+ *
+ * NOTAS:
+ * - Los carnets inactivos con fecha vencida (los que el formulario
+ *   desactiva al guardar con una fecha pasada) se reactivan si se marca
+ *   la opción; los desactivados a mano con fecha vigente siguen inactivos
+ * - Un estudiante cuya fecha ya es igual o posterior a la nueva no cambia
+ * - Un estudiante editado por otro funcionario después de la vista previa
+ *   se informa como conflicto y no se modifica
+ *
+ * ============================================
+ */
+
+(function() {
+  'use strict';
+
+  // Periodo académico: año y semestre (ej: 2026-2)
+  const PERIOD_PATTERN = /^\d{4}-[12]$/;
+
+  // Estudiantes renovados a la vez y filas listadas en la vista previa
+  const RENEWAL_BATCH_SIZE = 10;
+  const PREVIEW_ROWS = 200;
+
+  const STATUS_LABELS = {
+    renew: 'Renovar',
+    reactivate: 'Renovar y reactivar',
+    inactive: 'Renovar (sigue inactivo)',
+    unchanged: 'Sin cambios',
+    missing: 'No encontrado'
+  };
+
+  // Estado de la renovación
+  let enrolledCodes = null;
+  let plan = null;
+  let onRenewed = () => {};
+
+  // ============================================
+  // POBLACIÓN Y VISTA PREVIA
+  // ============================================
+
+  /**
+   * Lee los códigos de estudiante de un archivo (cualquier celda o palabra
+   * con formato de código; encabezados y otros datos se ignoran)
+   * @param {File} source - Archivo CSV, TXT o Excel
+   * @returns {Promise<Array<string>>} Códigos sin repetir
+   * @throws {Error} Si el formato no es compatible
+   */
+  async function readCodes(source) {
+    let cells;
+    if (/\.(xlsx|xls)$/i.test(source.name)) {
+      if (!window.XLSX) {
+        throw new Error('No se pudo cargar el lector de Excel. Revisa la conexión o guarda el archivo como CSV.');
+      }
+      const workbook = window.XLSX.read(await source.arrayBuffer(), { type: 'array' });
+      const sheet = workbook.Sheets[workbook.SheetNames[0]];
+      cells = window.XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '' }).flat();
+    } else if (/\.(csv|txt)$/i.test(source.name)) {
+      cells = (await source.text()).split(/[\s,;"]+/);
+    } else {
+      throw new Error('Formato no compatible. Usa un archivo .csv, .txt o .xlsx.');
+    }
+
+    return [...new Set(cells.map(cell => String(cell).trim()).filter(window.Utils.validateStudentCode))];
+  }
+
+  /**
+   * Calcula qué pasará con cada estudiante de la población
+   * @param {Object} options - Parámetros de la renovación
+   * @param {string} options.expiryYmd - Nueva fecha (YYYY-MM-DD)
+   * @param {Array<string>} options.programs - Programas (vacío: todos)
+   * @param {Array<string>} options.sedes - Sedes (vacío: todas)
+   * @param {Array<string>|null} options.codes - Códigos matriculados (null: sin lista)
+   * @param {boolean} options.reactivate - Reactivar los inactivos por vencimiento
+   * @returns {Promise<Array<Object>>} Entradas { code, student, status }
+   */
+  async function buildPlan({ expiryYmd, programs, sedes, codes, reactivate }) {
+    // Lectura fresca: la vista previa debe reflejar los cambios recientes de otros puestos.
+    // Con lista de matriculados solo se consultan esos códigos
+    let found = null;
+    let students;
+    if (codes) {
+      found = await window.API.Students.getByCodes(codes);
+      students = Array.from(found.values()).sort((a, b) => String(a.code).localeCompare(String(b.code)));
+    } else {
+      window.API.Cache.invalidate('students');
+      students = await window.API.Students.listAll();
+    }
+    const todayYmd = window.Dates.today();
+
+    const entries = students
+      .filter(s => (!programs.length || programs.includes(s.program)) &&
+        (!sedes.length || sedes.includes(s.sede)))
+      .map(student => {
+        const current = window.Dates.toYmd(student.expiry);
+        const inactive = student.active === false;
+        let status = 'renew';
+        if (current && current >= expiryYmd) {
+          status = 'unchanged';
+        } else if (inactive) {
+          // Inactivo con fecha vencida: lo desactivó el vencimiento, no un funcionario
+          status = reactivate && (!current || current < todayYmd) ? 'reactivate' : 'inactive';
+        }
+        return { code: String(student.code), student, status };
+      });
+
+    if (found) {
+      // Los que existen pero quedaron fuera por programa o sede no se informan como faltantes
+      codes.filter(code => !found.has(code)).forEach(code => {
+        entries.push({ code, student: null, status: 'missing' });
+      });
+    }
+
+    return entries;
+  }
+
+  // ============================================
+  // APLICACIÓN POR LOTES
+  // ============================================
+
+  /**
+   * Mensaje de un estudiante que no se pudo renovar
+   * @param {Error} err - Error de la API
+   * @returns {string}
+   */
+  function failureMessage(err) {
+    if (err.code === window.API.ErrorCodes.CONFLICT) {
+      return 'Otro funcionario lo modificó después de la vista previa; vuelve a previsualizar';
+    }
+    return err.message || 'No se pudo renovar';
+  }
+
+  /**
+   * Renueva a los estudiantes de la vista previa en lotes de RENEWAL_BATCH_SIZE
+   * @param {Function} onProgress - (procesados, total) => void
+   * @returns {Promise<Array<{code: string, name: string, ok: boolean, message: string}>>}
+   */
+  async function applyPlan(onProgress) {
+    const pending = plan.entries.filter(entry => ['renew', 'reactivate', 'inactive'].includes(entry.status));
+    const results = [];
+
+    for (let start = 0; start < pending.length; start += RENEWAL_BATCH_SIZE) {
+      const batch = pending.slice(start, start + RENEWAL_BATCH_SIZE);
+      const settled = await Promise.allSettled(batch.map(entry => window.API.Students.renew(entry.code, {
+        period: plan.period,
+        expiry: plan.expiry,
+        reactivate: entry.status === 'reactivate',
+        expectedUpdatedAt: entry.student.updated_at
+      })));
+
+      settled.forEach((outcome, i) => results.push({
+        code: batch[i].code,
+        name: `${batch[i].student.name || ''} ${batch[i].student.lastname || ''}`.trim(),
+        ok: outcome.status === 'fulfilled',
+        message: outcome.status === 'fulfilled' ? STATUS_LABELS[batch[i].status] : failureMessage(outcome.reason)
+      }));
+      onProgress(Math.min(start + RENEWAL_BATCH_SIZE, pending.length), pending.length);
+
+      // Sin permiso o sin sesión no tiene sentido seguir con los demás lotes
+      const fatal = settled.find(outcome => outcome.status === 'rejected' &&
+        [window.API.ErrorCodes.PERMISSION_DENIED, window.API.ErrorCodes.SESSION_EXPIRED].includes(outcome.reason.code));
+      if (fatal) {
+        pending.slice(start + RENEWAL_BATCH_SIZE).forEach(entry => results.push({
+          code: entry.code,
+          name: `${entry.student.name || ''} ${entry.student.lastname || ''}`.trim(),
+          ok: false,
+          message: 'No se intentó: ' + failureMessage(fatal.reason)
+        }));
+        break;
+      }
+    }
+
+    return results;
+  }
+
+  // ============================================
+  // INTERFAZ
+  // ============================================
+
+  /**
+   * Valores elegidos en una lista de selección múltiple
+   * @param {string} id - ID del select
+   * @returns {Array<string>}
+   */
+  function selectedValues(id) {
+    return Array.from(document.getElementById(id).selectedOptions).map(option => option.value);
+  }
+
+  /**
+   * Carga los programas y sedes existentes en los selectores de población
+   */
+  async function loadPopulationOptions() {
+    try {
+      const { programs, sedes } = await window.API.Students.getFilterOptions();
+      const sanitize = window.Utils.sanitize;
+      const fill = (id, values) => {
+        const keep = selectedValues(id);
+        document.getElementById(id).innerHTML = values
+          .map(value => `<option value="${sanitize(value)}" ${keep.includes(value) ? 'selected' : ''}>${sanitize(value)}</option>`)
+          .join('');
+      };
+      fill('renewalPrograms', programs);
+      fill('renewalSedes', sedes);
+    } catch (err) {
+      console.warn('No se pudieron cargar programas y sedes:', err);
+    }
+  }
+
+  /**
+   * Carga la lista de códigos matriculados
+   * @param {Event} e - Cambio del input de archivo
+   */
+  async function handleCodesFile(e) {
+    const source = e.target.files && e.target.files[0];
+    if (!source) return;
+
+    try {
+      const codes = await readCodes(source);
+      if (!codes.length) {
+        throw new Error('El archivo no tiene códigos de estudiante válidos (6 a 12 dígitos).');
+      }
+      enrolledCodes = codes;
+      document.getElementById('renewalCodesInfo').textContent = `${source.name}: ${codes.length} código(s).`;
+      document.getElementById('renewalClearCodesBtn').hidden = false;
+    } catch (err) {
+      window.showModal.error('Archivo no válido', err.message);
+      clearCodes();
+    }
+  }
+
+  /**
+   * Quita la lista de códigos matriculados
+   */
+  function clearCodes() {
+    enrolledCodes = null;
+    document.getElementById('renewalCodesFile').value = '';
+    document.getElementById('renewalCodesInfo').textContent = 'Sin lista: se incluyen todos los estudiantes de los programas y sedes elegidos.';
+    document.getElementById('renewalClearCodesBtn').hidden = true;
+  }
+
+  /**
+   * Valida los parámetros y muestra la vista previa
+   * @param {Event} e - Envío del formulario
+   */
+  async function handlePreview(e) {
+    e.preventDefault();
+
+    const period = document.getElementById('renewalPeriod').value.trim();
+    const expiryYmd = document.getElementById('renewalExpiry').value;
+    if (!PERIOD_PATTERN.test(period)) {
+      window.showModal.warning('Periodo inválido', 'Escribe el periodo académico como año y semestre (ej: 2026-2).');
+      return;
+    }
+    if (!expiryYmd || window.Dates.isPast(expiryYmd)) {
+      window.showModal.warning('Fecha inválida', 'La nueva fecha de vencimiento no puede estar en el pasado.');
+      return;
+    }
+
+    const programs = selectedValues('renewalPrograms');
+    const sedes = selectedValues('renewalSedes');
+    if (!programs.length && !sedes.length && !enrolledCodes) {
+      const confirmed = await window.showModal.confirm(
+        'Renovar a todos',
+        'No elegiste programas, sedes ni una lista de códigos: la vista previa incluirá a todos los estudiantes. ¿Continuar?'
+      );
+      if (!confirmed) return;
+    }
+
+    const button = document.getElementById('renewalPreviewBtn');
+    button.disabled = true;
+    try {
+      plan = {
+        period,
+        expiry: expiryYmd,
+        entries: await buildPlan({
+          expiryYmd,
+          programs,
+          sedes,
+          codes: enrolledCodes,
+          reactivate: document.getElementById('renewalReactivate').checked
+        })
+      };
+      renderPreview();
+    } catch (err) {
+      window.showModal.error('Error', err.message || 'No se pudo preparar la vista previa');
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Tabla de estudiantes de la vista previa o del resultado
+   * @param {Array<Array<string>>} rows - Celdas de cada fila (la última es HTML ya armado)
+   * @param {Array<string>} headers - Encabezados de las columnas
+   * @returns {string} HTML
+   */
+  function renderTable(rows, headers) {
+    const sanitize = window.Utils.sanitize;
+    return `
+      <table class="data-table">
+        <thead>
+          <tr>${headers.map(header => `<th>${header}</th>`).join('')}</tr>
+        </thead>
+        <tbody>
+          ${rows.map(row => `
+            <tr>${row.map((cell, i) => `<td>${i === row.length - 1 ? cell : sanitize(cell)}</td>`).join('')}</tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Muestra la vista previa de la renovación
+   */
+  function renderPreview() {
+    const counts = plan.entries.reduce((acc, entry) => {
+      acc[entry.status] = (acc[entry.status] || 0) + 1;
+      return acc;
+    }, {});
+    const toApply = (counts.renew || 0) + (counts.reactivate || 0) + (counts.inactive || 0);
+
+    document.getElementById('renewalSummary').innerHTML = ['renew', 'reactivate', 'inactive', 'unchanged', 'missing']
+      .map(status => `<li><strong>${counts[status] || 0}</strong> ${STATUS_LABELS[status]}</li>`)
+      .join('');
+
+    // Primero lo que cambia; los no encontrados siempre se listan completos
+    const order = { reactivate: 0, renew: 1, inactive: 2, unchanged: 3, missing: -1 };
+    const sorted = plan.entries.slice().sort((a, b) => order[a.status] - order[b.status]);
+    const missing = sorted.filter(entry => entry.status === 'missing');
+    const shown = missing.concat(sorted.filter(entry => entry.status !== 'missing').slice(0, PREVIEW_ROWS));
+
+    document.getElementById('renewalPreviewTable').innerHTML = renderTable(shown.map(entry => [
+      entry.code,
+      entry.student ? `${entry.student.name || ''} ${entry.student.lastname || ''}`.trim() : '—',
+      entry.student ? entry.student.program || '' : '',
+      entry.student ? window.Dates.formatSpanish(entry.student.expiry) : '',
+      entry.status === 'unchanged' || entry.status === 'missing' ? '—' : window.Dates.formatSpanish(plan.expiry),
+      `<span class="renewal-status ${entry.status}">${STATUS_LABELS[entry.status]}</span>`
+    ]), ['Código', 'Estudiante', 'Programa', 'Vence hoy', 'Nueva fecha', 'Resultado']) +
+      (plan.entries.length - missing.length > PREVIEW_ROWS
+        ? `<p class="text-secondary">Se muestran ${PREVIEW_ROWS} de ${plan.entries.length - missing.length} estudiantes.</p>`
+        : '');
+
+    const applyBtn = document.getElementById('renewalApplyBtn');
+    applyBtn.disabled = toApply === 0;
+    applyBtn.textContent = toApply ? `Renovar ${toApply} estudiante(s)` : 'Nada para renovar';
+    document.getElementById('renewalResult').hidden = true;
+    document.getElementById('renewalPreview').hidden = false;
+  }
+
+  /**
+   * Confirma y aplica la renovación
+   */
+  async function handleApply() {
+    const toApply = plan.entries.filter(entry => ['renew', 'reactivate', 'inactive'].includes(entry.status));
+    const reactivated = toApply.filter(entry => entry.status === 'reactivate').length;
+    const confirmed = await window.showModal.confirm(
+      'Confirmar renovación',
+      `Periodo ${window.Utils.sanitize(plan.period)}: ${toApply.length} estudiante(s) quedarán con vencimiento ${window.Dates.formatSpanish(plan.expiry)}` +
+      (reactivated ? ` y se reactivarán ${reactivated} carnet(s).` : '.') + ' ¿Continuar?'
+    );
+    if (!confirmed) return;
+
+    const applyBtn = document.getElementById('renewalApplyBtn');
+    const progress = document.getElementById('renewalProgress');
+    applyBtn.disabled = true;
+    document.getElementById('renewalPreview').hidden = true;
+    document.getElementById('renewalResult').hidden = false;
+    document.getElementById('renewalResultTable').innerHTML = '';
+    document.getElementById('renewalResultActions').hidden = true;
+    progress.textContent = `Renovando 0 de ${toApply.length}...`;
+
+    const results = await applyPlan((done, total) => {
+      progress.textContent = `Renovando ${done} de ${total}...`;
+    });
+    plan.results = results;
+
+    const failed = results.filter(result => !result.ok).length;
+    progress.textContent = `Renovación del periodo ${plan.period}: ${results.length - failed} correcto(s), ${failed} con error.`;
+    document.getElementById('renewalResultTable').innerHTML = renderTable(results.map(result => [
+      result.code,
+      result.name,
+      result.ok ? '' : result.message,
+      `<span class="status-badge ${result.ok ? 'active' : 'inactive'}">${result.ok ? 'OK' : 'ERROR'}</span>`
+    ]), ['Código', 'Estudiante', 'Detalle', 'Resultado']);
+    document.getElementById('renewalResultActions').hidden = false;
+
+    if (results.length > failed) {
+      onRenewed();
+      loadPopulationOptions();
+    }
+  }
+
+  /**
+   * Descarga el resultado de la renovación en CSV
+   */
+  function downloadResult() {
+    const rows = [['codigo', 'estudiante', 'periodo', 'vencimiento', 'resultado', 'detalle']].concat(
+      plan.results.map(result => [result.code, result.name, plan.period, plan.expiry, result.ok ? 'OK' : 'ERROR', result.message])
+    );
+    const text = rows
+      .map(row => row.map(value => `"${String(value ?? '').replace(/"/g, '""')}"`).join(','))
+      .join('\n');
+    const url = URL.createObjectURL(new Blob(['﻿' + text], { type: 'text/csv;charset=utf-8' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `renovacion-${plan.period}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Inicializa la sección de renovación
+   * @param {Object} options - Opciones
+   * @param {Function} options.onRenewed - Se llama tras renovar al menos un estudiante
+   */
+  function init(options = {}) {
+    const form = document.getElementById('renewalForm');
+    if (!form) return;
+    onRenewed = options.onRenewed || onRenewed;
+
+    form.addEventListener('submit', handlePreview);
+    document.getElementById('renewalCodesFile').addEventListener('change', handleCodesFile);
+    document.getElementById('renewalClearCodesBtn').addEventListener('click', clearCodes);
+    document.getElementById('renewalApplyBtn').addEventListener('click', handleApply);
+    document.getElementById('renewalCancelBtn').addEventListener('click', () => {
+      plan = null;
+      document.getElementById('renewalPreview').hidden = true;
+    });
+    document.getElementById('renewalResultCsvBtn').addEventListener('click', downloadResult);
+    document.getElementById('renewalDoneBtn').addEventListener('click', () => {
+      plan = null;
+      document.getElementById('renewalResult').hidden = true;
+    });
+
+    clearCodes();
+    loadPopulationOptions();
+  }
+
+  /**
+   * API pública de la renovación
+   * @namespace window.StudentRenewal
+   */
+  window.StudentRenewal = {
+    init
+  };
+})();
@@ -6,15 +6,15 @@
  * 
  * DESCRIPCIÓN:
  * Módulo de utilidades compartidas que proporciona funciones
- * de sanitización, validación, manejo de fechas, procesamiento
- * de imágenes y toggle de visibilidad de contraseñas.
+ * de sanitización, validación, procesamiento de imágenes
+ * y toggle de visibilidad de contraseñas (las fechas están en dates.js).
  * 
  * FUNCIONALIDADES:
  * - Sanitización de texto para prevenir XSS
  * - Validación de cédulas y códigos de estudiante
- * - Formateo de fechas en español
  * - Redimensionamiento y compresión de imágenes
  * - Toggle de visibilidad de contraseñas
+ * - Medidor de fortaleza de contraseñas
  * 
  * ============================================
  */
@@ -50,38 +50,9 @@
     return /^\d{6,12}$/.test(String(code).trim());
   }
 
-  /**
-   * Formatea fecha en formato YYYY-MM-DD a formato español legible
-   * @param {string} dateString - Fecha en formato YYYY-MM-DD o formato español
-   * @returns {string} Fecha formateada en español (ej: "15 ENERO 2025")
-   */
-  function formatDateToSpanish(dateString) {
-    if (!dateString) return '';
-    if (dateString.includes(' ')) return dateString;
-    try {
-      const date = new Date(dateString + 'T00:00:00');
-      const months = ['ENERO','FEBRERO','MARZO','ABRIL','MAYO','JUNIO','JULIO','AGOSTO','SEPTIEMBRE','OCTUBRE','NOVIEMBRE','DICIEMBRE'];
-      return `${date.getDate()} ${months[date.getMonth()]} ${date.getFullYear()}`;
-    } catch (_) {
-      return dateString;
-    }
-  }
-
-  /**
-   * Verifica si una fecha está en el pasado
-   * @param {string} ymd - Fecha en formato YYYY-MM-DD
-   * @returns {boolean} true si la fecha es anterior a hoy
-   */
-  function isPastDateYmd(ymd) {
-    if (!ymd) return false;
-    const today = new Date();
-    const d = new Date(ymd + 'T00:00:00');
-    return d < new Date(today.getFullYear(), today.getMonth(), today.getDate());
-  }
-
   /**
    * Redimensiona imagen a un tamaño máximo manteniendo proporción
-   * @param {File} file - Archivo de imagen a redimensionar
+   * @param {File|Blob} file - Imagen a redimensionar (archivo o Blob)
    * @param {number} maxW - Ancho máximo en píxeles (default: 400)
    * @param {number} maxH - Alto máximo en píxeles (default: 500)
    * @param {number} quality - Calidad de compresión JPEG 0-1 (default: 0.9)
@@ -206,6 +177,50 @@
     });
   }
 
+  /**
+   * Agrega un medidor de fortaleza bajo un campo de contraseña.
+   * Evalúa con la política de API.PasswordPolicy mientras se escribe;
+   * la reutilización de contraseñas anteriores solo se verifica al guardar.
+   * @param {HTMLInputElement} inputElement - Campo de la nueva contraseña
+   * @param {Function} getContext - Retorna { code, cedula, email } del titular (opcional)
+   * @returns {{update: Function}} Permite recalcular tras cambiar el contexto
+   */
+  function attachPasswordMeter(inputElement, getContext = () => ({})) {
+    if (!inputElement) return { update() {} };
+
+    const meter = document.createElement('div');
+    meter.className = 'password-meter';
+    meter.innerHTML = `
+      <div class="password-meter-bar"><span></span></div>
+      <small class="password-meter-label"></small>
+      <ul class="password-meter-problems"></ul>
+    `;
+    (inputElement.closest('.form-group') || inputElement.parentNode).appendChild(meter);
+
+    const bar = meter.querySelector('.password-meter-bar span');
+    const label = meter.querySelector('.password-meter-label');
+    const problems = meter.querySelector('.password-meter-problems');
+
+    function update() {
+      const value = inputElement.value;
+      if (!value || !window.API || !window.API.PasswordPolicy || !window.Config || !window.Config.isLoaded()) {
+        meter.removeAttribute('data-score');
+        label.textContent = '';
+        problems.innerHTML = '';
+        return;
+      }
+
+      const result = window.API.PasswordPolicy.evaluate(value, getContext() || {});
+      meter.setAttribute('data-score', String(result.score));
+      bar.style.width = `${(result.score + 1) * 20}%`;
+      label.textContent = `Fortaleza: ${result.label}`;
+      problems.innerHTML = result.problems.map(problem => `<li>${sanitize(problem)}</li>`).join('');
+    }
+
+    inputElement.addEventListener('input', update);
+    return { update };
+  }
+
   /**
    * Inicializa todos los campos de contraseña en la página actual
    * Busca todos los inputs de tipo password y les agrega el toggle de visibilidad
@@ -243,9 +258,8 @@
     sanitize,
     validateCedula,
     validateStudentCode,
-    formatDateToSpanish,
-    isPastDateYmd,
-    resizeImage
+    resizeImage,
+    attachPasswordMeter
   };
 
   /**
@@ -0,0 +1,100 @@
+/**
+ * ============================================
+ * EDGE FUNCTION: AUTH
+ * Sistema de Carnet Digital - Universidad del Pacífico
+ * ============================================
+ *
+ * DESCRIPCIÓN:
+ * Servidor de autenticación en Supabase (Deno). Atiende las acciones de
+ * js/authServer.js con la llave de servicio, que nunca llega al navegador.
+ *
+ * VARIABLES DE ENTORNO:
+ * - SUPABASE_URL / SUPABASE_SERVICE_ROLE_KEY - Las define Supabase
+ * - CONFIG_PROFILE - Perfil de config/config.json (por defecto defaultProfile)
+ * - SESSION_JWT_SECRET - Secreto JWT del proyecto (Settings > API > JWT Secret):
+ *   firma el token de cada sesión, con el que las políticas RLS reconocen
+ *   al usuario. Sin él el portal solo tiene la llave pública y las
+ *   políticas le niegan el acceso a las tablas
+ *
+ * NOTAS:
+ * - Los módulos del portal se escriben sobre `window`; aquí es globalThis
+ * - La IP de quien llama sale de x-forwarded-for (la agrega el gateway
+ *   de Supabase) y cuenta los intentos fallidos por conexión
+ * - Los correos (códigos de recuperación) salen por la Edge Function
+ *   mail.functionName, que solo acepta la llave de servicio
+ *
+ * ============================================
+ */
+
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import configFile from '../../../config/config.json' with { type: 'json' };
+
+globalThis.window = globalThis;
+await import('../../../js/config.js');
+await import('../../../js/dates.js');
+await import('../../../js/authServer.js');
+
+window.Config.use(configFile, Deno.env.get('CONFIG_PROFILE'));
+
+const tokenSecret = Deno.env.get('SESSION_JWT_SECRET') || null;
+if (!tokenSecret) {
+  console.error('Falta SESSION_JWT_SECRET: las sesiones no tendrán token y las políticas RLS negarán el acceso');
+}
+
+const db = createClient(Deno.env.get('SUPABASE_URL'), Deno.env.get('SUPABASE_SERVICE_ROLE_KEY'), {
+  auth: { persistSession: false, autoRefreshToken: false }
+});
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+/**
+ * Envía un correo del sistema por la Edge Function mail.functionName,
+ * llamada con la llave de servicio (el portal no puede invocarla)
+ * @param {{to: string, subject: string, text: string}} message - Correo
+ * @returns {Promise<void>}
+ */
+async function sendMail(message) {
+  const mail = window.Config.get('mail');
+  const { error } = await db.functions.invoke(mail.functionName, { body: { from: mail.from, ...message } });
+  if (error) throw error;
+}
+
+/**
+ * Responde con JSON y los encabezados CORS
+ * @param {Object} body - Respuesta de AuthServer.handle
+ * @param {number} status - Código HTTP
+ * @returns {Response}
+ */
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+  });
+}
+
+Deno.serve(async request => {
+  if (request.method === 'OPTIONS') {
+    return new Response('ok', { headers: CORS_HEADERS });
+  }
+  if (request.method !== 'POST') {
+    return json({ error: { code: 'VALIDATION', message: 'Método no permitido', details: {} } }, 405);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (_) {
+    return json({ error: { code: 'VALIDATION', message: 'La petición debe ser JSON', details: {} } }, 400);
+  }
+
+  const forwarded = request.headers.get('x-forwarded-for') || '';
+  const clientAddress = forwarded.split(',')[0].trim() || null;
+
+  // Los errores de las acciones viajan en el cuerpo con estado 200, igual que
+  // con el backend local, para que el portal lea siempre { data } o { error }
+  return json(await window.AuthServer.handle(body, { db, clientAddress, sendMail, tokenSecret }));
+});